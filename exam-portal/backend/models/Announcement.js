@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A message from faculty or an admin to the students of a course, or of a
+// department and/or semester (all students when none is set)
+const announcementSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    body: {
+        type: String,
+        default: ''
+    },
+    department: {
+        type: String,
+        default: null
+    },
+    semester: {
+        type: Number,
+        default: null
+    },
+    courseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdByName: {
+        type: String,
+        default: ''
+    },
+    // Number of users it was delivered to
+    recipientCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+announcementSchema.index({ createdBy: 1, createdAt: -1 });
+announcementSchema.index({ createdAt: -1 });
+
+// Add virtual for id compatibility
+announcementSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+announcementSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Announcement', announcementSchema);
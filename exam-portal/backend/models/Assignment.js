@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const fileSchema = require('./fileSchema');
+
+const assignmentSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    courseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        required: true
+    },
+    dueAt: {
+        type: Date,
+        required: true
+    },
+    maxScore: {
+        type: Number,
+        default: 100
+    },
+    // When false, nothing can be submitted after dueAt; otherwise late submissions are flagged
+    allowLate: {
+        type: Boolean,
+        default: true
+    },
+    attachments: [fileSchema],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdByName: {
+        type: String,
+        default: 'Faculty'
+    }
+}, {
+    timestamps: true
+});
+
+assignmentSchema.index({ courseId: 1, dueAt: 1 });
+assignmentSchema.index({ 'attachments.fileKey': 1 });
+
+// Add virtual for id compatibility
+assignmentSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+assignmentSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Assignment', assignmentSchema);
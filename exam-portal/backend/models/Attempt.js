@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const answerSchema = new mongoose.Schema({
+    questionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Question',
+        required: true
+    },
+    selectedOptions: [{
+        type: Number
+    }],
+    numericAnswer: {
+        type: Number,
+        default: null
+    },
+    textAnswer: {
+        type: String,
+        default: ''
+    }
+}, {
+    _id: false
+});
+
+const optionOrderSchema = new mongoose.Schema({
+    questionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Question',
+        required: true
+    },
+    order: [{
+        type: Number
+    }]
+}, {
+    _id: false
+});
+
+const resultSchema = new mongoose.Schema({
+    questionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Question',
+        required: true
+    },
+    result: {
+        type: String,
+        enum: ['correct', 'partial', 'incorrect', 'unanswered'],
+        required: true
+    },
+    marksAwarded: {
+        type: Number,
+        default: 0
+    }
+}, {
+    _id: false
+});
+
+const attemptSchema = new mongoose.Schema({
+    examId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Exam',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    userName: {
+        type: String,
+        default: 'Student'
+    },
+    answers: [answerSchema],
+    // Per-student presentation order (answers always use the original option indexes)
+    questionOrder: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Question'
+    }],
+    optionOrders: [optionOrderSchema],
+    startedAt: {
+        type: Date,
+        required: true
+    },
+    // Deadline for this attempt: start + duration, capped at the exam's end time
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    submittedAt: {
+        type: Date,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['in-progress', 'submitted', 'auto-submitted'],
+        default: 'in-progress'
+    },
+    results: [resultSchema],
+    score: {
+        type: Number,
+        default: null
+    },
+    maxScore: {
+        type: Number,
+        default: null
+    },
+    gradedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// One attempt per student per exam
+attemptSchema.index({ examId: 1, userId: 1 }, { unique: true });
+
+// Add virtual for id compatibility
+attemptSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+attemptSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Attempt', attemptSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+    // Who did it; null for the system (e.g. an automatic account lock)
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    actorEmail: {
+        type: String,
+        default: ''
+    },
+    // Dotted action name, e.g. "account.locked"
+    action: {
+        type: String,
+        required: true
+    },
+    targetType: {
+        type: String,
+        default: ''
+    },
+    targetId: {
+        type: String,
+        default: ''
+    },
+    // Human-readable name of the target at the time (material title, user email, ...)
+    targetLabel: {
+        type: String,
+        default: ''
+    },
+    // Snapshots of the changed fields before and after the action (null for creates/deletes)
+    before: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    ip: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Add virtual for id compatibility
+auditLogSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+auditLogSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
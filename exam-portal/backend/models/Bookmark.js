@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A material saved to a user's library
+const bookmarkSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    materialId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Material',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+bookmarkSchema.index({ userId: 1, materialId: 1 }, { unique: true });
+bookmarkSchema.index({ userId: 1, createdAt: -1 });
+bookmarkSchema.index({ materialId: 1 });
+
+// Add virtual for id compatibility
+bookmarkSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+bookmarkSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
@@ -1,11 +1,52 @@
 const mongoose = require('mongoose');
 
+// Snapshot of a material shown in a reply, either as a quoted source or as a search result card
+const materialRefSchema = new mongoose.Schema({
+    materialId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Material',
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    subject: {
+        type: String,
+        default: ''
+    },
+    type: {
+        type: String,
+        default: ''
+    },
+    fileName: {
+        type: String,
+        default: ''
+    },
+    semester: {
+        type: Number,
+        default: null
+    },
+    year: {
+        type: Number,
+        default: null
+    }
+}, {
+    _id: false
+});
+
 const chatSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
     },
+    // Older messages predate conversations and have none
+    conversationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        default: null
+    },
     message: {
         type: String,
         required: true
@@ -13,11 +54,40 @@ const chatSchema = new mongoose.Schema({
     response: {
         type: String,
         required: true
-    }
+    },
+    // find_materials replies list materials; question replies cite sources
+    intent: {
+        type: String,
+        enum: ['find_materials', 'question'],
+        default: 'question'
+    },
+    entities: {
+        type: {
+            type: String,
+            default: null
+        },
+        subject: {
+            type: String,
+            default: null
+        },
+        semester: {
+            type: Number,
+            default: null
+        },
+        year: {
+            type: Number,
+            default: null
+        }
+    },
+    // Sources are numbered like the [n] markers in the response
+    sources: [materialRefSchema],
+    materials: [materialRefSchema]
 }, {
     timestamps: true
 });
 
+chatSchema.index({ conversationId: 1, createdAt: 1 });
+
 // Add virtual for id compatibility
 chatSchema.virtual('id').get(function() {
     return this._id.toHexString();
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const collectionItemSchema = new mongoose.Schema({
+    materialId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Material',
+        required: true
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
+// A named study list of materials from any courses, kept in the owner's order.
+// Anyone logged in with the share token can view it while sharing is on.
+const collectionSchema = new mongoose.Schema({
+    ownerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    ownerName: {
+        type: String,
+        default: ''
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        default: '',
+        maxlength: 500
+    },
+    items: [collectionItemSchema],
+    shareToken: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+collectionSchema.index({ ownerId: 1, updatedAt: -1 });
+collectionSchema.index({ shareToken: 1 }, { unique: true, partialFilterExpression: { shareToken: { $type: 'string' } } });
+collectionSchema.index({ 'items.materialId': 1 });
+
+// Add virtual for id compatibility
+collectionSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+collectionSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Collection', collectionSchema);
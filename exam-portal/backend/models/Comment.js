@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// A comment in a material's discussion. Threads are one level deep: a question
+// (parentId null) and its replies, which all point at the question.
+const commentSchema = new mongoose.Schema({
+    materialId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Material',
+        required: true
+    },
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    authorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    authorName: {
+        type: String,
+        default: ''
+    },
+    authorRole: {
+        type: String,
+        default: 'student'
+    },
+    body: {
+        type: String,
+        required: true,
+        maxlength: 5000
+    },
+    // Users named with @handle (the part of their email before the @)
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    upvotes: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // A reply marked by faculty as the answer to its question (at most one per thread)
+    accepted: {
+        type: Boolean,
+        default: false
+    },
+    acceptedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // Hidden by a moderator: only moderators still see the text
+    hidden: {
+        type: Boolean,
+        default: false
+    },
+    hiddenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+commentSchema.index({ materialId: 1, parentId: 1, createdAt: 1 });
+commentSchema.index({ parentId: 1 });
+
+// Add virtual for id compatibility
+commentSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+commentSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Comment', commentSchema);
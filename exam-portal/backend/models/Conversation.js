@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    title: {
+        type: String,
+        default: 'New conversation',
+        trim: true
+    },
+    // Used to list conversations and to restore the latest one
+    lastMessageAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+conversationSchema.index({ userId: 1, lastMessageAt: -1 });
+
+// Add virtual for id compatibility
+conversationSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+conversationSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const courseSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    department: {
+        type: String,
+        required: true
+    },
+    semester: {
+        type: Number,
+        required: true
+    },
+    // Faculty who teach the course; they upload its materials and manage its roster
+    faculty: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Enrolled students
+    students: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }]
+}, {
+    timestamps: true
+});
+
+courseSchema.index({ department: 1, semester: 1, code: 1 });
+courseSchema.index({ faculty: 1 });
+courseSchema.index({ students: 1 });
+
+// Add virtual for id compatibility
+courseSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+courseSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Course', courseSchema);
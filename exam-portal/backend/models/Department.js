@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const departmentSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    code: {
+        type: String,
+        default: '',
+        uppercase: true,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+// Add virtual for id compatibility
+departmentSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+departmentSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Department', departmentSchema);
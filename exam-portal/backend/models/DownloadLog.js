@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One entry per user, material and day; the first entry of a day is what
+// increments Material.downloads
+const downloadLogSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    materialId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Material',
+        required: true
+    },
+    // UTC date, YYYY-MM-DD
+    day: {
+        type: String,
+        required: true
+    },
+    // Number of file requests that day (range requests from viewers included)
+    requests: {
+        type: Number,
+        default: 0
+    },
+    lastDownloadedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+downloadLogSchema.index({ userId: 1, materialId: 1, day: 1 }, { unique: true });
+downloadLogSchema.index({ userId: 1, lastDownloadedAt: -1 });
+// Trending materials: downloads of the last few days
+downloadLogSchema.index({ day: 1, materialId: 1 });
+
+// Add virtual for id compatibility
+downloadLogSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+downloadLogSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('DownloadLog', downloadLogSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const examSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    department: {
+        type: String,
+        required: true
+    },
+    semester: {
+        type: Number,
+        required: true
+    },
+    questions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Question'
+    }],
+    // Window in which students may start the exam
+    startTime: {
+        type: Date,
+        required: true
+    },
+    endTime: {
+        type: Date,
+        required: true
+    },
+    // Time each student gets once they start
+    durationMinutes: {
+        type: Number,
+        required: true
+    },
+    // Give each student their own question / option order
+    shuffleQuestions: {
+        type: Boolean,
+        default: false
+    },
+    shuffleOptions: {
+        type: Boolean,
+        default: false
+    },
+    // Fraction of a question's marks deducted for a wrong answer (0 disables)
+    negativeMarking: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 1
+    },
+    // Students only see scores once the faculty publishes results
+    resultsPublished: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    createdByName: {
+        type: String,
+        default: 'Faculty'
+    }
+}, {
+    timestamps: true
+});
+
+// Add virtual for id compatibility
+examSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+examSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Exam', examSchema);
@@ -1,5 +1,44 @@
 const mongoose = require('mongoose');
 
+const versionSchema = new mongoose.Schema({
+    version: {
+        type: Number,
+        required: true
+    },
+    fileKey: {
+        type: String,
+        default: null
+    },
+    // Legacy /uploads/<name> path, only set on versions stored before fileKey existed
+    fileUrl: {
+        type: String,
+        default: null
+    },
+    fileName: {
+        type: String,
+        required: true
+    },
+    mimeType: {
+        type: String,
+        default: null
+    },
+    fileHash: {
+        type: String,
+        default: null
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // When this version was replaced by a newer file
+    replacedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    _id: false
+});
+
 const materialSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -22,6 +61,13 @@ const materialSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    // Course the material belongs to; subject, department and semester are copied from it.
+    // Materials uploaded before courses existed have none and stay visible to everyone.
+    courseId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Course',
+        default: null
+    },
     type: {
         type: String,
         required: true,
@@ -31,14 +77,43 @@ const materialSchema = new mongoose.Schema({
         type: Number,
         default: null
     },
+    // Key of the current file in the configured storage backend
+    fileKey: {
+        type: String,
+        default: null
+    },
+    // Legacy /uploads/<name> path, only set on materials stored before fileKey existed;
+    // API responses replace it with the authenticated download URL
     fileUrl: {
         type: String,
-        required: true
+        default: null
     },
     fileName: {
         type: String,
         required: true
     },
+    mimeType: {
+        type: String,
+        default: null
+    },
+    // SHA-256 of the file content, used to warn about duplicate uploads
+    fileHash: {
+        type: String,
+        default: null
+    },
+    // Text extracted from the current file (PDF/DOCX) for full-text search;
+    // left out of queries unless explicitly selected
+    contentText: {
+        type: String,
+        default: '',
+        select: false
+    },
+    // Current file version; older files are kept in versions
+    version: {
+        type: Number,
+        default: 1
+    },
+    versions: [versionSchema],
     uploadedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -55,6 +130,21 @@ const materialSchema = new mongoose.Schema({
     downloads: {
         type: Number,
         default: 0
+    },
+    // Aggregated from the material's reviews (1-5 stars)
+    ratingAverage: {
+        type: Number,
+        default: 0
+    },
+    ratingCount: {
+        type: Number,
+        default: 0
+    },
+    // Weighted (Bayesian) average that pulls ratings with few reviews towards a neutral
+    // prior, so one 5-star review doesn't outrank many 4.8s; 0 when unrated
+    ratingScore: {
+        type: Number,
+        default: 0
     }
 }, {
     timestamps: true
@@ -73,4 +163,14 @@ materialSchema.set('toJSON', {
     }
 });
 
+materialSchema.index({ fileHash: 1 });
+materialSchema.index({ title: 'text', subject: 'text', description: 'text', contentText: 'text' }, {
+    name: 'material_text',
+    weights: { title: 10, subject: 5, description: 3, contentText: 1 }
+});
+materialSchema.index({ 'versions.fileHash': 1 });
+materialSchema.index({ courseId: 1, createdAt: -1 });
+materialSchema.index({ downloads: -1 });
+materialSchema.index({ ratingScore: -1, ratingCount: -1 });
+
 module.exports = mongoose.model('Material', materialSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['announcement', 'material', 'assignment', 'grade', 'comment'],
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    message: {
+        type: String,
+        default: ''
+    },
+    // What it is about, so the client can open it (e.g. "Material" and its id)
+    targetType: {
+        type: String,
+        default: ''
+    },
+    targetId: {
+        type: String,
+        default: ''
+    },
+    readAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index({ targetType: 1, targetId: 1 });
+
+// Add virtual for id compatibility
+notificationSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+notificationSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Notification', notificationSchema);
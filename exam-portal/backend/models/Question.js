@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const questionSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['mcq', 'multi', 'numeric', 'short']
+    },
+    // Choices for mcq / multi questions
+    options: [{
+        type: String
+    }],
+    // Indexes into options that are correct (exactly one for mcq)
+    correctOptions: [{
+        type: Number
+    }],
+    numericAnswer: {
+        type: Number,
+        default: null
+    },
+    // Allowed absolute difference for numeric answers
+    tolerance: {
+        type: Number,
+        default: 0
+    },
+    // Accepted answers for short questions (compared case-insensitively)
+    acceptedAnswers: [{
+        type: String
+    }],
+    marks: {
+        type: Number,
+        default: 1
+    },
+    // Topic tags used to organise the question bank and build papers
+    tags: [{
+        type: String,
+        lowercase: true,
+        trim: true
+    }],
+    difficulty: {
+        type: String,
+        enum: ['easy', 'medium', 'hard'],
+        default: 'medium'
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    department: {
+        type: String,
+        required: true
+    },
+    semester: {
+        type: Number,
+        required: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Add virtual for id compatibility
+questionSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+questionSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        return ret;
+    }
+});
+
+questionSchema.index({ department: 1, semester: 1, subject: 1, tags: 1, difficulty: 1 });
+
+module.exports = mongoose.model('Question', questionSchema);
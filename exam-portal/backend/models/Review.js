@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A user's star rating of a material, with an optional short review.
+// Material.ratingAverage and ratingCount are recomputed from these.
+const reviewSchema = new mongoose.Schema({
+    materialId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Material',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    userName: {
+        type: String,
+        default: ''
+    },
+    rating: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5
+    },
+    review: {
+        type: String,
+        default: '',
+        maxlength: 500
+    }
+}, {
+    timestamps: true
+});
+
+reviewSchema.index({ materialId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ materialId: 1, updatedAt: -1 });
+
+// Add virtual for id compatibility
+reviewSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+reviewSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Review', reviewSchema);
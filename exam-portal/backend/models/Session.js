@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// A logged-in device. The refresh token cookie identifies the session and is
+// replaced on every refresh; only hashes of the tokens are stored.
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    // Hash of the token this one replaced; seeing it again after the grace period
+    // (see services/sessions.js) means a token was stolen
+    previousTokenHash: {
+        type: String,
+        default: null
+    },
+    // When the current token replaced the previous one
+    rotatedAt: {
+        type: Date,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// MongoDB removes sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Add virtual for id compatibility
+sessionSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+sessionSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        delete ret.tokenHash;
+        delete ret.previousTokenHash;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const subjectSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    code: {
+        type: String,
+        default: '',
+        uppercase: true,
+        trim: true
+    },
+    department: {
+        type: String,
+        required: true
+    },
+    semester: {
+        type: Number,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+subjectSchema.index({ department: 1, semester: 1, name: 1 }, { unique: true });
+
+// Add virtual for id compatibility
+subjectSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+subjectSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Subject', subjectSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const fileSchema = require('./fileSchema');
+
+// A student's work for an assignment; resubmitting replaces it until it is graded
+const submissionSchema = new mongoose.Schema({
+    assignmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Assignment',
+        required: true
+    },
+    studentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    studentName: {
+        type: String,
+        default: ''
+    },
+    files: [fileSchema],
+    comment: {
+        type: String,
+        default: ''
+    },
+    submittedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Submitted after the assignment's due date
+    late: {
+        type: Boolean,
+        default: false
+    },
+    status: {
+        type: String,
+        enum: ['submitted', 'graded'],
+        default: 'submitted'
+    },
+    score: {
+        type: Number,
+        default: null
+    },
+    feedback: {
+        type: String,
+        default: ''
+    },
+    // Annotated copies returned by the grader
+    feedbackFiles: [fileSchema],
+    gradedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    gradedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+submissionSchema.index({ assignmentId: 1, studentId: 1 }, { unique: true });
+submissionSchema.index({ 'files.fileKey': 1 });
+submissionSchema.index({ 'feedbackFiles.fileKey': 1 });
+
+// Add virtual for id compatibility
+submissionSchema.virtual('id').get(function() {
+    return this._id.toHexString();
+});
+
+submissionSchema.set('toJSON', {
+    virtuals: true,
+    transform: function(doc, ret) {
+        ret.id = ret._id;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Submission', submissionSchema);
@@ -1,5 +1,32 @@
 const mongoose = require('mongoose');
 
+// Which kinds of notification the user receives
+const notificationPreferencesSchema = new mongoose.Schema({
+    announcements: {
+        type: Boolean,
+        default: true
+    },
+    materials: {
+        type: Boolean,
+        default: true
+    },
+    assignments: {
+        type: Boolean,
+        default: true
+    },
+    grades: {
+        type: Boolean,
+        default: true
+    },
+    // Replies to the user's questions, @mentions and accepted answers
+    discussions: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    _id: false
+});
+
 const userSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -20,8 +47,36 @@ const userSchema = new mongoose.Schema({
     role: {
         type: String,
         required: true,
-        enum: ['student', 'faculty']
+        enum: ['student', 'faculty', 'admin']
+    },
+    // Faculty accounts wait for admin approval; admins can deactivate anyone
+    status: {
+        type: String,
+        enum: ['pending', 'active', 'deactivated'],
+        default: 'active'
+    },
+    // New sign-ups start unverified; accounts created before verification existed count as verified
+    emailVerified: {
+        type: Boolean,
+        default: true
     },
+    // Progressive lockout: every LOGIN_LOCK_THRESHOLD failures lock the account,
+    // each lock twice as long as the last, until a successful login or password reset
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lockLevel: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    // Identity provider account this user signs in with (set on first SSO login)
+    ssoIssuer: String,
+    ssoSubject: String,
     department: {
         type: String,
         default: 'Computer Science'
@@ -29,11 +84,17 @@ const userSchema = new mongoose.Schema({
     semester: {
         type: Number,
         default: 1
+    },
+    notificationPreferences: {
+        type: notificationPreferencesSchema,
+        default: () => ({})
     }
 }, {
     timestamps: true
 });
 
+userSchema.index({ ssoIssuer: 1, ssoSubject: 1 }, { unique: true, sparse: true });
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
     const user = this.toObject();
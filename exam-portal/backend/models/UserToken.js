@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Single-use token sent by email (verification and password reset links).
+// Only a hash is stored, so a database leak doesn't expose usable links.
+const userTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    purpose: {
+        type: String,
+        required: true,
+        enum: ['verify-email', 'reset-password']
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+userTokenSchema.index({ userId: 1, purpose: 1 });
+// MongoDB removes tokens once they have expired
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
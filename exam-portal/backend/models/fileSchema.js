@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A file in the storage backend (keys are content hashes, shared with materials);
+// embedded in assignments and submissions
+const fileSchema = new mongoose.Schema({
+    fileKey: {
+        type: String,
+        required: true
+    },
+    fileName: {
+        type: String,
+        required: true
+    },
+    mimeType: {
+        type: String,
+        default: null
+    },
+    fileHash: {
+        type: String,
+        default: null
+    },
+    size: {
+        type: Number,
+        default: 0
+    }
+}, {
+    _id: false
+});
+
+module.exports = fileSchema;
@@ -0,0 +1,35 @@
+// Promote an existing account to admin:
+//   npm run create-admin -- user@example.com
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const User = require('../models/User');
+
+const run = async () => {
+    const email = process.argv[2];
+
+    if (!email) {
+        console.error('Usage: npm run create-admin -- <email>');
+        process.exit(1);
+    }
+
+    await connectDB();
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+        console.error(`❌ No user found with email ${email}. Register the account first.`);
+        await mongoose.disconnect();
+        process.exit(1);
+    }
+
+    user.role = 'admin';
+    user.status = 'active';
+    user.emailVerified = true;
+    await user.save();
+
+    console.log(`✅ ${user.email} is now an admin`);
+    await mongoose.disconnect();
+};
+
+run();
@@ -0,0 +1,72 @@
+// Extract search text for materials uploaded before full-text search existed.
+//   npm run index-materials              only materials without indexed text
+//   npm run index-materials -- --all     re-extract every material
+require('dotenv').config();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const Material = require('../models/Material');
+const fileStorage = require('../services/storage');
+const { detectFileType } = require('../services/uploadValidation');
+const { extractText } = require('../services/textExtraction');
+
+// Older records only have a /uploads/<name> fileUrl instead of a storage key
+const fileKeyOf = (record) => record.fileKey || path.basename(String(record.fileUrl || ''));
+
+const run = async () => {
+    const all = process.argv.includes('--all');
+
+    await connectDB();
+
+    const query = all ? {} : { $or: [{ contentText: '' }, { contentText: { $exists: false } }] };
+    const materials = await Material.find(query).select('+contentText');
+    const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'exam-portal-index-'));
+    let indexed = 0;
+    let failed = 0;
+
+    try {
+        for (const material of materials) {
+            const key = fileKeyOf(material);
+            const tempPath = path.join(tempDir, 'file');
+
+            try {
+                await pipeline(await fileStorage.createReadStream(key), fs.createWriteStream(tempPath));
+
+                const fileType = await detectFileType(tempPath);
+                if (!material.mimeType && fileType) {
+                    material.mimeType = fileType.mimeType;
+                }
+                material.contentText = fileType ? await extractText(tempPath, fileType.mimeType) : '';
+                await material.save();
+
+                indexed++;
+                console.log(`📝 "${material.title}": ${material.contentText.length} characters`);
+            } catch (error) {
+                failed++;
+                console.log(`⚠️  "${material.title}" (${key}): ${error.message}`);
+            } finally {
+                await fs.promises.rm(tempPath, { force: true });
+            }
+        }
+    } finally {
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+    }
+
+    console.log('\n========================================');
+    console.log(`📄 Materials checked:  ${materials.length}`);
+    console.log(`✅ Indexed:            ${indexed}`);
+    console.log(`❌ Failed:             ${failed}`);
+    console.log('========================================');
+
+    await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+    console.error('❌ Indexing failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
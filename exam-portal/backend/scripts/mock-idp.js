@@ -0,0 +1,141 @@
+// Minimal OpenID Connect provider for trying out SSO locally:
+//   npm run mock-idp
+// then start the backend with OIDC_ISSUER=http://localhost:4000 OIDC_CLIENT_ID=exam-portal.
+// Its login page lets you pick any email, role, department and semester; nothing is checked.
+// Not for production use.
+const http = require('http');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_IDP_PORT) || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const KEY_ID = 'mock-idp-key';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// code -> { clientId, redirectUri, nonce, codeChallenge, claims, expiresAt }
+const codes = new Map();
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+};
+
+const readForm = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+    req.on('error', reject);
+});
+
+const loginPage = (params) => `<!DOCTYPE html>
+<html><head><title>Mock IdP</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto;">
+<h2>Mock identity provider</h2>
+<form method="post" action="/authorize">
+    ${[...params].map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`).join('\n    ')}
+    <p><label>Email<br><input name="email" type="email" value="student@college.edu" required></label></p>
+    <p><label>Name<br><input name="name" value="Test Student"></label></p>
+    <p><label>Role<br><select name="role"><option>student</option><option>faculty</option><option>staff</option></select></label></p>
+    <p><label>Department<br><input name="department" value="Computer Science"></label></p>
+    <p><label>Semester<br><input name="semester" type="number" min="1" max="8" value="3"></label></p>
+    <p><label><input name="email_verified" type="checkbox" checked> Email verified</label></p>
+    <button type="submit">Sign in</button>
+</form>
+</body></html>`;
+
+const handleAuthorizeSubmit = async (req, res) => {
+    const form = await readForm(req);
+    const redirectUri = form.get('redirect_uri');
+    if (!redirectUri || form.get('response_type') !== 'code') {
+        return sendJson(res, 400, { error: 'invalid_request' });
+    }
+
+    const email = form.get('email').toLowerCase().trim();
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+        clientId: form.get('client_id'),
+        redirectUri,
+        nonce: form.get('nonce'),
+        codeChallenge: form.get('code_challenge'),
+        claims: {
+            // The subject stays the same for an email, like a real IdP account
+            sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+            email,
+            email_verified: form.get('email_verified') === 'on',
+            name: form.get('name'),
+            role: form.get('role'),
+            department: form.get('department'),
+            semester: form.get('semester')
+        },
+        expiresAt: Date.now() + 60 * 1000
+    });
+
+    const location = new URL(redirectUri);
+    location.searchParams.set('code', code);
+    if (form.get('state')) location.searchParams.set('state', form.get('state'));
+    res.writeHead(302, { Location: location.toString() });
+    res.end();
+};
+
+const handleToken = async (req, res) => {
+    const form = await readForm(req);
+    const grant = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== form.get('redirect_uri')) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+    const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+    if (grant.codeChallenge && challenge !== grant.codeChallenge) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const idToken = jwt.sign(
+        { ...grant.claims, nonce: grant.nonce },
+        privateKey,
+        { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: grant.clientId, expiresIn: '5m' }
+    );
+    sendJson(res, 200, { token_type: 'Bearer', id_token: idToken, access_token: crypto.randomBytes(16).toString('hex'), expires_in: 300 });
+};
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, ISSUER);
+    try {
+        if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+            return sendJson(res, 200, {
+                issuer: ISSUER,
+                authorization_endpoint: `${ISSUER}/authorize`,
+                token_endpoint: `${ISSUER}/token`,
+                jwks_uri: `${ISSUER}/jwks`,
+                response_types_supported: ['code'],
+                subject_types_supported: ['public'],
+                id_token_signing_alg_values_supported: ['RS256'],
+                code_challenge_methods_supported: ['S256']
+            });
+        }
+        if (req.method === 'GET' && url.pathname === '/jwks') {
+            return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+        }
+        if (req.method === 'GET' && url.pathname === '/authorize') {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            return res.end(loginPage(url.searchParams));
+        }
+        if (req.method === 'POST' && url.pathname === '/authorize') {
+            return await handleAuthorizeSubmit(req, res);
+        }
+        if (req.method === 'POST' && url.pathname === '/token') {
+            return await handleToken(req, res);
+        }
+        sendJson(res, 404, { error: 'not_found' });
+    } catch (error) {
+        console.error('❌ Mock IdP error:', error);
+        sendJson(res, 500, { error: 'server_error' });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`🔑 Mock IdP running at ${ISSUER}`);
+});
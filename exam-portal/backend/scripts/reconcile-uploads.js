@@ -0,0 +1,118 @@
+// Reconcile the configured file storage with the Material collection
+// (assignment and submission files count as referenced too).
+//   npm run reconcile-uploads            report only
+//   npm run reconcile-uploads -- --fix   repair what it can
+//
+// Files nobody references are deleted (once older than an hour, so in-flight
+// uploads are left alone). Materials whose current file is missing fall back to
+// their newest surviving older version, or are removed if none survives.
+// Version entries pointing at missing files are dropped.
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const Material = require('../models/Material');
+const Assignment = require('../models/Assignment');
+const Submission = require('../models/Submission');
+const fileStorage = require('../services/storage');
+
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+// Older records only have a /uploads/<name> fileUrl instead of a storage key
+const fileKeyOf = (record) => record.fileKey || path.basename(String(record.fileUrl || ''));
+
+const run = async () => {
+    const fix = process.argv.includes('--fix');
+
+    await connectDB();
+
+    const storedFiles = await fileStorage.list();
+    const existing = new Set(storedFiles.map(file => file.key));
+
+    const materials = await Material.find();
+    const referenced = new Set();
+    let missingCurrent = 0;
+    let missingVersions = 0;
+
+    for (const material of materials) {
+        material.versions.forEach(v => referenced.add(fileKeyOf(v)));
+        referenced.add(fileKeyOf(material));
+
+        const lostVersions = material.versions.filter(v => !existing.has(fileKeyOf(v)));
+        const currentMissing = !existing.has(fileKeyOf(material));
+
+        lostVersions.forEach(v => {
+            missingVersions++;
+            console.log(`⚠️  Missing version file: "${material.title}" v${v.version} -> ${fileKeyOf(v)}`);
+        });
+        if (currentMissing) {
+            missingCurrent++;
+            console.log(`⚠️  Missing current file: "${material.title}" (${material._id}) -> ${fileKeyOf(material)}`);
+        }
+
+        if (!fix || (!currentMissing && lostVersions.length === 0)) continue;
+
+        material.versions = material.versions.filter(v => existing.has(fileKeyOf(v)));
+
+        if (currentMissing) {
+            const fallback = material.versions.pop();
+            if (!fallback) {
+                await Material.findByIdAndDelete(material._id);
+                console.log(`   🗑️  Removed "${material.title}" (no file left)`);
+                continue;
+            }
+            material.fileKey = fileKeyOf(fallback);
+            material.fileUrl = null;
+            material.fileName = fallback.fileName;
+            material.mimeType = fallback.mimeType;
+            material.fileHash = fallback.fileHash;
+            material.version = fallback.version;
+            console.log(`   ↩️  Rolled "${material.title}" back to v${fallback.version}`);
+        }
+
+        await material.save();
+    }
+
+    const assignments = await Assignment.find().select('attachments').lean();
+    const submissions = await Submission.find().select('files feedbackFiles').lean();
+    assignments.forEach(a => a.attachments.forEach(file => referenced.add(file.fileKey)));
+    submissions.forEach(s => [...s.files, ...s.feedbackFiles].forEach(file => referenced.add(file.fileKey)));
+
+    const orphans = storedFiles.filter(file => !referenced.has(file.key));
+    let removedOrphans = 0;
+
+    for (const file of orphans) {
+        console.log(`⚠️  Orphaned file: ${file.key}`);
+
+        if (!fix) continue;
+
+        const age = Date.now() - new Date(file.lastModified).getTime();
+        if (age < ORPHAN_GRACE_MS) {
+            console.log('   ⏳ Skipped (modified within the last hour)');
+            continue;
+        }
+        await fileStorage.remove(file.key);
+        removedOrphans++;
+        console.log('   🗑️  Deleted');
+    }
+
+    console.log('\n========================================');
+    console.log(`📁 Stored files (${fileStorage.name}):  ${storedFiles.length}`);
+    console.log(`📄 Materials:              ${materials.length}`);
+    console.log(`❌ Missing current files:  ${missingCurrent}`);
+    console.log(`❌ Missing version files:  ${missingVersions}`);
+    console.log(`🧹 Orphaned files:         ${orphans.length}${fix ? ` (${removedOrphans} deleted)` : ''}`);
+    console.log('========================================');
+    if (!fix && (missingCurrent || missingVersions || orphans.length)) {
+        console.log('Run again with --fix to repair.');
+    }
+
+    await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+    console.error('❌ Reconcile failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+});
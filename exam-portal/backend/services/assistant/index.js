@@ -0,0 +1,137 @@
+// Study assistant: retrieves passages from course materials and has the model
+// provider chosen with ASSISTANT_PROVIDER (stub | openai) compose an answer.
+//
+// A provider is { name, generate({ question, passages, history }) -> { text } },
+// where passages are [{ material, text, score }] and history is prior
+// { role, content } chat turns.
+
+const Material = require('../../models/Material');
+const Subject = require('../../models/Subject');
+const { retrievePassages, queryTerms } = require('./retrieval');
+const { parseIntent } = require('./intent');
+const createStubProvider = require('./stub');
+
+const createProvider = () => {
+    const provider = (process.env.ASSISTANT_PROVIDER || 'stub').toLowerCase();
+
+    if (provider === 'openai') {
+        const createOpenAIProvider = require('./openai');
+        return createOpenAIProvider({
+            baseUrl: process.env.ASSISTANT_API_URL || 'https://api.openai.com/v1',
+            apiKey: process.env.ASSISTANT_API_KEY,
+            model: process.env.ASSISTANT_MODEL || 'gpt-4o-mini',
+            timeoutMs: parseInt(process.env.ASSISTANT_TIMEOUT_MS) || 30000
+        });
+    }
+
+    return createStubProvider();
+};
+
+const provider = createProvider();
+const fallback = provider.name === 'stub' ? provider : createStubProvider();
+
+// Answer a question from the materials matching filter. Returns { text, sources }
+// where sources are the cited materials, numbered as in the answer's [n] markers.
+const answerQuestion = async (question, filter = {}, history = []) => {
+    // Short follow-ups ("and its disadvantages?") are retrieved together with the
+    // previous question so they stay on the same topic
+    const previous = [...history].reverse().find(turn => turn.role === 'user');
+    const retrievalQuery = previous && queryTerms(question).length < 3
+        ? `${previous.content} ${question}`
+        : question;
+    const passages = await retrievePassages(retrievalQuery, filter);
+
+    let result;
+    try {
+        result = await provider.generate({ question, passages, history });
+    } catch (error) {
+        console.error(`❌ Assistant provider "${provider.name}" failed:`, error.message);
+        result = null;
+    }
+    if (!result || !result.text) {
+        result = await fallback.generate({ question, passages, history });
+    }
+
+    return { text: result.text, sources: passages.map(passage => toMaterialRef(passage.material)) };
+};
+
+// Parse a chat message against the subjects the portal knows: the managed list
+// plus any free-text subjects materials were uploaded under. previousEntities are
+// those of the conversation's last material query, so a follow-up like "what
+// about 2022?" reruns it with just the year changed.
+const parseMessage = async (message, previousEntities = null) => {
+    const [managed, uploaded] = await Promise.all([
+        Subject.find().select('name code').lean(),
+        Material.distinct('subject')
+    ]);
+    const known = new Set(managed.map(subject => subject.name.toLowerCase()));
+    const subjects = [
+        ...managed,
+        ...uploaded.filter(name => name && !known.has(name.toLowerCase())).map(name => ({ name, code: '' }))
+    ];
+
+    const parsed = parseIntent(message, subjects);
+    const mentioned = Object.entries(parsed.entities).filter(([, value]) => value !== null);
+
+    if (previousEntities && mentioned.length > 0 && !parsed.entities.type && !parsed.entities.subject) {
+        return {
+            intent: 'find_materials',
+            entities: { ...previousEntities, ...Object.fromEntries(mentioned) }
+        };
+    }
+    return parsed;
+};
+
+const toMaterialRef = (material) => ({
+    materialId: material._id,
+    title: material.title,
+    subject: material.subject,
+    type: material.type,
+    fileName: material.fileName,
+    semester: material.semester,
+    year: material.year
+});
+
+const TYPE_LABELS = {
+    pyq: 'previous year papers',
+    notes: 'notes',
+    syllabus: 'syllabus documents',
+    reference: 'reference materials'
+};
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Run a material query parsed from a chat message. filter narrows the search
+// (e.g. { department }). Returns { text, materials } with the newest matches first.
+const findMaterials = async (entities, filter = {}, limit = 10) => {
+    const query = { ...filter };
+    if (entities.type) query.type = entities.type;
+    if (entities.subject) query.subject = { $regex: `^${escapeRegex(entities.subject)}$`, $options: 'i' };
+    if (entities.semester) query.semester = entities.semester;
+    if (entities.year) query.year = entities.year;
+
+    const materials = await Material.find(query)
+        .sort({ year: -1, createdAt: -1 })
+        .limit(limit)
+        .lean();
+
+    const description = [
+        entities.subject,
+        TYPE_LABELS[entities.type] || 'materials',
+        entities.semester && `for semester ${entities.semester}`,
+        entities.year && `from ${entities.year}`
+    ].filter(Boolean).join(' ');
+
+    const text = materials.length === 0
+        ? `I couldn't find any ${description}. Try fewer filters, or ask me about a topic instead.`
+        : `Here ${materials.length === 1 ? 'is' : 'are'} ${materials.length === limit ? 'the latest ' : ''}${materials.length} ${description}:`;
+
+    return { text, materials: materials.map(toMaterialRef) };
+};
+
+module.exports = {
+    provider,
+    parseMessage,
+    answerQuestion,
+    findMaterials
+};
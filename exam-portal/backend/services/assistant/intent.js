@@ -0,0 +1,115 @@
+// Rule-based intent and entity parsing for chat messages such as
+// "show me DBMS PYQs for sem 3 from 2023"
+
+const TYPE_PATTERNS = [
+    { type: 'pyq', pattern: /\b(pyqs?|previous[\s-]+years?(?:\s+(?:question\s+)?papers?)?|past\s+papers?|question\s+papers?|old\s+papers?)\b/i },
+    { type: 'syllabus', pattern: /\b(syllabus|syllabi|curriculum)\b/i },
+    { type: 'notes', pattern: /\b(notes?|study\s+materials?|lecture\s+slides?)\b/i },
+    { type: 'reference', pattern: /\b(references?|reference\s+books?|textbooks?|books?)\b/i }
+];
+
+const ROMAN_SEMESTERS = { i: 1, ii: 2, iii: 3, iv: 4, v: 5, vi: 6, vii: 7, viii: 8 };
+
+// Words that ask for a list of materials rather than an explanation
+const FIND_PATTERN = /\b(show|find|list|get|give|fetch|download|search|any|are\s+there|do\s+you\s+have|need|want)\b/i;
+
+const ACRONYM_SKIP = new Set(['and', 'of', 'the', 'in', 'for', 'to', '&']);
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whether token abbreviates the words: every word contributes its initial, optionally
+// followed by more of its letters in order ("dbms" -> database management systems)
+const matchesAcronym = (token, words) => {
+    if (!token) return words.length === 0;
+    if (words.length === 0 || token[0] !== words[0][0]) return false;
+
+    const [word, ...rest] = words;
+    let remainder = word.slice(1);
+    for (let i = 1; i <= token.length; i++) {
+        if (matchesAcronym(token.slice(i), rest)) return true;
+        if (i === token.length) break;
+        const index = remainder.indexOf(token[i]);
+        if (index === -1) break;
+        remainder = remainder.slice(index + 1);
+    }
+    return false;
+};
+
+// Short words of the message that could be subject abbreviations, also without a
+// plural "s" ("DBMSs"); lower-case ones need three letters so words like "is" or
+// "as" are not taken for subjects
+const abbreviationsIn = (message) => (message.match(/\b[A-Za-z]{2,7}\b/g) || [])
+    .filter(token => token.length >= 3 || token === token.toUpperCase())
+    .flatMap(token => {
+        const lower = token.toLowerCase();
+        return lower.length > 2 && lower.endsWith('s') ? [lower, lower.slice(0, -1)] : [lower];
+    });
+
+const parseSemester = (message) => {
+    const match = message.match(/\b(?:sem(?:ester)?)\s*[-:#]?\s*(\d{1,2}|[ivx]+)\b/i) ||
+        message.match(/\b(\d{1,2})(?:st|nd|rd|th)\s+sem(?:ester)?\b/i);
+    if (!match) return null;
+
+    const value = match[1].toLowerCase();
+    const semester = ROMAN_SEMESTERS[value] || parseInt(value);
+    return semester >= 1 && semester <= 8 ? semester : null;
+};
+
+const parseYear = (message) => {
+    const match = message.match(/\b(19\d{2}|20\d{2})\b/);
+    return match ? parseInt(match[1]) : null;
+};
+
+// subjects: [{ name, code }] known to the portal. Matches the full name or code as
+// whole words, or an abbreviation of the name; the longest match wins.
+const parseSubject = (message, subjects) => {
+    const abbreviations = abbreviationsIn(message);
+    let best = null;
+
+    subjects.forEach(subject => {
+        const words = String(subject.name).toLowerCase()
+            .split(/[\s-]+/)
+            .filter(word => word && !ACRONYM_SKIP.has(word));
+
+        [subject.name, subject.code].filter(candidate => candidate && candidate.length >= 2).forEach(candidate => {
+            const pattern = new RegExp(`(^|[^a-z0-9])${escapeRegex(candidate)}s?([^a-z0-9]|$)`, 'i');
+            if (pattern.test(message) && (!best || candidate.length > best.length)) {
+                best = { name: subject.name, length: candidate.length };
+            }
+        });
+
+        // Single-word names are matched above; abbreviations need at least two words
+        if (words.length < 2) return;
+        abbreviations.forEach(token => {
+            if (matchesAcronym(token, words) && (!best || token.length > best.length)) {
+                best = { name: subject.name, length: token.length };
+            }
+        });
+    });
+
+    return best ? best.name : null;
+};
+
+// Returns { intent: 'find_materials' | 'question', entities: { type, subject, semester, year } }.
+// A message is a material query when it names a material type, or asks to
+// show/find something and mentions at least one entity.
+const parseIntent = (message, subjects = []) => {
+    const text = String(message);
+    const typeMatch = TYPE_PATTERNS.find(({ pattern }) => pattern.test(text));
+
+    const entities = {
+        type: typeMatch ? typeMatch.type : null,
+        subject: parseSubject(text, subjects),
+        semester: parseSemester(text),
+        year: parseYear(text)
+    };
+
+    const hasEntity = Object.values(entities).some(value => value !== null);
+    const intent = entities.type || (hasEntity && FIND_PATTERN.test(text)) ? 'find_materials' : 'question';
+
+    return { intent, entities };
+};
+
+module.exports = {
+    parseIntent
+};
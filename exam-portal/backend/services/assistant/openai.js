@@ -0,0 +1,42 @@
+// Provider for any OpenAI-compatible chat completions API (OpenAI, Ollama, vLLM, LM Studio, ...)
+
+const SYSTEM_PROMPT = 'You are a study assistant for a university exam portal. Answer the student\'s ' +
+    'question using only the numbered passages from their course materials. Cite passages like [1]. ' +
+    'If the passages do not contain the answer, say so briefly.';
+
+const createOpenAIProvider = ({ baseUrl, apiKey, model, timeoutMs }) => ({
+    name: 'openai',
+
+    async generate({ question, passages, history = [] }) {
+        const context = passages
+            .map((passage, index) => `[${index + 1}] ${passage.material.title}:\n${passage.text}`)
+            .join('\n\n');
+
+        const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+            },
+            body: JSON.stringify({
+                model,
+                temperature: 0.2,
+                messages: [
+                    { role: 'system', content: SYSTEM_PROMPT },
+                    ...history,
+                    { role: 'user', content: `Passages:\n${context || '(none found)'}\n\nQuestion: ${question}` }
+                ]
+            }),
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Model provider responded with ${response.status}`);
+        }
+
+        const data = await response.json();
+        return { text: data.choices?.[0]?.message?.content?.trim() || '' };
+    }
+});
+
+module.exports = createOpenAIProvider;
@@ -0,0 +1,88 @@
+// Passage retrieval over the extracted text of uploaded materials
+
+const Material = require('../../models/Material');
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'explain', 'for', 'from',
+    'give', 'how', 'i', 'in', 'is', 'it', 'me', 'of', 'on', 'or', 'please', 'tell', 'that', 'the',
+    'this', 'to', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'you', 'about', 'my'
+]);
+
+const PASSAGE_LENGTH = 600;
+
+// Lower-cased content words of a question
+const queryTerms = (question) => [...new Set(
+    String(question).toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length > 1 && !STOPWORDS.has(word))
+)];
+
+// Split text into passages of roughly PASSAGE_LENGTH characters on sentence boundaries
+const splitPassages = (text) => {
+    const sentences = String(text || '').match(/[^.!?]+[.!?]*/g) || [];
+    const passages = [];
+    let current = '';
+
+    sentences.forEach(sentence => {
+        if (current && current.length + sentence.length > PASSAGE_LENGTH) {
+            passages.push(current.trim());
+            current = '';
+        }
+        current += sentence;
+    });
+    if (current.trim()) passages.push(current.trim());
+
+    return passages;
+};
+
+// Share of the query terms a passage contains, with a small bonus for repeats
+const scorePassage = (passage, terms) => {
+    const lower = passage.toLowerCase();
+    let matched = 0;
+    let hits = 0;
+
+    terms.forEach(term => {
+        const count = lower.split(term).length - 1;
+        if (count > 0) {
+            matched++;
+            hits += count;
+        }
+    });
+
+    return matched === 0 ? 0 : matched / terms.length + Math.min(hits, 10) * 0.02;
+};
+
+// Find the passages most relevant to a question among the materials matching filter
+// (e.g. { department, semester }). Returns [{ material, text, score }], best first.
+const retrievePassages = async (question, filter = {}, limit = 4) => {
+    const terms = queryTerms(question);
+    if (terms.length === 0) return [];
+
+    const materials = await Material.find(
+        { ...filter, $text: { $search: terms.join(' ') } },
+        { score: { $meta: 'textScore' } }
+    )
+        .select('+contentText')
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(10)
+        .lean();
+
+    const passages = [];
+    materials.forEach(material => {
+        // Materials without extracted text can still be cited by their description
+        const text = material.contentText || material.description;
+        splitPassages(text).forEach(passage => {
+            const score = scorePassage(passage, terms);
+            if (score > 0) {
+                passages.push({ material, text: passage, score: score * (1 + Math.log1p(material.score)) });
+            }
+        });
+    });
+
+    return passages.sort((a, b) => b.score - a.score).slice(0, limit);
+};
+
+module.exports = {
+    queryTerms,
+    retrievePassages
+};
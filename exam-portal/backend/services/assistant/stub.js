@@ -0,0 +1,36 @@
+// Offline provider: answers by quoting the most relevant sentences of the
+// retrieved passages. Needs no network access, so it is the default and is
+// what the other providers fall back to when they fail.
+
+const { queryTerms } = require('./retrieval');
+
+const createStubProvider = () => ({
+    name: 'stub',
+
+    async generate({ question, passages }) {
+        if (passages.length === 0) {
+            return {
+                text: 'I couldn\'t find anything about that in the materials for your course yet. ' +
+                    'Try rephrasing with the topic or subject name, or browse the Materials page.'
+            };
+        }
+
+        const terms = queryTerms(question);
+        const lines = passages.map((passage, index) => {
+            const sentences = passage.text.match(/[^.!?]+[.!?]*/g) || [passage.text];
+            const best = sentences
+                .map(sentence => ({
+                    sentence: sentence.trim(),
+                    hits: terms.filter(term => sentence.toLowerCase().includes(term)).length
+                }))
+                .sort((a, b) => b.hits - a.hits)[0];
+            return `• ${best.sentence} [${index + 1}]`;
+        });
+
+        return {
+            text: `Here is what your course materials say:\n\n${lines.join('\n')}`
+        };
+    }
+});
+
+module.exports = createStubProvider;
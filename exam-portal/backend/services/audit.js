@@ -0,0 +1,39 @@
+// Audit trail of security-relevant and administrative actions
+
+const AuditLog = require('../models/AuditLog');
+
+// Record an action; the actor defaults to the logged-in user of req. Failures are
+// logged and swallowed: a lost audit entry must not fail the request that caused it.
+const recordAudit = async (req, { action, actorId, actorEmail, targetType, targetId, targetLabel, before, after, details }) => {
+    try {
+        await AuditLog.create({
+            actorId: actorId !== undefined ? actorId : (req?.user?.userId || null),
+            actorEmail: actorEmail !== undefined ? actorEmail : (req?.user?.email || ''),
+            action,
+            targetType: targetType || '',
+            targetId: targetId ? targetId.toString() : '',
+            targetLabel: targetLabel || '',
+            before: before || null,
+            after: after || null,
+            details: details || {},
+            ip: req?.ip || ''
+        });
+    } catch (error) {
+        console.error('❌ Could not write audit entry:', action, error.message);
+    }
+};
+
+// Only the fields of before/after that differ, so edit entries show just what changed
+const diffSnapshots = (before, after) => {
+    const changed = Object.keys({ ...before, ...after })
+        .filter(key => JSON.stringify(before[key] ?? null) !== JSON.stringify(after[key] ?? null));
+    return {
+        before: Object.fromEntries(changed.map(key => [key, before[key] ?? null])),
+        after: Object.fromEntries(changed.map(key => [key, after[key] ?? null]))
+    };
+};
+
+module.exports = {
+    recordAudit,
+    diffSnapshots
+};
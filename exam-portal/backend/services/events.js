@@ -0,0 +1,124 @@
+// Live updates over Server-Sent Events. Each connected browser joins rooms (its user,
+// its courses, its department/semester); events are pushed to every client in a room.
+// Connections live in this process, so run one backend instance or pin clients to one.
+
+const crypto = require('crypto');
+
+const HEARTBEAT_MS = 25 * 1000;
+const TICKET_TTL_MS = 30 * 1000;
+
+// Each entry: { res, userId, sessionId, rooms: Set, end }
+const clients = new Set();
+
+// EventSource cannot send headers, so a stream is opened with a one-time ticket instead of
+// the access token: ticket -> { data, expiresAt }
+const tickets = new Map();
+
+const userRoom = (userId) => `user:${userId}`;
+const courseRoom = (courseId) => `course:${courseId}`;
+const departmentRoom = (department) => `department:${department}`;
+const semesterRoom = (department, semester) => `semester:${department}:${semester}`;
+const ADMIN_ROOM = 'admins';
+
+const send = (client, event, data) => {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// A short-lived ticket that opens one stream for data (the authenticated user)
+const issueTicket = (data) => {
+    const now = Date.now();
+    tickets.forEach((entry, ticket) => {
+        if (entry.expiresAt <= now) tickets.delete(ticket);
+    });
+
+    const ticket = crypto.randomBytes(32).toString('base64url');
+    tickets.set(ticket, { data, expiresAt: now + TICKET_TTL_MS });
+    return ticket;
+};
+
+// The ticket's data, or null when it is unknown, used or expired
+const redeemTicket = (ticket) => {
+    const entry = tickets.get(ticket);
+    if (!entry) return null;
+    tickets.delete(ticket);
+    return entry.expiresAt > Date.now() ? entry.data : null;
+};
+
+// Turn the response into an event stream for the user; it ends at closeAt (the access
+// token's expiry) so the browser reconnects with a fresh token, and on a heartbeat where
+// isActive() (the session and account are still valid) resolves false
+const subscribe = (req, res, { userId, sessionId, rooms, closeAt, isActive }) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    let heartbeat = null;
+    let expiry = null;
+    const client = { res, userId, sessionId, rooms: new Set(rooms) };
+    client.end = () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        clients.delete(client);
+        if (!res.writableEnded) res.end();
+    };
+    clients.add(client);
+
+    // Comments keep proxies from closing an idle stream
+    heartbeat = setInterval(async () => {
+        try {
+            if (isActive && !(await isActive())) return client.end();
+        } catch (error) {
+            console.error('❌ Live update session check error:', error.message);
+        }
+        if (clients.has(client)) res.write(': ping\n\n');
+    }, HEARTBEAT_MS);
+    expiry = closeAt ? setTimeout(client.end, Math.max(closeAt - Date.now(), 0)) : null;
+
+    req.on('close', client.end);
+
+    send(client, 'ready', { rooms: [...client.rooms] });
+};
+
+// Push an event to every client in any of the rooms (once per client)
+const publish = (rooms, event, data) => {
+    const targets = new Set(rooms);
+    clients.forEach(client => {
+        if ([...client.rooms].some(room => targets.has(room))) {
+            try {
+                send(client, event, data);
+            } catch (error) {
+                console.error('❌ Live update error:', error.message);
+            }
+        }
+    });
+};
+
+// End the streams of a session, or of every session of a user (logout, revocation, deactivation)
+const disconnect = ({ userId, sessionId }) => {
+    clients.forEach(client => {
+        if ((sessionId && client.sessionId === String(sessionId)) || (userId && client.userId === String(userId))) {
+            client.end();
+        }
+    });
+};
+
+const connectionCount = () => clients.size;
+
+module.exports = {
+    ADMIN_ROOM,
+    userRoom,
+    courseRoom,
+    departmentRoom,
+    semesterRoom,
+    issueTicket,
+    redeemTicket,
+    subscribe,
+    publish,
+    disconnect,
+    connectionCount
+};
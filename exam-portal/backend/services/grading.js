@@ -0,0 +1,121 @@
+// Automatic grading for exam attempts
+
+const normalizeText = (text) => String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const isAnswered = (question, answer) => {
+    if (!answer) return false;
+    if (question.type === 'mcq' || question.type === 'multi') {
+        return answer.selectedOptions && answer.selectedOptions.length > 0;
+    }
+    if (question.type === 'numeric') {
+        return answer.numericAnswer !== null && answer.numericAnswer !== undefined && !isNaN(answer.numericAnswer);
+    }
+    return normalizeText(answer.textAnswer) !== '';
+};
+
+// Grade a single answer. negativeMarking is the fraction of the question's
+// marks deducted for a wrong objective answer (short answers are never penalised,
+// since exact matching can reject a correctly phrased answer).
+const gradeAnswer = (question, answer, negativeMarking = 0) => {
+    const marks = question.marks || 0;
+    const penalty = -marks * (negativeMarking || 0);
+
+    if (!isAnswered(question, answer)) {
+        return { result: 'unanswered', marksAwarded: 0 };
+    }
+
+    if (question.type === 'mcq') {
+        const selected = [...new Set(answer.selectedOptions)];
+        const isCorrect = selected.length === 1 && question.correctOptions.includes(selected[0]);
+        return isCorrect
+            ? { result: 'correct', marksAwarded: marks }
+            : { result: 'incorrect', marksAwarded: penalty };
+    }
+
+    if (question.type === 'multi') {
+        // Any wrong option voids the answer; otherwise credit is proportional
+        // to the share of correct options picked
+        const selected = [...new Set(answer.selectedOptions)];
+        const hasWrong = selected.some(option => !question.correctOptions.includes(option));
+        if (hasWrong) {
+            return { result: 'incorrect', marksAwarded: penalty };
+        }
+        const picked = selected.length;
+        const total = question.correctOptions.length;
+        if (picked === total) {
+            return { result: 'correct', marksAwarded: marks };
+        }
+        return { result: 'partial', marksAwarded: marks * picked / total };
+    }
+
+    if (question.type === 'numeric') {
+        const tolerance = Math.abs(question.tolerance || 0);
+        const isCorrect = Math.abs(answer.numericAnswer - question.numericAnswer) <= tolerance;
+        return isCorrect
+            ? { result: 'correct', marksAwarded: marks }
+            : { result: 'incorrect', marksAwarded: penalty };
+    }
+
+    const accepted = (question.acceptedAnswers || []).map(normalizeText);
+    return accepted.includes(normalizeText(answer.textAnswer))
+        ? { result: 'correct', marksAwarded: marks }
+        : { result: 'incorrect', marksAwarded: 0 };
+};
+
+// Grade every question of an exam against an attempt's answers
+const gradeAttempt = (attempt, questions, negativeMarking = 0) => {
+    const results = questions.map(question => {
+        const answer = attempt.answers.find(a => a.questionId.toString() === question._id.toString());
+        const { result, marksAwarded } = gradeAnswer(question, answer, negativeMarking);
+        return {
+            questionId: question._id,
+            result,
+            marksAwarded: Math.round(marksAwarded * 100) / 100
+        };
+    });
+
+    const score = Math.round(results.reduce((sum, r) => sum + r.marksAwarded, 0) * 100) / 100;
+    const maxScore = questions.reduce((sum, q) => sum + (q.marks || 0), 0);
+
+    return { results, score, maxScore };
+};
+
+// Mean, median and a 10-bucket histogram over percentage scores
+const computeStatistics = (percentages, bucketCount = 10) => {
+    const sorted = [...percentages].sort((a, b) => a - b);
+    const count = sorted.length;
+    const bucketSize = 100 / bucketCount;
+
+    const histogram = Array.from({ length: bucketCount }, (_, i) => ({
+        range: `${i * bucketSize}-${(i + 1) * bucketSize}`,
+        count: 0
+    }));
+    sorted.forEach(p => {
+        const index = Math.min(bucketCount - 1, Math.max(0, Math.floor(p / bucketSize)));
+        histogram[index].count++;
+    });
+
+    if (count === 0) {
+        return { count, mean: 0, median: 0, min: 0, max: 0, histogram };
+    }
+
+    const mean = sorted.reduce((sum, p) => sum + p, 0) / count;
+    const median = count % 2 === 1
+        ? sorted[(count - 1) / 2]
+        : (sorted[count / 2 - 1] + sorted[count / 2]) / 2;
+
+    return {
+        count,
+        mean: Math.round(mean * 100) / 100,
+        median: Math.round(median * 100) / 100,
+        min: sorted[0],
+        max: sorted[count - 1],
+        histogram
+    };
+};
+
+module.exports = {
+    gradeAnswer,
+    gradeAttempt,
+    computeStatistics
+};
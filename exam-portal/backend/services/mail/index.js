@@ -0,0 +1,63 @@
+// Outgoing mail through the transport chosen with MAIL_TRANSPORT (outbox | smtp).
+// A transport is { name, send({ from, to, subject, text }) }.
+
+const os = require('os');
+const path = require('path');
+
+const createTransport = () => {
+    const transport = (process.env.MAIL_TRANSPORT || 'outbox').toLowerCase();
+
+    if (transport === 'smtp') {
+        const createSmtpTransport = require('./smtp');
+        return createSmtpTransport({
+            host: process.env.SMTP_HOST || 'localhost',
+            port: parseInt(process.env.SMTP_PORT) || 1025,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        });
+    }
+
+    const createOutboxTransport = require('./outbox');
+    return createOutboxTransport({
+        dir: process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'exam-portal-mail')
+    });
+};
+
+const transport = createTransport();
+const MAIL_FROM = process.env.MAIL_FROM || 'Exam Portal <no-reply@exam-portal.local>';
+// Where links in emails point: the address the frontend is served from
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const sendMail = (to, subject, text) => transport.send({ from: MAIL_FROM, to, subject, text });
+
+const sendVerificationEmail = (user, token) => sendMail(
+    user.email,
+    'Verify your Exam Portal email',
+    `Hi ${user.name},\n\n` +
+    `Please confirm your email address by opening this link:\n${APP_URL}/?verify=${token}\n\n` +
+    'The link expires in 24 hours. If you did not sign up, you can ignore this email.'
+);
+
+const sendPasswordResetEmail = (user, token) => sendMail(
+    user.email,
+    'Reset your Exam Portal password',
+    `Hi ${user.name},\n\n` +
+    `Someone asked to reset your password. To choose a new one, open this link:\n${APP_URL}/?reset=${token}\n\n` +
+    'The link can be used once and expires in 1 hour. If this wasn\'t you, ignore this email; your password is unchanged.'
+);
+
+const sendPasswordChangedEmail = (user) => sendMail(
+    user.email,
+    'Your Exam Portal password was changed',
+    `Hi ${user.name},\n\n` +
+    'Your password was just changed and all devices were logged out. ' +
+    'If you didn\'t do this, reset your password right away and contact an admin.'
+);
+
+module.exports = {
+    transport,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+    sendPasswordChangedEmail
+};
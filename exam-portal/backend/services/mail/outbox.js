@@ -0,0 +1,19 @@
+// File-based outbox: every message is written as a JSON file instead of being sent.
+// Handy for development and tests, where a test can read the newest file to get a link.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const createOutboxTransport = ({ dir }) => ({
+    name: 'outbox',
+
+    async send(message) {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+        await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+        console.log('📧 Mail written to outbox:', file);
+    }
+});
+
+module.exports = createOutboxTransport;
@@ -0,0 +1,22 @@
+// SMTP transport, e.g. a real mail server or a local stand-in such as Mailpit or MailHog
+
+const nodemailer = require('nodemailer');
+
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: 'smtp',
+
+        async send(message) {
+            await transporter.sendMail(message);
+        }
+    };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,97 @@
+// In-app notifications: announcements, new materials, new assignments, grades and discussions.
+// They are stored per user and also pushed to connected clients.
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const { publish, userRoom } = require('./events');
+
+// The User.notificationPreferences flag that turns off each notification type
+const PREFERENCE_OF_TYPE = {
+    announcement: 'announcements',
+    material: 'materials',
+    assignment: 'assignments',
+    grade: 'grades',
+    comment: 'discussions'
+};
+
+const PREFERENCE_KEYS = Object.values(PREFERENCE_OF_TYPE);
+
+const formatNotification = (notification) => ({
+    id: notification._id.toString(),
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    targetType: notification.targetType,
+    targetId: notification.targetId,
+    read: Boolean(notification.readAt),
+    createdAt: notification.createdAt
+});
+
+// Students an audience reaches: the students of a course, otherwise the active
+// students of a department and/or semester (all of them when neither is set)
+const audienceUserIds = async ({ courseId, department, semester }) => {
+    if (courseId) {
+        const course = await Course.findById(courseId).select('students').lean();
+        return course ? course.students : [];
+    }
+
+    // Accounts created before statuses existed have no status field and count as active
+    const query = { role: 'student', status: { $in: ['active', null] } };
+    if (department) query.department = department;
+    if (semester) query.semester = parseInt(semester);
+    const students = await User.find(query).select('_id').lean();
+    return students.map(student => student._id);
+};
+
+// Notify users, skipping those who turned the type off and the user who caused it.
+// Returns how many were notified. Failures are logged and swallowed: whatever
+// triggered the notification has already happened.
+const notifyUsers = async (userIds, { type, title, message, targetType, targetId, excludeUserId }) => {
+    try {
+        const idFilter = { $in: userIds };
+        if (excludeUserId) idFilter.$ne = excludeUserId;
+
+        const recipients = await User.find({
+            _id: idFilter,
+            [`notificationPreferences.${PREFERENCE_OF_TYPE[type]}`]: { $ne: false }
+        }).select('_id').lean();
+
+        if (recipients.length === 0) return 0;
+
+        const notifications = await Notification.insertMany(recipients.map(user => ({
+            userId: user._id,
+            type,
+            title,
+            message: message || '',
+            targetType: targetType || '',
+            targetId: targetId ? targetId.toString() : ''
+        })));
+
+        // Connected recipients see it right away
+        notifications.forEach(notification => {
+            publish([userRoom(notification.userId)], 'notification', formatNotification(notification));
+        });
+        return recipients.length;
+    } catch (error) {
+        console.error('❌ Could not send notifications:', type, error.message);
+        return 0;
+    }
+};
+
+const notifyAudience = async (audience, notification) => {
+    try {
+        return await notifyUsers(await audienceUserIds(audience), notification);
+    } catch (error) {
+        console.error('❌ Could not send notifications:', notification.type, error.message);
+        return 0;
+    }
+};
+
+module.exports = {
+    PREFERENCE_KEYS,
+    formatNotification,
+    audienceUserIds,
+    notifyUsers,
+    notifyAudience
+};
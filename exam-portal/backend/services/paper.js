@@ -0,0 +1,53 @@
+// Question paper generation from the question bank
+
+const crypto = require('crypto');
+
+// Fisher-Yates shuffle returning a new array
+const shuffle = (items) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+// Pick `count` random questions for each { tag, difficulty, count } bucket.
+// A question is never picked twice, even if it matches several buckets.
+// Returns { questions } or { shortfalls } describing buckets that could not be filled.
+const pickFromBuckets = (pool, buckets) => {
+    const used = new Set();
+    const questions = [];
+    const shortfalls = [];
+
+    buckets.forEach(bucket => {
+        const tag = bucket.tag ? String(bucket.tag).trim().toLowerCase() : '';
+        const candidates = pool.filter(question =>
+            !used.has(question._id.toString()) &&
+            (!tag || (question.tags || []).includes(tag)) &&
+            (!bucket.difficulty || question.difficulty === bucket.difficulty)
+        );
+
+        if (candidates.length < bucket.count) {
+            shortfalls.push({
+                tag: tag || null,
+                difficulty: bucket.difficulty || null,
+                requested: bucket.count,
+                available: candidates.length
+            });
+            return;
+        }
+
+        shuffle(candidates).slice(0, bucket.count).forEach(question => {
+            used.add(question._id.toString());
+            questions.push(question);
+        });
+    });
+
+    return shortfalls.length > 0 ? { shortfalls } : { questions };
+};
+
+module.exports = {
+    shuffle,
+    pickFromBuckets
+};
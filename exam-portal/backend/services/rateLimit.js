@@ -0,0 +1,77 @@
+// Fixed-window rate limiting per IP and per account, configured per route group.
+// Counters live in memory, so each server process limits on its own.
+
+// Defaults as "max/window", window in seconds (s), minutes (m) or hours (h);
+// override with RATE_LIMIT_<GROUP>_IP and RATE_LIMIT_<GROUP>_ACCOUNT, e.g. RATE_LIMIT_CHAT_ACCOUNT=30/1m
+const DEFAULT_LIMITS = {
+    auth: { ip: '100/15m', account: '10/15m' },
+    chat: { ip: '60/1m', account: '20/1m' },
+    upload: { ip: '60/1h', account: '30/1h' },
+    comment: { ip: '60/10m', account: '20/10m' }
+};
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+const parseLimit = (value) => {
+    const match = String(value || '').trim().match(/^(\d+)\/(\d+)([smh])$/);
+    if (!match) return null;
+    return { max: parseInt(match[1]), windowMs: parseInt(match[2]) * UNITS[match[3]] };
+};
+
+const limitFor = (group, scope) => {
+    const configured = process.env[`RATE_LIMIT_${group.toUpperCase()}_${scope.toUpperCase()}`];
+    if (configured === 'off') return null;
+    return parseLimit(configured) || parseLimit(DEFAULT_LIMITS[group][scope]);
+};
+
+// key -> { count, resetAt }
+const windows = new Map();
+
+// Count a hit; returns seconds until the window resets when over the limit, else 0
+const hit = (key, limit) => {
+    const now = Date.now();
+    let entry = windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + limit.windowMs };
+        windows.set(key, entry);
+    }
+    entry.count++;
+    return entry.count > limit.max ? Math.ceil((entry.resetAt - now) / 1000) : 0;
+};
+
+// Drop expired windows now and then so the map doesn't grow without bound
+setInterval(() => {
+    const now = Date.now();
+    windows.forEach((entry, key) => {
+        if (entry.resetAt <= now) windows.delete(key);
+    });
+}, 60 * 1000).unref();
+
+const sendTooManyRequests = (res, retryAfter, message) => {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({ error: message || `Too many requests. Please try again in ${retryAfter} seconds.`, retryAfter });
+};
+
+// Middleware limiting a route group by client IP and by account. The account is
+// the logged-in user when authMiddleware ran first, otherwise the email in the body.
+const rateLimit = (group) => (req, res, next) => {
+    const ipLimit = limitFor(group, 'ip');
+    const accountLimit = limitFor(group, 'account');
+
+    const checks = [];
+    if (ipLimit) checks.push([`${group}:ip:${req.ip}`, ipLimit]);
+
+    const account = req.user?.userId || (req.body?.email && String(req.body.email).toLowerCase().trim());
+    if (accountLimit && account) checks.push([`${group}:account:${account}`, accountLimit]);
+
+    const retryAfter = Math.max(0, ...checks.map(([key, limit]) => hit(key, limit)));
+    if (retryAfter > 0) {
+        return sendTooManyRequests(res, retryAfter);
+    }
+    next();
+};
+
+module.exports = {
+    rateLimit,
+    sendTooManyRequests
+};
@@ -0,0 +1,130 @@
+// Login sessions: short-lived JWT access tokens plus rotating refresh tokens
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { recordAudit } = require('./audit');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-key-2024';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+// Tabs and page loads racing to refresh send the same cookie; the previous token stays
+// usable this long after a rotation so the slower request isn't taken for a stolen token
+const REFRESH_GRACE_SECONDS = parseInt(process.env.REFRESH_GRACE_SECONDS) || 10;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found without scanning
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+    { userId: user._id.toString(), role: user.role, email: user.email, sid: sessionId.toString() },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET);
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Whether tokenHash is the token the session's current one just replaced
+const isRecentlyRotated = (session, tokenHash) => tokenHash === session.previousTokenHash &&
+    Boolean(session.rotatedAt) && Date.now() - session.rotatedAt.getTime() <= REFRESH_GRACE_SECONDS * 1000;
+
+// Start a session for a user on the requesting device
+const createSession = async (user, req) => {
+    const session = new Session({
+        userId: user._id,
+        tokenHash: 'pending',
+        userAgent: String(req.get('user-agent') || '').slice(0, 300),
+        ip: req.ip,
+        expiresAt: refreshExpiry()
+    });
+    const refreshToken = newRefreshToken(session._id);
+    session.tokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return { session, refreshToken, accessToken: signAccessToken(user, session._id) };
+};
+
+// Exchange a refresh token for a new one. Returns { session, refreshToken } or
+// null when the token is unknown, expired or revoked. The token a concurrent request
+// has just rotated returns { session, refreshToken: null }: the session stays valid and
+// the browser keeps the cookie the other request set. Presenting an older rotated token
+// revokes the session, since either copy may be in the wrong hands.
+const rotateRefreshToken = async (refreshToken, req) => {
+    const [sessionId] = String(refreshToken || '').split('.');
+    if (!sessionId || !/^[a-f0-9]{24}$/.test(sessionId)) return null;
+
+    const session = await Session.findById(sessionId);
+    if (!session || session.revokedAt || session.expiresAt < new Date()) return null;
+
+    const presentedHash = hashToken(refreshToken);
+    if (isRecentlyRotated(session, presentedHash)) {
+        return { session, refreshToken: null };
+    }
+    if (presentedHash === session.previousTokenHash) {
+        session.revokedAt = new Date();
+        await session.save();
+        console.warn('⚠️ Refresh token reuse detected, session revoked:', session._id.toString());
+        await recordAudit(req, {
+            action: 'auth.token_reused',
+            actorId: session.userId,
+            actorEmail: '',
+            targetType: 'Session',
+            targetId: session._id
+        });
+        return null;
+    }
+
+    const nextToken = newRefreshToken(session._id);
+    // Only the holder of the current token may rotate it; the filter makes concurrent refreshes safe
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+        {
+            tokenHash: hashToken(nextToken),
+            previousTokenHash: presentedHash,
+            rotatedAt: new Date(),
+            lastUsedAt: new Date(),
+            ip: req.ip,
+            expiresAt: refreshExpiry()
+        },
+        { new: true }
+    );
+    if (!rotated) {
+        // Another request rotated the same token between the read and the update
+        const current = await Session.findById(session._id);
+        return current && !current.revokedAt && isRecentlyRotated(current, presentedHash)
+            ? { session: current, refreshToken: null }
+            : null;
+    }
+
+    return { session: rotated, refreshToken: nextToken };
+};
+
+const revokeSession = (sessionId, userId) => Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { revokedAt: new Date() }
+);
+
+const revokeAllSessions = (userId) => Session.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date() }
+);
+
+const isSessionActive = (sessionId) => Session.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+});
+
+module.exports = {
+    REFRESH_TOKEN_DAYS,
+    signAccessToken,
+    verifyAccessToken,
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    isSessionActive
+};
@@ -0,0 +1,176 @@
+// Institutional single sign-on through an OpenID Connect identity provider, using
+// the authorization code flow with PKCE. Enabled when OIDC_ISSUER and OIDC_CLIENT_ID are set.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const config = {
+    issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID || '',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+    redirectUri: process.env.OIDC_REDIRECT_URI || 'http://localhost:5000/api/auth/sso/callback',
+    // Where the browser goes back to after the callback (the frontend)
+    appUrl: (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, ''),
+    scope: process.env.OIDC_SCOPE || 'openid email profile',
+    displayName: process.env.OIDC_DISPLAY_NAME || 'College account',
+    // Claim names may be dotted paths into nested claims, e.g. "attributes.department"
+    roleClaim: process.env.OIDC_ROLE_CLAIM || 'role',
+    departmentClaim: process.env.OIDC_DEPARTMENT_CLAIM || 'department',
+    semesterClaim: process.env.OIDC_SEMESTER_CLAIM || 'semester',
+    defaultRole: process.env.OIDC_DEFAULT_ROLE || 'student',
+    // Faculty from the IdP wait for admin approval like self-registered faculty, unless the IdP's roles are trusted
+    trustFacultyRole: process.env.OIDC_TRUST_FACULTY_ROLE === 'true'
+};
+
+// "idpValue:portalRole" pairs; IdP roles not listed here are ignored
+const parseRoleMap = (value) => Object.fromEntries(
+    String(value).split(',')
+        .map(pair => pair.split(':').map(part => part.trim()))
+        .filter(([from, to]) => from && ['student', 'faculty', 'admin'].includes(to))
+        .map(([from, to]) => [from.toLowerCase(), to])
+);
+
+const roleMap = parseRoleMap(process.env.OIDC_ROLE_MAP || 'student:student,faculty:faculty,teacher:faculty,staff:faculty');
+
+const isEnabled = () => Boolean(config.issuer && config.clientId);
+
+let discovery = null;
+let signingKeys = new Map();
+
+const fetchJson = async (url, options = {}) => {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(10000) });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(body.error_description || body.error || `${url} responded with ${response.status}`);
+    }
+    return body;
+};
+
+// Provider metadata; cached once it loads, retried on the next login if it fails
+const getDiscovery = async () => {
+    if (!discovery) {
+        discovery = fetchJson(`${config.issuer}/.well-known/openid-configuration`).catch(error => {
+            discovery = null;
+            throw error;
+        });
+    }
+    return discovery;
+};
+
+// Public key for a token's "kid"; the key set is fetched again when the kid is unknown,
+// so keys rotated at the provider are picked up
+const getSigningKey = async (kid) => {
+    if (!signingKeys.has(kid)) {
+        const { jwks_uri: jwksUri } = await getDiscovery();
+        const { keys = [] } = await fetchJson(jwksUri);
+        signingKeys = new Map(keys
+            .filter(key => !key.use || key.use === 'sig')
+            .map(key => [key.kid, crypto.createPublicKey({ key, format: 'jwk' })]));
+    }
+    const key = signingKeys.get(kid) || (!kid && signingKeys.size === 1 ? [...signingKeys.values()][0] : null);
+    if (!key) throw new Error('ID token is signed with an unknown key');
+    return key;
+};
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Start a login. Returns the provider URL to redirect to, and the state, nonce and
+// PKCE verifier that must be kept (in a cookie) until the callback.
+const createAuthorizationRequest = async () => {
+    const { authorization_endpoint: authorizationEndpoint } = await getDiscovery();
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+
+    const url = new URL(authorizationEndpoint);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: config.clientId,
+        redirect_uri: config.redirectUri,
+        scope: config.scope,
+        state,
+        nonce,
+        code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+        code_challenge_method: 'S256'
+    }).toString();
+
+    return { url: url.toString(), state, nonce, codeVerifier };
+};
+
+// Exchange the callback's code for tokens and return the verified ID token claims,
+// merged with the userinfo endpoint's claims when the provider has one
+const completeAuthorization = async ({ code, codeVerifier, nonce }) => {
+    const metadata = await getDiscovery();
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (config.clientSecret) {
+        const credentials = `${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+    const tokens = await fetchJson(metadata.token_endpoint, {
+        method: 'POST',
+        headers,
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: config.redirectUri,
+            client_id: config.clientId,
+            code_verifier: codeVerifier
+        }).toString()
+    });
+    if (!tokens.id_token) throw new Error('Identity provider returned no ID token');
+
+    const decoded = jwt.decode(tokens.id_token, { complete: true });
+    if (!decoded) throw new Error('Malformed ID token');
+
+    const key = await getSigningKey(decoded.header.kid);
+    const claims = jwt.verify(tokens.id_token, key, {
+        algorithms: ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'],
+        issuer: metadata.issuer,
+        audience: config.clientId
+    });
+    if (claims.nonce !== nonce) throw new Error('ID token nonce mismatch');
+
+    if (metadata.userinfo_endpoint && tokens.access_token) {
+        const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+            headers: { Authorization: `Bearer ${tokens.access_token}` }
+        });
+        if (userinfo.sub === claims.sub) {
+            return { ...userinfo, ...claims };
+        }
+    }
+    return claims;
+};
+
+const claimValue = (claims, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+
+// Map IdP claims onto User fields. role, department and semester are null when the
+// IdP doesn't send them (or sends a role with no mapping).
+const mapClaims = (claims) => {
+    const roles = [].concat(claimValue(claims, config.roleClaim) || []).map(value => String(value).toLowerCase());
+    const mappedRole = roles.map(value => roleMap[value]).find(Boolean) || null;
+
+    const department = claimValue(claims, config.departmentClaim);
+    const semester = parseInt(claimValue(claims, config.semesterClaim));
+
+    const email = String(claims.email || '').toLowerCase().trim();
+    return {
+        issuer: claims.iss,
+        subject: claims.sub,
+        email,
+        // Only an explicit verification counts; IdPs that omit the claim may not check emails at all
+        emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+        name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || email.split('@')[0],
+        role: mappedRole,
+        department: department ? String(department).trim() : null,
+        semester: semester >= 1 && semester <= 8 ? semester : null
+    };
+};
+
+module.exports = {
+    config,
+    isEnabled,
+    createAuthorizationRequest,
+    completeAuthorization,
+    mapClaims
+};
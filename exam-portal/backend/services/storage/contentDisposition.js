@@ -0,0 +1,7 @@
+// Content-Disposition header value that survives non-ASCII file names
+const contentDisposition = (fileName, type = 'attachment') => {
+    const fallback = String(fileName).replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+module.exports = contentDisposition;
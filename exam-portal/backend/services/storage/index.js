@@ -0,0 +1,35 @@
+// Storage backend for uploaded files, chosen with STORAGE_DRIVER (local | s3)
+
+const path = require('path');
+const contentDisposition = require('./contentDisposition');
+
+const signedUrlTtl = parseInt(process.env.SIGNED_URL_TTL_SECONDS) || 15 * 60;
+
+const createStorage = () => {
+    const driver = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+    if (driver === 's3') {
+        const createS3Storage = require('./s3');
+        return createS3Storage({
+            bucket: process.env.S3_BUCKET,
+            region: process.env.S3_REGION || 'us-east-1',
+            endpoint: process.env.S3_ENDPOINT,
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+            // MinIO and most self-hosted stand-ins need path-style URLs
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+            signedUrlTtl
+        });
+    }
+
+    const createLocalStorage = require('./local');
+    return createLocalStorage({
+        root: process.env.UPLOADS_DIR || path.join(__dirname, '..', '..', 'uploads', 'uploads'),
+        secret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || 'fallback-secret-key-2024',
+        baseUrl: '/files',
+        signedUrlTtl
+    });
+};
+
+module.exports = createStorage();
+module.exports.contentDisposition = contentDisposition;
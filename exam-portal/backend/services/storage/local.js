@@ -0,0 +1,88 @@
+// Local disk storage. Files are served through HMAC-signed, expiring URLs
+// handled by the server's /files route instead of a public static directory.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const createLocalStorage = ({ root, secret, baseUrl, signedUrlTtl }) => {
+    // Keys are plain file names; anything path-like is reduced to its base name
+    const resolvePath = (key) => path.join(root, path.basename(String(key)));
+
+    // Covers everything the /files route takes from the query, so none of it can be swapped
+    const sign = (key, { expires, name, disposition, type }) => crypto
+        .createHmac('sha256', secret)
+        .update([key, expires, name, disposition, type].join('\n'))
+        .digest('hex');
+
+    return {
+        name: 'local',
+        resolvePath,
+
+        async save(key, sourcePath, contentType) {
+            await fs.promises.mkdir(root, { recursive: true });
+            // copy rather than rename: the temp upload may be on another device
+            await fs.promises.copyFile(sourcePath, resolvePath(key));
+        },
+
+        async remove(key) {
+            try {
+                await fs.promises.unlink(resolvePath(key));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        },
+
+        async exists(key) {
+            try {
+                await fs.promises.access(resolvePath(key));
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        async list() {
+            if (!fs.existsSync(root)) return [];
+            const entries = await fs.promises.readdir(root, { withFileTypes: true });
+            const files = [];
+            for (const entry of entries) {
+                if (!entry.isFile() || entry.name.startsWith('.')) continue;
+                const stats = await fs.promises.stat(path.join(root, entry.name));
+                files.push({ key: entry.name, lastModified: stats.mtime, size: stats.size });
+            }
+            return files;
+        },
+
+        async stat(key) {
+            const stats = await fs.promises.stat(resolvePath(key));
+            return { size: stats.size, contentType: null };
+        },
+
+        // range is an inclusive { start, end } byte range
+        async createReadStream(key, range) {
+            return fs.createReadStream(resolvePath(key), range);
+        },
+
+        async getSignedUrl(key, { fileName, disposition = 'attachment', contentType } = {}, expiresIn = signedUrlTtl) {
+            const params = {
+                expires: String(Math.floor(Date.now() / 1000) + expiresIn),
+                name: fileName || path.basename(String(key)),
+                disposition,
+                type: contentType || ''
+            };
+            const query = new URLSearchParams({ ...params, signature: sign(key, params) });
+            return `${baseUrl}/${encodeURIComponent(key)}?${query.toString()}`;
+        },
+
+        // Check the query of a /files request produced by getSignedUrl
+        verifySignature(key, { expires, name = '', disposition = '', type = '', signature }) {
+            if (!expires || !signature || Number(expires) < Date.now() / 1000) return false;
+            const expected = Buffer.from(sign(key, { expires, name, disposition, type }));
+            const given = Buffer.from(String(signature));
+            return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+        }
+    };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,96 @@
+// S3-compatible storage (AWS S3, MinIO, ...). Downloads use presigned GET URLs.
+
+const fs = require('fs');
+const {
+    S3Client,
+    PutObjectCommand,
+    DeleteObjectCommand,
+    HeadObjectCommand,
+    GetObjectCommand,
+    ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const contentDisposition = require('./contentDisposition');
+
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, signedUrlTtl }) => {
+    if (!bucket) {
+        throw new Error('S3_BUCKET must be set when STORAGE_DRIVER=s3');
+    }
+
+    const client = new S3Client({
+        region,
+        endpoint: endpoint || undefined,
+        forcePathStyle,
+        credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+    });
+
+    return {
+        name: 's3',
+
+        async save(key, sourcePath, contentType) {
+            const { size } = await fs.promises.stat(sourcePath);
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: fs.createReadStream(sourcePath),
+                ContentLength: size,
+                ContentType: contentType || 'application/octet-stream'
+            }));
+        },
+
+        async remove(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        },
+
+        async exists(key) {
+            try {
+                await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+                return true;
+            } catch (error) {
+                if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return false;
+                throw error;
+            }
+        },
+
+        async list() {
+            const files = [];
+            let ContinuationToken;
+            do {
+                const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, ContinuationToken }));
+                (page.Contents || []).forEach(object => files.push({
+                    key: object.Key,
+                    lastModified: object.LastModified,
+                    size: object.Size
+                }));
+                ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (ContinuationToken);
+            return files;
+        },
+
+        async stat(key) {
+            const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+            return { size: head.ContentLength, contentType: head.ContentType || null };
+        },
+
+        // range is an inclusive { start, end } byte range
+        async createReadStream(key, range) {
+            const object = await client.send(new GetObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Range: range ? `bytes=${range.start}-${range.end}` : undefined
+            }));
+            return object.Body;
+        },
+
+        async getSignedUrl(key, { fileName, disposition = 'attachment', contentType } = {}, expiresIn = signedUrlTtl) {
+            return getSignedUrl(client, new GetObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                ResponseContentDisposition: fileName ? contentDisposition(fileName, disposition) : undefined,
+                ResponseContentType: contentType || undefined
+            }), { expiresIn });
+        }
+    };
+};
+
+module.exports = createS3Storage;
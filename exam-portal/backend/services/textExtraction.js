@@ -0,0 +1,90 @@
+// Plain text extraction from uploaded documents, stored on the material for full-text search
+
+const fs = require('fs');
+// The package's index.js runs a self-test when loaded without a parent module
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+
+// Keep well below MongoDB's 16 MB document limit
+const MAX_TEXT_LENGTH = 500000;
+
+// Snippets come from the start of a document's text; searches load no more than this per material
+const SNIPPET_SCAN_LENGTH = 100000;
+
+const normalizeWhitespace = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+// Extract the text of a PDF or DOCX file. Other types (images, slides) have no
+// indexed text and return ''. Extraction failures are logged, never thrown, so a
+// malformed document can still be uploaded.
+const extractText = async (filePath, mimeType) => {
+    try {
+        let text = '';
+        if (mimeType === 'application/pdf') {
+            const result = await pdfParse(await fs.promises.readFile(filePath));
+            text = result.text;
+        } else if (mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+            const result = await mammoth.extractRawText({ path: filePath });
+            text = result.value;
+        }
+        return normalizeWhitespace(text).slice(0, MAX_TEXT_LENGTH);
+    } catch (error) {
+        console.error('❌ Text extraction failed:', error.message);
+        return '';
+    }
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Pick the part of text (within its first SNIPPET_SCAN_LENGTH characters) with the most
+// search-term hits and report where the hits are. Returns { text, highlights: [[start, end], ...] }
+// with offsets into the snippet, or null when no term occurs in the text.
+const buildSnippet = (fullText, terms, length = 200) => {
+    const words = terms.map(term => term.trim()).filter(Boolean);
+    if (!fullText || words.length === 0) return null;
+    const text = fullText.length > SNIPPET_SCAN_LENGTH ? fullText.slice(0, SNIPPET_SCAN_LENGTH) : fullText;
+
+    const pattern = new RegExp(words.map(escapeRegex).join('|'), 'gi');
+    const matches = [...text.matchAll(pattern)];
+    if (matches.length === 0) return null;
+
+    // Slide a window over the matches (in text order): for each first match, advance the
+    // last one while it still fits, and keep the window covering the most matches
+    let best = matches[0].index;
+    let bestCount = 0;
+    let last = 0;
+    for (let first = 0; first < matches.length; first++) {
+        while (last < matches.length && matches[last].index < matches[first].index + length) {
+            last++;
+        }
+        if (last - first > bestCount) {
+            best = matches[first].index;
+            bestCount = last - first;
+        }
+    }
+
+    // Start a little before the first hit, on a word boundary
+    let start = Math.max(0, best - 40);
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        if (space !== -1 && space < best) start = space + 1;
+    }
+    let end = Math.min(text.length, start + length);
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        if (space > best) end = space;
+    }
+
+    const snippet = text.slice(start, end);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < fullText.length ? '…' : '';
+    const highlights = [...snippet.matchAll(pattern)]
+        .map(m => [prefix.length + m.index, prefix.length + m.index + m[0].length]);
+
+    return { text: prefix + snippet + suffix, highlights };
+};
+
+module.exports = {
+    SNIPPET_SCAN_LENGTH,
+    extractText,
+    buildSnippet
+};
@@ -0,0 +1,112 @@
+// Upload checks: real file type from magic bytes, safe file names and content hashes
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ALLOWED_TYPES = {
+    pdf: { mimeType: 'application/pdf', extension: '.pdf' },
+    docx: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: '.docx' },
+    pptx: { mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extension: '.pptx' },
+    png: { mimeType: 'image/png', extension: '.png' },
+    jpeg: { mimeType: 'image/jpeg', extension: '.jpg' },
+    gif: { mimeType: 'image/gif', extension: '.gif' },
+    webp: { mimeType: 'image/webp', extension: '.webp' }
+};
+
+const readBytes = async (handle, position, length) => {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+};
+
+// DOCX and PPTX are both ZIP archives; tell them apart by the entries in the
+// central directory (word/... or ppt/...), which sits at the end of the file
+const readZipEntryNames = async (handle, size) => {
+    // End-of-central-directory record: 22 bytes plus an optional comment of up to 64 KB
+    const tailLength = Math.min(size, 22 + 0xffff);
+    const tail = await readBytes(handle, size - tailLength, tailLength);
+    const eocd = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (eocd === -1 || eocd + 22 > tail.length) return [];
+
+    const directorySize = tail.readUInt32LE(eocd + 12);
+    const directoryOffset = tail.readUInt32LE(eocd + 16);
+    if (directoryOffset + directorySize > size) return [];
+
+    const directory = await readBytes(handle, directoryOffset, directorySize);
+    const names = [];
+    let offset = 0;
+    while (offset + 46 <= directory.length && directory.readUInt32LE(offset) === 0x02014b50) {
+        const nameLength = directory.readUInt16LE(offset + 28);
+        const extraLength = directory.readUInt16LE(offset + 30);
+        const commentLength = directory.readUInt16LE(offset + 32);
+        names.push(directory.toString('utf8', offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return names;
+};
+
+// Detect the type of a file from its content. Returns an entry of ALLOWED_TYPES,
+// or null when the file is not one of the allowed document types.
+const detectFileType = async (filePath) => {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const head = await readBytes(handle, 0, 16);
+
+        if (head.subarray(0, 5).toString('latin1') === '%PDF-') {
+            return ALLOWED_TYPES.pdf;
+        }
+        if (head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+            return ALLOWED_TYPES.png;
+        }
+        if (head.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff]))) {
+            return ALLOWED_TYPES.jpeg;
+        }
+        if (['GIF87a', 'GIF89a'].includes(head.subarray(0, 6).toString('latin1'))) {
+            return ALLOWED_TYPES.gif;
+        }
+        if (head.subarray(0, 4).toString('latin1') === 'RIFF' && head.subarray(8, 12).toString('latin1') === 'WEBP') {
+            return ALLOWED_TYPES.webp;
+        }
+        if (head.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) {
+            const names = await readZipEntryNames(handle, size);
+            if (names.includes('[Content_Types].xml')) {
+                if (names.includes('word/document.xml')) return ALLOWED_TYPES.docx;
+                if (names.includes('ppt/presentation.xml')) return ALLOWED_TYPES.pptx;
+            }
+        }
+        return null;
+    } finally {
+        await handle.close();
+    }
+};
+
+// SHA-256 of a file's content, used as its storage key and to spot duplicates
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Reduce a client-supplied name to a safe display name whose extension matches the detected type
+const sanitizeFileName = (originalName, fileType) => {
+    const baseName = path.basename(String(originalName || '').replace(/\\/g, '/'));
+    const stem = baseName.slice(0, baseName.length - path.extname(baseName).length)
+        .normalize('NFC')
+        .replace(/[\u0000-\u001f\u007f<>:"/\\|?*]/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s.]+|[\s.]+$/g, '')
+        .slice(0, 100);
+
+    return (stem || 'file') + fileType.extension;
+};
+
+module.exports = {
+    ALLOWED_TYPES,
+    detectFileType,
+    hashFile,
+    sanitizeFileName
+};
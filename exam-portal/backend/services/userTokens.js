@@ -0,0 +1,43 @@
+// Single-use, expiring tokens for email verification and password reset links
+
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+
+const TOKEN_TTL_MS = {
+    'verify-email': 24 * 60 * 60 * 1000,
+    'reset-password': 60 * 60 * 1000
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Create a token for a user, replacing any unused one for the same purpose
+// so only the most recent email's link works. Returns the raw token.
+const issueUserToken = async (userId, purpose) => {
+    await UserToken.deleteMany({ userId, purpose, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await UserToken.create({
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+    });
+    return token;
+};
+
+// Mark a token used and return its user id, or null if it is unknown, expired or
+// already used. The single update makes double submission of a link harmless.
+const consumeUserToken = async (token, purpose) => {
+    if (!token) return null;
+
+    const record = await UserToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() }
+    );
+    return record ? record.userId : null;
+};
+
+module.exports = {
+    issueUserToken,
+    consumeUserToken
+};
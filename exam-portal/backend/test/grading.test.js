@@ -0,0 +1,83 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { gradeAnswer, gradeAttempt, computeStatistics } = require('../services/grading');
+
+const mcq = { _id: 'q1', type: 'mcq', marks: 4, correctOptions: [2] };
+const multi = { _id: 'q2', type: 'multi', marks: 4, correctOptions: [0, 1] };
+const numeric = { _id: 'q3', type: 'numeric', marks: 2, numericAnswer: 9.81, tolerance: 0.01 };
+const short = { _id: 'q4', type: 'short', marks: 1, acceptedAnswers: ['Binary Search Tree', 'BST'] };
+
+describe('gradeAnswer', () => {
+    test('marks a missing or empty answer unanswered', () => {
+        assert.deepEqual(gradeAnswer(mcq, undefined), { result: 'unanswered', marksAwarded: 0 });
+        assert.deepEqual(gradeAnswer(mcq, { selectedOptions: [] }, 0.25), { result: 'unanswered', marksAwarded: 0 });
+        assert.deepEqual(gradeAnswer(numeric, { numericAnswer: null }), { result: 'unanswered', marksAwarded: 0 });
+        assert.deepEqual(gradeAnswer(short, { textAnswer: '   ' }), { result: 'unanswered', marksAwarded: 0 });
+    });
+
+    test('grades single-choice questions with negative marking', () => {
+        assert.deepEqual(gradeAnswer(mcq, { selectedOptions: [2] }, 0.25), { result: 'correct', marksAwarded: 4 });
+        assert.deepEqual(gradeAnswer(mcq, { selectedOptions: [1] }, 0.25), { result: 'incorrect', marksAwarded: -1 });
+        // Picking several options of a single-choice question is wrong
+        assert.equal(gradeAnswer(mcq, { selectedOptions: [1, 2] }).result, 'incorrect');
+    });
+
+    test('gives partial credit for multiple-choice questions unless a wrong option is picked', () => {
+        assert.deepEqual(gradeAnswer(multi, { selectedOptions: [0, 1] }), { result: 'correct', marksAwarded: 4 });
+        assert.deepEqual(gradeAnswer(multi, { selectedOptions: [1, 1] }), { result: 'partial', marksAwarded: 2 });
+        assert.deepEqual(gradeAnswer(multi, { selectedOptions: [0, 3] }, 0.5), { result: 'incorrect', marksAwarded: -2 });
+    });
+
+    test('accepts numeric answers within the tolerance', () => {
+        assert.equal(gradeAnswer(numeric, { numericAnswer: 9.8 }).result, 'correct');
+        assert.equal(gradeAnswer(numeric, { numericAnswer: 9.7 }).result, 'incorrect');
+        assert.equal(gradeAnswer(numeric, { numericAnswer: NaN }).result, 'unanswered');
+    });
+
+    test('matches short answers ignoring case and spacing, without a penalty', () => {
+        assert.equal(gradeAnswer(short, { textAnswer: '  binary   search tree ' }).result, 'correct');
+        assert.equal(gradeAnswer(short, { textAnswer: 'bst' }).result, 'correct');
+        assert.deepEqual(gradeAnswer(short, { textAnswer: 'heap' }, 1), { result: 'incorrect', marksAwarded: 0 });
+    });
+});
+
+describe('gradeAttempt', () => {
+    test('grades every question and totals the score', () => {
+        const attempt = {
+            answers: [
+                { questionId: 'q1', selectedOptions: [0] },
+                { questionId: 'q2', selectedOptions: [0] },
+                { questionId: 'q3', numericAnswer: 9.81 }
+            ]
+        };
+
+        const { results, score, maxScore } = gradeAttempt(attempt, [mcq, multi, numeric, short], 1 / 3);
+
+        assert.deepEqual(results.map(r => r.result), ['incorrect', 'partial', 'correct', 'unanswered']);
+        assert.equal(results[0].marksAwarded, -1.33);
+        assert.equal(score, 2.67);
+        assert.equal(maxScore, 11);
+    });
+});
+
+describe('computeStatistics', () => {
+    test('returns zeros and empty buckets without scores', () => {
+        const stats = computeStatistics([]);
+        assert.equal(stats.count, 0);
+        assert.equal(stats.mean, 0);
+        assert.equal(stats.histogram.length, 10);
+        assert.ok(stats.histogram.every(bucket => bucket.count === 0));
+    });
+
+    test('computes mean, median, range and histogram', () => {
+        const stats = computeStatistics([100, 40, 55, 0]);
+        assert.equal(stats.count, 4);
+        assert.equal(stats.mean, 48.75);
+        assert.equal(stats.median, 47.5);
+        assert.equal(stats.min, 0);
+        assert.equal(stats.max, 100);
+        // 100% goes in the top bucket rather than an eleventh one
+        assert.deepEqual(stats.histogram.map(bucket => bucket.count), [1, 0, 0, 0, 1, 1, 0, 0, 0, 1]);
+        assert.equal(stats.histogram[9].range, '90-100');
+    });
+});
@@ -0,0 +1,49 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseIntent } = require('../services/assistant/intent');
+
+const subjects = [
+    { name: 'Database Management Systems', code: 'CS301' },
+    { name: 'Operating Systems', code: 'CS302' },
+    { name: 'Data Structures', code: 'CS201' },
+    { name: 'Mathematics', code: 'MA101' }
+];
+
+describe('parseIntent', () => {
+    test('reads a material request with all its entities', () => {
+        assert.deepEqual(parseIntent('show me DBMS PYQs for sem 3 from 2023', subjects), {
+            intent: 'find_materials',
+            entities: { type: 'pyq', subject: 'Database Management Systems', semester: 3, year: 2023 }
+        });
+    });
+
+    test('understands other ways of naming types and semesters', () => {
+        const { entities } = parseIntent('previous year question papers of OS, 5th semester', subjects);
+        assert.equal(entities.type, 'pyq');
+        assert.equal(entities.subject, 'Operating Systems');
+        assert.equal(entities.semester, 5);
+
+        assert.equal(parseIntent('syllabus for semester IV', subjects).entities.semester, 4);
+        assert.equal(parseIntent('reference books for CS201', subjects).entities.subject, 'Data Structures');
+    });
+
+    test('treats explanations as questions', () => {
+        assert.deepEqual(parseIntent('what is normalization and why is it needed?', subjects), {
+            intent: 'question',
+            entities: { type: null, subject: null, semester: null, year: null }
+        });
+        // Naming a subject alone doesn't ask for a list
+        assert.equal(parseIntent('explain deadlocks in operating systems', subjects).intent, 'question');
+    });
+
+    test('lists materials when asked to find something with an entity', () => {
+        const { intent, entities } = parseIntent('do you have anything for mathematics?', subjects);
+        assert.equal(intent, 'find_materials');
+        assert.equal(entities.subject, 'Mathematics');
+    });
+
+    test('ignores out of range semesters and short common words', () => {
+        assert.equal(parseIntent('notes for sem 12', subjects).entities.semester, null);
+        assert.equal(parseIntent('is it on the exam', subjects).entities.subject, null);
+    });
+});
@@ -0,0 +1,144 @@
+// Notification titles carry other users' text (names, material titles); the browser
+// must show them as text. Runs frontend/script.js against a minimal fake DOM.
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT = fs.readFileSync(path.join(__dirname, '../../frontend/script.js'), 'utf8');
+
+const TITLE = '<img src=x onerror=alert(1)> mentioned you on "<b>DBMS Notes</b>"';
+
+// Everything assigned to innerHTML anywhere, to check no markup from a title gets through
+let htmlWrites;
+
+const fakeElement = (tagName = 'div') => {
+    let html = '';
+    return {
+        tagName,
+        children: [],
+        style: {},
+        dataset: {},
+        value: '',
+        checked: false,
+        disabled: false,
+        textContent: '',
+        // Pages count as hidden, so events don't trigger page reloads
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => true },
+        get innerHTML() {
+            return html;
+        },
+        set innerHTML(value) {
+            html = value;
+            htmlWrites.push(value);
+        },
+        append(...children) {
+            this.children.push(...children);
+        },
+        appendChild(child) {
+            this.children.push(child);
+            return child;
+        },
+        remove() {},
+        addEventListener() {},
+        querySelector: () => fakeElement(),
+        querySelectorAll: () => []
+    };
+};
+
+class FakeEventSource {
+    constructor(url) {
+        this.url = url;
+        this.listeners = {};
+        FakeEventSource.last = this;
+    }
+
+    addEventListener(event, listener) {
+        this.listeners[event] = listener;
+    }
+
+    close() {}
+}
+
+// A fresh browser page with the script loaded; responses maps API paths to JSON bodies
+const loadPage = (responses) => {
+    const elements = new Map();
+    const document = {
+        head: fakeElement('head'),
+        body: fakeElement('body'),
+        addEventListener() {},
+        createElement: fakeElement,
+        getElementById: (id) => {
+            if (!elements.has(id)) elements.set(id, fakeElement());
+            return elements.get(id);
+        },
+        querySelector: () => fakeElement(),
+        querySelectorAll: () => []
+    };
+    const context = vm.createContext({
+        document,
+        console: { log() {}, warn() {}, error() {} },
+        setTimeout: () => 0,
+        clearTimeout() {},
+        URLSearchParams,
+        EventSource: FakeEventSource,
+        fetch: async (url) => {
+            const apiPath = url.replace('http://localhost:5000/api', '').split('?')[0];
+            return { ok: true, status: 200, json: async () => responses[apiPath] || {} };
+        },
+        addEventListener() {}
+    });
+    context.window = context;
+    vm.runInContext(SCRIPT, context);
+    vm.runInContext("authToken = 'access-token';", context);
+    return { context, document };
+};
+
+beforeEach(() => {
+    htmlWrites = [];
+});
+
+describe('notification display', () => {
+    test('shows live notification titles as text', async () => {
+        const { context, document } = loadPage({
+            '/events/ticket': { ticket: 'ticket' },
+            '/notifications/unread-count': { count: 1 }
+        });
+
+        await vm.runInContext('connectLiveUpdates()', context);
+        FakeEventSource.last.listeners.notification({ data: JSON.stringify({ title: TITLE }) });
+
+        const toast = document.body.children.at(-1);
+        assert.equal(toast.children[0].textContent, `🔔 ${TITLE}`);
+        assert.ok(htmlWrites.every(html => !html.includes('<img')));
+    });
+
+    test('escapes titles and messages on the notifications page', async () => {
+        const { context, document } = loadPage({
+            '/notifications': {
+                notifications: [{
+                    id: 'n1',
+                    type: 'comment',
+                    read: false,
+                    targetId: 'm1',
+                    title: TITLE,
+                    message: '<script>steal()</script>',
+                    createdAt: new Date().toISOString()
+                }],
+                unreadCount: 1,
+                total: 1,
+                page: 1,
+                pages: 1
+            }
+        });
+
+        await vm.runInContext('loadNotifications()', context);
+
+        const list = document.getElementById('notificationsList').innerHTML;
+        assert.ok(list.includes('&lt;img src=x onerror=alert(1)&gt; mentioned you on &quot;&lt;b&gt;DBMS Notes&lt;/b&gt;&quot;'));
+        assert.ok(list.includes('&lt;script&gt;steal()&lt;/script&gt;'));
+        assert.ok(!list.includes('<img') && !list.includes('<script'));
+    });
+});
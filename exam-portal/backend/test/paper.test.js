@@ -0,0 +1,59 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { shuffle, pickFromBuckets } = require('../services/paper');
+
+const question = (id, tags, difficulty) => ({ _id: id, tags, difficulty });
+
+const pool = [
+    question('q1', ['sql'], 'easy'),
+    question('q2', ['sql'], 'easy'),
+    question('q3', ['sql', 'joins'], 'hard'),
+    question('q4', ['joins'], 'medium'),
+    question('q5', ['normalization'], 'easy')
+];
+
+describe('shuffle', () => {
+    test('returns a new array with the same items', () => {
+        const items = [1, 2, 3, 4, 5, 6];
+        const shuffled = shuffle(items);
+
+        assert.notEqual(shuffled, items);
+        assert.deepEqual([...shuffled].sort(), items);
+        assert.deepEqual(items, [1, 2, 3, 4, 5, 6]);
+    });
+});
+
+describe('pickFromBuckets', () => {
+    test('fills each bucket from matching questions', () => {
+        const { questions, shortfalls } = pickFromBuckets(pool, [
+            { tag: 'SQL ', difficulty: 'easy', count: 2 },
+            { tag: 'joins', count: 1 }
+        ]);
+
+        assert.equal(shortfalls, undefined);
+        assert.deepEqual(questions.slice(0, 2).map(q => q._id).sort(), ['q1', 'q2']);
+        assert.ok(['q3', 'q4'].includes(questions[2]._id));
+    });
+
+    test('never picks a question twice', () => {
+        const { questions } = pickFromBuckets(pool, [
+            { tag: 'sql', count: 3 },
+            { count: 2 }
+        ]);
+
+        const ids = questions.map(q => q._id);
+        assert.equal(new Set(ids).size, 5);
+    });
+
+    test('reports buckets that cannot be filled', () => {
+        const result = pickFromBuckets(pool, [
+            { tag: 'normalization', count: 1 },
+            { tag: 'joins', difficulty: 'hard', count: 2 }
+        ]);
+
+        assert.equal(result.questions, undefined);
+        assert.deepEqual(result.shortfalls, [
+            { tag: 'joins', difficulty: 'hard', requested: 2, available: 1 }
+        ]);
+    });
+});
@@ -0,0 +1,103 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { rateLimit } = require('../services/rateLimit');
+
+const fakeResponse = () => ({
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(name, value) {
+        this.headers[name] = value;
+        return this;
+    },
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    }
+});
+
+// Run the middleware once; returns the response, with passed telling whether next() was called
+const run = (middleware, req) => {
+    const res = fakeResponse();
+    res.passed = false;
+    middleware(req, res, () => {
+        res.passed = true;
+    });
+    return res;
+};
+
+const ENV_KEYS = ['RATE_LIMIT_CHAT_IP', 'RATE_LIMIT_CHAT_ACCOUNT', 'RATE_LIMIT_AUTH_IP', 'RATE_LIMIT_AUTH_ACCOUNT'];
+let savedEnv;
+
+beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+});
+
+afterEach(() => {
+    ENV_KEYS.forEach(key => {
+        if (savedEnv[key] === undefined) delete process.env[key];
+        else process.env[key] = savedEnv[key];
+    });
+});
+
+describe('rateLimit', () => {
+    test('limits each IP and answers 429 with Retry-After once over the limit', () => {
+        process.env.RATE_LIMIT_CHAT_IP = '2/1m';
+        process.env.RATE_LIMIT_CHAT_ACCOUNT = 'off';
+        const limit = rateLimit('chat');
+
+        assert.ok(run(limit, { ip: '10.0.0.1' }).passed);
+        assert.ok(run(limit, { ip: '10.0.0.1' }).passed);
+        const blocked = run(limit, { ip: '10.0.0.1' });
+
+        assert.equal(blocked.passed, false);
+        assert.equal(blocked.statusCode, 429);
+        assert.ok(Number(blocked.headers['Retry-After']) > 0 && Number(blocked.headers['Retry-After']) <= 60);
+        assert.equal(blocked.body.retryAfter, Number(blocked.headers['Retry-After']));
+
+        // Other clients have their own window
+        assert.ok(run(limit, { ip: '10.0.0.2' }).passed);
+    });
+
+    test('limits an account across IPs, by user or by the email in the body', () => {
+        process.env.RATE_LIMIT_AUTH_IP = 'off';
+        process.env.RATE_LIMIT_AUTH_ACCOUNT = '1/1h';
+        const limit = rateLimit('auth');
+
+        assert.ok(run(limit, { ip: '10.0.1.1', body: { email: 'Student@Example.com' } }).passed);
+        assert.equal(run(limit, { ip: '10.0.1.2', body: { email: ' student@example.com ' } }).statusCode, 429);
+
+        assert.ok(run(limit, { ip: '10.0.1.3', user: { userId: 'user-1' } }).passed);
+        assert.equal(run(limit, { ip: '10.0.1.3', user: { userId: 'user-1' } }).statusCode, 429);
+        assert.ok(run(limit, { ip: '10.0.1.3', user: { userId: 'user-2' } }).passed);
+    });
+
+    test('starts a new window once the old one has passed', (t) => {
+        let now = Date.now();
+        t.mock.method(Date, 'now', () => now);
+        process.env.RATE_LIMIT_CHAT_IP = '1/10s';
+        process.env.RATE_LIMIT_CHAT_ACCOUNT = 'off';
+        const limit = rateLimit('chat');
+
+        assert.ok(run(limit, { ip: '10.0.2.1' }).passed);
+        assert.equal(run(limit, { ip: '10.0.2.1' }).statusCode, 429);
+        now += 10 * 1000;
+        assert.ok(run(limit, { ip: '10.0.2.1' }).passed);
+    });
+
+    test('falls back to the default for invalid settings', () => {
+        process.env.RATE_LIMIT_CHAT_IP = 'lots';
+        process.env.RATE_LIMIT_CHAT_ACCOUNT = 'off';
+        const limit = rateLimit('chat');
+
+        // Default: 60 per minute
+        for (let i = 0; i < 60; i++) {
+            assert.ok(run(limit, { ip: '10.0.3.1' }).passed);
+        }
+        assert.equal(run(limit, { ip: '10.0.3.1' }).statusCode, 429);
+    });
+});
@@ -0,0 +1,127 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const sessions = require('../services/sessions');
+
+// Session documents kept in memory instead of MongoDB, by id
+let stored;
+let audited;
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => {
+    const actual = doc[field];
+    if (value === null) return actual === null || actual === undefined;
+    return String(actual) === String(value);
+});
+
+beforeEach(() => {
+    stored = new Map();
+    audited = [];
+    mock.method(AuditLog, 'create', async (entry) => audited.push(entry));
+    mock.method(Session.prototype, 'save', async function () {
+        stored.set(this._id.toString(), this);
+        return this;
+    });
+    mock.method(Session, 'findById', async (id) => stored.get(String(id)) || null);
+    mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+        const doc = [...stored.values()].find(session => matches(session, filter));
+        if (!doc) return null;
+        Object.assign(doc, update);
+        return doc;
+    });
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+const user = { _id: new mongoose.Types.ObjectId(), role: 'student', email: 'student@example.com' };
+const req = { ip: '127.0.0.1', get: () => 'test-agent' };
+
+describe('sessions', () => {
+    test('creates a session with an access token naming it', async () => {
+        const { session, refreshToken, accessToken } = await sessions.createSession(user, req);
+
+        assert.ok(refreshToken.startsWith(`${session._id}.`));
+        assert.notEqual(session.tokenHash, refreshToken);
+        const decoded = sessions.verifyAccessToken(accessToken);
+        assert.equal(decoded.userId, user._id.toString());
+        assert.equal(decoded.sid, session._id.toString());
+        assert.equal(decoded.role, 'student');
+    });
+
+    test('rotates the refresh token on every use', async () => {
+        const { refreshToken } = await sessions.createSession(user, req);
+
+        const first = await sessions.rotateRefreshToken(refreshToken, req);
+        assert.ok(first);
+        assert.notEqual(first.refreshToken, refreshToken);
+
+        const second = await sessions.rotateRefreshToken(first.refreshToken, req);
+        assert.ok(second);
+        assert.equal(second.session._id.toString(), first.session._id.toString());
+    });
+
+    test('lets concurrent refreshes with the same cookie share one rotation', async () => {
+        const { session, refreshToken } = await sessions.createSession(user, req);
+
+        const results = await Promise.all([
+            sessions.rotateRefreshToken(refreshToken, req),
+            sessions.rotateRefreshToken(refreshToken, req)
+        ]);
+
+        assert.ok(results.every(result => result && result.session._id.equals(session._id)));
+        const issued = results.map(result => result.refreshToken).filter(Boolean);
+        assert.equal(issued.length, 1);
+        assert.equal(stored.get(session._id.toString()).revokedAt, null);
+        assert.equal(audited.length, 0);
+
+        // The token the winner issued keeps working
+        assert.ok(await sessions.rotateRefreshToken(issued[0], req));
+    });
+
+    test('accepts the replaced token briefly without rotating it again', async () => {
+        const { session, refreshToken } = await sessions.createSession(user, req);
+        const rotated = await sessions.rotateRefreshToken(refreshToken, req);
+
+        const late = await sessions.rotateRefreshToken(refreshToken, req);
+        assert.equal(late.refreshToken, null);
+        assert.equal(stored.get(session._id.toString()).revokedAt, null);
+        assert.ok(await sessions.rotateRefreshToken(rotated.refreshToken, req));
+    });
+
+    test('revokes the session when a rotated token is presented after the grace period', async (t) => {
+        const { session, refreshToken } = await sessions.createSession(user, req);
+        const rotated = await sessions.rotateRefreshToken(refreshToken, req);
+
+        const later = Date.now() + 60 * 1000;
+        t.mock.method(Date, 'now', () => later);
+        assert.equal(await sessions.rotateRefreshToken(refreshToken, req), null);
+        assert.ok(stored.get(session._id.toString()).revokedAt);
+        assert.equal(audited[0].action, 'auth.token_reused');
+        assert.equal(audited[0].targetId, session._id.toString());
+        // The current token is useless too, since it may be the stolen copy
+        assert.equal(await sessions.rotateRefreshToken(rotated.refreshToken, req), null);
+    });
+
+    test('rejects unknown, malformed, expired and revoked tokens', async () => {
+        assert.equal(await sessions.rotateRefreshToken(undefined, req), null);
+        assert.equal(await sessions.rotateRefreshToken('not-a-token', req), null);
+        assert.equal(await sessions.rotateRefreshToken(`${new mongoose.Types.ObjectId()}.secret`, req), null);
+
+        const expired = await sessions.createSession(user, req);
+        expired.session.expiresAt = new Date(Date.now() - 1000);
+        assert.equal(await sessions.rotateRefreshToken(expired.refreshToken, req), null);
+
+        const revoked = await sessions.createSession(user, req);
+        revoked.session.revokedAt = new Date();
+        assert.equal(await sessions.rotateRefreshToken(revoked.refreshToken, req), null);
+    });
+
+    test('rejects a guessed secret for a real session', async () => {
+        const { session } = await sessions.createSession(user, req);
+        assert.equal(await sessions.rotateRefreshToken(`${session._id}.guess`, req), null);
+        assert.equal(stored.get(session._id.toString()).revokedAt, null);
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ALLOWED_TYPES, detectFileType, hashFile, sanitizeFileName } = require('../services/uploadValidation');
+
+// A ZIP archive of empty, stored entries; enough for the central directory lookup
+const zipWith = (names) => {
+    const locals = [];
+    const entries = [];
+    let offset = 0;
+    names.forEach(name => {
+        const nameBytes = Buffer.from(name);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(nameBytes.length, 26);
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(nameBytes.length, 28);
+        entry.writeUInt32LE(offset, 42);
+        locals.push(local, nameBytes);
+        entries.push(entry, nameBytes);
+        offset += local.length + nameBytes.length;
+    });
+
+    const directory = Buffer.concat(entries);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(names.length, 8);
+    end.writeUInt16LE(names.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+};
+
+let dir;
+const write = (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+};
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'exam-portal-upload-test-'));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('detectFileType', () => {
+    test('recognises documents and images by their content', async () => {
+        assert.equal(await detectFileType(write('a.bin', '%PDF-1.7\n...')), ALLOWED_TYPES.pdf);
+        assert.equal(await detectFileType(write('b.bin', Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0]))), ALLOWED_TYPES.png);
+        assert.equal(await detectFileType(write('c.bin', Buffer.from([0xff, 0xd8, 0xff, 0xe0]))), ALLOWED_TYPES.jpeg);
+        assert.equal(await detectFileType(write('d.bin', 'GIF89a....')), ALLOWED_TYPES.gif);
+        assert.equal(await detectFileType(write('e.bin', 'RIFF\0\0\0\0WEBPVP8 ')), ALLOWED_TYPES.webp);
+    });
+
+    test('tells Word and PowerPoint files apart by their entries', async () => {
+        const docx = write('f.bin', zipWith(['[Content_Types].xml', 'word/document.xml']));
+        const pptx = write('g.bin', zipWith(['[Content_Types].xml', 'ppt/presentation.xml']));
+        assert.equal(await detectFileType(docx), ALLOWED_TYPES.docx);
+        assert.equal(await detectFileType(pptx), ALLOWED_TYPES.pptx);
+    });
+
+    test('rejects other files, whatever their name', async () => {
+        assert.equal(await detectFileType(write('notes.pdf', '<script>alert(1)</script>')), null);
+        assert.equal(await detectFileType(write('h.docx', zipWith(['payload.exe']))), null);
+        assert.equal(await detectFileType(write('empty.pdf', '')), null);
+    });
+});
+
+describe('hashFile', () => {
+    test('returns the SHA-256 of the content', async () => {
+        assert.equal(
+            await hashFile(write('hash.txt', 'abc')),
+            'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+        );
+    });
+});
+
+describe('sanitizeFileName', () => {
+    test('keeps the name but uses the extension of the detected type', () => {
+        assert.equal(sanitizeFileName('Unit 1 Notes.exe', ALLOWED_TYPES.pdf), 'Unit 1 Notes.pdf');
+        assert.equal(sanitizeFileName('scan.JPEG', ALLOWED_TYPES.jpeg), 'scan.jpg');
+    });
+
+    test('drops paths and unsafe characters', () => {
+        assert.equal(sanitizeFileName('..\\..\\windows\\evil<name>.pdf', ALLOWED_TYPES.pdf), 'evilname.pdf');
+        assert.equal(sanitizeFileName('../../etc/passwd', ALLOWED_TYPES.pdf), 'passwd.pdf');
+        assert.equal(sanitizeFileName('  ..hidden  \u0000 file. .docx', ALLOWED_TYPES.docx), 'hidden file.docx');
+    });
+
+    test('falls back to a generic name', () => {
+        assert.equal(sanitizeFileName('', ALLOWED_TYPES.png), 'file.png');
+        assert.equal(sanitizeFileName('...', ALLOWED_TYPES.png), 'file.png');
+    });
+});
@@ -2,8 +2,11 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const cookieParser = require('cookie-parser');
 const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
 const multer = require('multer');
 const mongoose = require('mongoose');
 
@@ -12,32 +15,204 @@ const connectDB = require('../../config/database');
 const User = require('../../models/User');
 const Material = require('../../models/Material');
 const Chat = require('../../models/Chat');
+const Conversation = require('../../models/Conversation');
+const Question = require('../../models/Question');
+const Exam = require('../../models/Exam');
+const Attempt = require('../../models/Attempt');
+const Department = require('../../models/Department');
+const Subject = require('../../models/Subject');
+const Course = require('../../models/Course');
+const Assignment = require('../../models/Assignment');
+const Submission = require('../../models/Submission');
+const Announcement = require('../../models/Announcement');
+const Notification = require('../../models/Notification');
+const Comment = require('../../models/Comment');
+const Review = require('../../models/Review');
+const Bookmark = require('../../models/Bookmark');
+const Collection = require('../../models/Collection');
+const DownloadLog = require('../../models/DownloadLog');
+const Session = require('../../models/Session');
+const AuditLog = require('../../models/AuditLog');
+const { gradeAttempt, computeStatistics } = require('../../services/grading');
+const { shuffle, pickFromBuckets } = require('../../services/paper');
+const fileStorage = require('../../services/storage');
+const { detectFileType, hashFile, sanitizeFileName } = require('../../services/uploadValidation');
+const { SNIPPET_SCAN_LENGTH, extractText, buildSnippet } = require('../../services/textExtraction');
+const { parseMessage, answerQuestion, findMaterials } = require('../../services/assistant');
+const sessions = require('../../services/sessions');
+const mail = require('../../services/mail');
+const { issueUserToken, consumeUserToken } = require('../../services/userTokens');
+const { rateLimit, sendTooManyRequests } = require('../../services/rateLimit');
+const { recordAudit, diffSnapshots } = require('../../services/audit');
+const sso = require('../../services/sso');
+const { PREFERENCE_KEYS, formatNotification, notifyUsers, notifyAudience } = require('../../services/notifications');
+const liveEvents = require('../../services/events');
 
 // Connect to MongoDB
 connectDB();
 
 const app = express();
 
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 or "loopback") makes req.ip the
+// client address from X-Forwarded-For, which rate limits and sessions rely on
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Middleware
+// The refresh token cookie needs credentialed CORS, which cannot use a wildcard
+// origin; only the origins in CORS_ORIGIN (comma-separated) may call the API with it,
+// by default the usual local development servers
+const DEFAULT_CORS_ORIGINS = 'http://localhost:3000,http://127.0.0.1:3000,http://localhost:5500,http://127.0.0.1:5500';
 app.use(cors({
-    origin: '*',
+    origin: (process.env.CORS_ORIGIN || DEFAULT_CORS_ORIGINS).split(',').map(o => o.trim()).filter(Boolean),
     credentials: true
 }));
 app.use(express.json());
-app.use('/uploads', express.static('uploads'));
+app.use(cookieParser());
 
 // File Upload Configuration
+// Multer only stages uploads in a temp directory; the storage driver keeps the real copy
+const uploadTempDir = path.join(os.tmpdir(), 'exam-portal-uploads');
+
+// Storage key of a material or version (older records only have a /uploads/<name> fileUrl)
+const fileKeyOf = (record) => record.fileKey || path.basename(String(record.fileUrl || ''));
+
+// Remove a staged upload once it is stored or the request is rejected
+const discardUpload = (file) => {
+    if (file) {
+        fs.unlink(file.path, () => {});
+    }
+};
+
+// Check a staged upload by its content rather than its claimed name and type.
+// On success the file gets a sanitised name, the detected MIME type and a SHA-256
+// hash; otherwise an error message is returned and the upload is discarded.
+const inspectUpload = async (file) => {
+    const fileType = await detectFileType(file.path);
+    if (!fileType) {
+        discardUpload(file);
+        return 'Unsupported file type. Allowed types: PDF, DOCX, PPTX and images (PNG, JPEG, GIF, WebP).';
+    }
+
+    file.originalname = sanitizeFileName(file.originalname, fileType);
+    file.mimetype = fileType.mimeType;
+    file.extension = fileType.extension;
+    file.hash = await hashFile(file.path);
+    return null;
+};
+
+// Another material (current file or older version) with exactly the same content
+const findDuplicateMaterial = (hash, excludeId) => {
+    const query = { $or: [{ fileHash: hash }, { 'versions.fileHash': hash }] };
+    if (excludeId) {
+        query._id = { $ne: excludeId };
+    }
+    return Material.findOne(query).select('title subject uploadedByName createdAt').lean();
+};
+
+// Move an inspected upload into the storage backend and return its key.
+// Keys are content hashes, so identical files share one stored copy.
+const storeUpload = async (file) => {
+    const key = file.hash + file.extension;
+    try {
+        if (!(await fileStorage.exists(key))) {
+            await fileStorage.save(key, file.path, file.mimetype);
+        }
+    } finally {
+        discardUpload(file);
+    }
+    return key;
+};
+
+// Whether a material, assignment or submission still uses a stored file
+const isFileKeyInUse = async (key) => Boolean(
+    await Material.exists({ $or: [{ fileKey: key }, { 'versions.fileKey': key }] }) ||
+    await Assignment.exists({ 'attachments.fileKey': key }) ||
+    await Submission.exists({ $or: [{ 'files.fileKey': key }, { 'feedbackFiles.fileKey': key }] })
+);
+
+// Delete stored files that nothing references any more. Call it after the records
+// that used them are deleted or updated: content-hash keys are shared between duplicates.
+const removeUnusedFiles = async (keys) => {
+    for (const key of new Set(keys)) {
+        try {
+            if (await isFileKeyInUse(key)) continue;
+
+            await fileStorage.remove(key);
+        } catch (error) {
+            console.error('❌ Could not delete file:', key, error.message);
+        }
+    }
+};
+
+// Delete a (deleted) material's current file and all of its older versions
+const removeMaterialFiles = (material) =>
+    removeUnusedFiles([fileKeyOf(material), ...(material.versions || []).map(fileKeyOf)]);
+
+// Inspect every file of a multi-file upload; one bad file rejects (and discards) them all
+const inspectUploads = async (files = []) => {
+    for (const file of files) {
+        const name = file.originalname;
+        const rejected = await inspectUpload(file);
+        if (rejected) {
+            files.forEach(discardUpload);
+            return `${name}: ${rejected}`;
+        }
+    }
+    return null;
+};
+
+// Store inspected uploads; returns entries for an assignment or submission files array
+const storeUploads = async (files = []) => {
+    const stored = [];
+    for (const file of files) {
+        stored.push({
+            fileKey: await storeUpload(file),
+            fileName: file.originalname,
+            mimeType: file.mimetype,
+            fileHash: file.hash,
+            size: file.size
+        });
+    }
+    return stored;
+};
+
+// Fields of a material kept in audit log snapshots
+const materialSnapshot = (material) => ({
+    title: material.title,
+    description: material.description,
+    subject: material.subject,
+    department: material.department,
+    semester: material.semester,
+    type: material.type,
+    year: material.year,
+    fileName: material.fileName,
+    courseId: material.courseId ? material.courseId.toString() : null,
+    fileHash: material.fileHash,
+    version: material.version || 1
+});
+
+// Point file URLs at the authenticated download endpoint instead of the storage location
+const withFileUrls = (material) => ({
+    ...material,
+    fileUrl: `/api/materials/${material.id}/file`,
+    versions: (material.versions || []).map(version => ({
+        ...version,
+        fileUrl: `/api/materials/${material.id}/file?version=${version.version}`
+    }))
+});
+
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        const uploadsDir = path.join(__dirname, 'uploads');
-        const fs = require('fs');
-        if (!fs.existsSync(uploadsDir)) {
-            fs.mkdirSync(uploadsDir, { recursive: true });
+        if (!fs.existsSync(uploadTempDir)) {
+            fs.mkdirSync(uploadTempDir, { recursive: true });
         }
-        cb(null, 'uploads/');
+        cb(null, uploadTempDir);
     },
+    // Never trust the client's name on disk; it is sanitised separately for display
     filename: (req, file, cb) => {
-        cb(null, Date.now() + '-' + file.originalname);
+        cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}`);
     }
 });
 
@@ -54,12 +229,31 @@ const authMiddleware = async (req, res, next) => {
         return res.status(401).json({ error: 'Access denied. No token provided.' });
     }
     
+    let decoded;
+    try {
+        decoded = sessions.verifyAccessToken(token);
+    } catch (error) {
+        // 401 tells the client to get a new access token with its refresh cookie
+        return res.status(401).json({ error: 'Invalid or expired token.' });
+    }
+
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key-2024');
-        req.user = decoded;
+        // Logged-out and revoked sessions lose access right away, not when the token expires
+        if (!decoded.sid || !(await sessions.isSessionActive(decoded.sid))) {
+            return res.status(401).json({ error: 'Session has ended. Please log in again.' });
+        }
+
+        // Re-read role and status so role changes and deactivation apply immediately
+        // (accounts created before statuses existed have no status field and count as active)
+        const user = await User.findById(decoded.userId).select('role status').lean();
+        if (!user || (user.status || 'active') !== 'active') {
+            return res.status(401).json({ error: 'Account is not active.' });
+        }
+
+        req.user = { ...decoded, role: user.role };
         next();
     } catch (error) {
-        res.status(400).json({ error: 'Invalid token.' });
+        res.status(500).json({ error: error.message });
     }
 };
 
@@ -71,6 +265,105 @@ const facultyOnly = (req, res, next) => {
     next();
 };
 
+// Escape user input before using it in a regex query
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Admin Authorization Middleware
+const adminOnly = (req, res, next) => {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Access denied. Admin only.' });
+    }
+    next();
+};
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Email a fresh verification link; a mail failure must not fail the request,
+// since the user can ask for another link
+const sendVerification = async (user) => {
+    try {
+        const token = await issueUserToken(user._id, 'verify-email');
+        await mail.sendVerificationEmail(user, token);
+    } catch (error) {
+        console.error('❌ Could not send verification email:', error.message);
+    }
+};
+
+// Refresh token cookie, only sent to the auth routes
+const REFRESH_COOKIE = 'refreshToken';
+const refreshCookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api/auth'
+};
+
+const setRefreshCookie = (res, refreshToken) => {
+    res.cookie(REFRESH_COOKIE, refreshToken, {
+        ...refreshCookieOptions,
+        maxAge: sessions.REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000
+    });
+};
+
+const clearRefreshCookie = (res) => {
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+};
+
+// Login lockout: every LOGIN_LOCK_THRESHOLD wrong passwords lock the account,
+// starting at LOGIN_LOCK_MINUTES and doubling with each lock up to a day
+const LOGIN_LOCK_THRESHOLD = parseInt(process.env.LOGIN_LOCK_THRESHOLD) || 5;
+const LOGIN_LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 5;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+const sendAccountLocked = (res, lockedUntil) => {
+    const retryAfter = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000));
+    const minutes = Math.ceil(retryAfter / 60);
+    sendTooManyRequests(res, retryAfter,
+        `Too many failed login attempts. This account is locked for ${minutes} more minute${minutes === 1 ? '' : 's'}.`);
+};
+
+// Count a wrong password; returns the lock expiry when this attempt locked the account
+const registerFailedLogin = async (user, req) => {
+    const updated = await User.findByIdAndUpdate(user._id, { $inc: { failedLoginAttempts: 1 } }, { new: true });
+    if (!updated || updated.failedLoginAttempts < LOGIN_LOCK_THRESHOLD) return null;
+
+    const lockLevel = updated.lockLevel + 1;
+    const lockedUntil = new Date(Date.now() + Math.min(LOGIN_LOCK_MINUTES * 60 * 1000 * 2 ** (lockLevel - 1), MAX_LOCK_MS));
+    await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, lockLevel, lockedUntil });
+
+    console.log(`🔒 Account locked until ${lockedUntil.toISOString()}:`, user.email);
+    await recordAudit(req, {
+        action: 'account.locked',
+        actorId: null,
+        actorEmail: '',
+        targetType: 'User',
+        targetId: user._id,
+        targetLabel: user.email,
+        details: { lockLevel, lockedUntil, attempts: updated.failedLoginAttempts }
+    });
+    return lockedUntil;
+};
+
+const recordLogin = (req, user, method) => recordAudit(req, {
+    action: 'auth.login',
+    actorId: user._id,
+    actorEmail: user.email,
+    targetType: 'User',
+    targetId: user._id,
+    targetLabel: user.email,
+    details: { method }
+});
+
+const recordLoginFailure = (req, email, user, reason) => recordAudit(req, {
+    action: 'auth.login_failed',
+    actorId: null,
+    actorEmail: String(email).toLowerCase().trim(),
+    targetType: user ? 'User' : '',
+    targetId: user?._id,
+    targetLabel: user?.email,
+    details: { reason }
+});
+
 // Routes
 
 // Test Route
@@ -84,16 +377,21 @@ app.get('/', (req, res) => {
 });
 
 // Register Route
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', rateLimit('auth'), async (req, res) => {
     try {
-        console.log('📝 Registration attempt:', req.body);
-        
         const { name, email, password, role, department, semester } = req.body;
+        console.log('📝 Registration attempt:', email);
         
         // Validation
         if (!name || !email || !password || !role) {
             return res.status(400).json({ error: 'All fields are required' });
         }
+        if (password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+        if (!['student', 'faculty'].includes(role)) {
+            return res.status(400).json({ error: 'Role must be student or faculty' });
+        }
 
         // Check if user exists
         const existingUser = await User.findOne({ email: email.toLowerCase().trim() });
@@ -111,33 +409,23 @@ app.post('/api/auth/register', async (req, res) => {
             password: hashedPassword,
             role: role,
             department: department || 'Computer Science',
-            semester: semester ? parseInt(semester) : 1
+            semester: semester ? parseInt(semester) : 1,
+            status: role === 'faculty' ? 'pending' : 'active',
+            emailVerified: false
         });
         
         console.log('✅ User registered:', user.email);
 
-        // Generate token
-        const token = jwt.sign(
-            { 
-                userId: user._id.toString(), 
-                role: user.role, 
-                email: user.email 
-            },
-            process.env.JWT_SECRET || 'fallback-secret-key-2024',
-            { expiresIn: '7d' }
-        );
+        await sendVerification(user);
 
+        // Faculty accounts also can't log in until an admin approves them
+        const pending = user.status === 'pending';
         res.status(201).json({
-            message: 'User registered successfully!',
-            token,
-            user: {
-                id: user._id.toString(),
-                name: user.name,
-                email: user.email,
-                role: user.role,
-                department: user.department,
-                semester: user.semester
-            }
+            message: pending
+                ? 'Registration received! Verify your email, then an admin must approve your faculty account before you can log in.'
+                : 'Registration successful! Check your email for a link to verify your address, then log in.',
+            verificationRequired: true,
+            pending
         });
 
     } catch (error) {
@@ -149,7 +437,7 @@ app.post('/api/auth/register', async (req, res) => {
 });
 
 // Login Route
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', rateLimit('auth'), async (req, res) => {
     try {
         console.log('🔐 Login attempt for:', req.body.email);
         
@@ -162,25 +450,48 @@ app.post('/api/auth/login', async (req, res) => {
         const user = await User.findOne({ email: email.toLowerCase().trim() });
         
         if (!user) {
+            await recordLoginFailure(req, email, null, 'unknown_email');
             return res.status(400).json({ error: 'Invalid email or password' });
         }
 
+        if (user.lockedUntil && user.lockedUntil > new Date()) {
+            await recordLoginFailure(req, email, user, 'locked');
+            return sendAccountLocked(res, user.lockedUntil);
+        }
+
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
+            await recordLoginFailure(req, email, user, 'wrong_password');
+            const lockedUntil = await registerFailedLogin(user, req);
+            if (lockedUntil) {
+                return sendAccountLocked(res, lockedUntil);
+            }
             return res.status(400).json({ error: 'Invalid email or password' });
         }
 
-        const token = jwt.sign(
-            { userId: user._id.toString(), role: user.role, email: user.email },
-            process.env.JWT_SECRET || 'fallback-secret-key-2024',
-            { expiresIn: '7d' }
-        );
+        if (user.failedLoginAttempts > 0 || user.lockLevel > 0) {
+            await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, lockLevel: 0, lockedUntil: null });
+        }
+
+        if (!user.emailVerified) {
+            return res.status(403).json({ error: 'Please verify your email address before logging in', unverified: true });
+        }
+        if (user.status === 'pending') {
+            return res.status(403).json({ error: 'Your faculty account is awaiting admin approval' });
+        }
+        if (user.status === 'deactivated') {
+            return res.status(403).json({ error: 'Your account has been deactivated. Please contact an admin.' });
+        }
+
+        const { accessToken, refreshToken } = await sessions.createSession(user, req);
+        setRefreshCookie(res, refreshToken);
 
         console.log('✅ Login successful:', user.email);
+        await recordLogin(req, user, 'password');
 
         res.json({
             message: 'Login successful!',
-            token,
+            token: accessToken,
             user: {
                 id: user._id.toString(),
                 name: user.name,
@@ -196,6 +507,163 @@ app.post('/api/auth/login', async (req, res) => {
     }
 });
 
+// Single sign-on (OpenID Connect)
+// The state, nonce and PKCE verifier ride in a short-lived cookie between the
+// redirect to the identity provider and its callback. It must be sameSite lax:
+// the callback is a top-level navigation coming from the provider's site.
+const SSO_COOKIE = 'ssoState';
+const ssoCookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/api/auth/sso'
+};
+
+// Back to the frontend, with an error message for the login page if the login failed
+const redirectToApp = (res, error) => {
+    res.redirect(error ? `${sso.config.appUrl}/?sso_error=${encodeURIComponent(error)}` : `${sso.config.appUrl}/?sso=1`);
+};
+
+// Role, department and semester: the fields an SSO login may change
+const ssoSnapshot = (user) => ({ role: user.role, status: user.status, department: user.department, semester: user.semester });
+
+// Find the user for an IdP profile: by the linked IdP account, else by email (linking
+// it), else a new account. The IdP is the source of truth for role, department and
+// semester whenever it sends them, but never demotes an admin.
+const findOrProvisionSsoUser = async (profile, req) => {
+    let user = await User.findOne({ ssoIssuer: profile.issuer, ssoSubject: profile.subject });
+    let action = null;
+
+    if (!user) {
+        if (!profile.email) {
+            throw new Error('Your identity provider did not share an email address');
+        }
+        user = await User.findOne({ email: profile.email });
+
+        if (user) {
+            if (!profile.emailVerified) {
+                throw new Error('Your identity provider has not verified this email address, so it cannot be linked to an existing account');
+            }
+            if (user.ssoSubject) {
+                throw new Error('This account is already linked to another identity provider login');
+            }
+            user.ssoIssuer = profile.issuer;
+            user.ssoSubject = profile.subject;
+            user.emailVerified = true;
+            action = 'user.sso_linked';
+            console.log('🔗 SSO login linked to existing account:', user.email);
+        } else {
+            user = new User({
+                name: profile.name,
+                email: profile.email,
+                // SSO users have no usable password until they set one through "Forgot password"
+                password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+                role: profile.role || sso.config.defaultRole,
+                emailVerified: true,
+                ssoIssuer: profile.issuer,
+                ssoSubject: profile.subject
+            });
+            action = 'user.sso_provisioned';
+        }
+    }
+
+    const isNew = user.isNew;
+    const previous = ssoSnapshot(user);
+    const wasFaculty = !isNew && user.role === 'faculty';
+    if (profile.role && user.role !== 'admin') user.role = profile.role;
+
+    // Becoming faculty through SSO needs admin approval, as registering as faculty does
+    if (user.role === 'faculty' && !wasFaculty && !sso.config.trustFacultyRole) {
+        user.status = 'pending';
+    } else if (isNew) {
+        user.status = 'active';
+    }
+    if (profile.department) user.department = profile.department;
+    if (profile.semester) user.semester = profile.semester;
+    await user.save();
+
+    if (isNew) {
+        console.log('✅ SSO user provisioned:', user.email, `(${user.role})`);
+    }
+
+    const changes = isNew ? { before: null, after: ssoSnapshot(user) } : diffSnapshots(previous, ssoSnapshot(user));
+    const changed = isNew || Object.keys(changes.after).length > 0;
+    if (action || changed) {
+        await recordAudit(req, {
+            action: action || 'user.sso_synced',
+            actorId: user._id,
+            actorEmail: user.email,
+            targetType: 'User',
+            targetId: user._id,
+            targetLabel: user.email,
+            ...(changed && changes),
+            details: { issuer: profile.issuer }
+        });
+    }
+
+    return user;
+};
+
+// Whether SSO is configured, and the label for the login button
+app.get('/api/auth/sso', (req, res) => {
+    res.json({ enabled: sso.isEnabled(), name: sso.config.displayName });
+});
+
+// Start an SSO login: redirect to the identity provider
+app.get('/api/auth/sso/login', rateLimit('auth'), async (req, res) => {
+    if (!sso.isEnabled()) {
+        return res.status(404).json({ error: 'Single sign-on is not configured' });
+    }
+
+    try {
+        const { url, state, nonce, codeVerifier } = await sso.createAuthorizationRequest();
+        res.cookie(SSO_COOKIE, { state, nonce, codeVerifier }, { ...ssoCookieOptions, maxAge: 10 * 60 * 1000 });
+        res.redirect(url);
+    } catch (error) {
+        console.error('❌ SSO login error:', error);
+        redirectToApp(res, 'Could not reach the identity provider. Please try again later.');
+    }
+});
+
+// The identity provider sends the browser back here with a code
+app.get('/api/auth/sso/callback', rateLimit('auth'), async (req, res) => {
+    const pending = req.cookies[SSO_COOKIE];
+    res.clearCookie(SSO_COOKIE, ssoCookieOptions);
+
+    if (req.query.error) {
+        return redirectToApp(res, req.query.error_description || 'Login was cancelled at the identity provider');
+    }
+    if (!pending || !req.query.code || !req.query.state || req.query.state !== pending.state) {
+        return redirectToApp(res, 'Your login attempt expired. Please try again.');
+    }
+
+    try {
+        const claims = await sso.completeAuthorization({
+            code: String(req.query.code),
+            codeVerifier: pending.codeVerifier,
+            nonce: pending.nonce
+        });
+        const user = await findOrProvisionSsoUser(sso.mapClaims(claims), req);
+
+        if (user.status === 'pending') {
+            return redirectToApp(res, 'Your faculty account is awaiting admin approval');
+        }
+        if (user.status === 'deactivated') {
+            return redirectToApp(res, 'Your account has been deactivated. Please contact an admin.');
+        }
+
+        const { refreshToken } = await sessions.createSession(user, req);
+        setRefreshCookie(res, refreshToken);
+
+        console.log('✅ SSO login successful:', user.email);
+        await recordLogin(req, user, 'sso');
+        redirectToApp(res);
+    } catch (error) {
+        console.error('❌ SSO callback error:', error);
+        redirectToApp(res, error.message);
+    }
+});
+
 // Get Current User
 app.get('/api/auth/me', authMiddleware, async (req, res) => {
     try {
@@ -218,250 +686,4373 @@ app.get('/api/auth/me', authMiddleware, async (req, res) => {
     }
 });
 
-// Upload Material (Faculty only)
-app.post('/api/materials', authMiddleware, facultyOnly, upload.single('file'), async (req, res) => {
+// Refresh Access Token (rotates the refresh token cookie)
+app.post('/api/auth/refresh', async (req, res) => {
     try {
-        const { title, description, subject, department, semester, type, year } = req.body;
-        
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+        const rotated = await sessions.rotateRefreshToken(req.cookies[REFRESH_COOKIE], req);
+        if (!rotated) {
+            clearRefreshCookie(res);
+            return res.status(401).json({ error: 'Session has ended. Please log in again.' });
         }
 
-        const user = await User.findById(req.user.userId);
+        const user = await User.findById(rotated.session.userId);
+        if (!user || (user.status || 'active') !== 'active') {
+            await sessions.revokeSession(rotated.session._id, rotated.session.userId);
+            liveEvents.disconnect({ sessionId: rotated.session._id });
+            clearRefreshCookie(res);
+            return res.status(401).json({ error: 'Account is not active.' });
+        }
 
-        const material = await Material.create({
-            title,
-            description: description || '',
-            subject,
-            department,
-            semester: parseInt(semester),
-            type,
-            year: year ? parseInt(year) : null,
-            fileUrl: `/uploads/${req.file.filename}`,
-            fileName: req.file.originalname,
-            uploadedBy: req.user.userId,
-            uploadedByName: user?.name || 'Faculty',
-            likes: [],
-            downloads: 0
-        });
+        // A request that lost a refresh race leaves the cookie the winner set
+        if (rotated.refreshToken) {
+            setRefreshCookie(res, rotated.refreshToken);
+        }
+        res.json({ token: sessions.signAccessToken(user, rotated.session._id) });
+    } catch (error) {
+        console.error('❌ Refresh error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-        console.log('✅ Material uploaded:', material.title);
+// Logout (revokes this device's session)
+app.post('/api/auth/logout', authMiddleware, async (req, res) => {
+    try {
+        await sessions.revokeSession(req.user.sid, req.user.userId);
+        liveEvents.disconnect({ sessionId: req.user.sid });
+        clearRefreshCookie(res);
 
-        res.status(201).json({ 
-            message: 'Material uploaded successfully!', 
-            material: {
-                id: material._id.toString(),
-                ...material.toJSON()
-            }
-        });
+        res.json({ message: 'Logged out' });
     } catch (error) {
-        console.error('❌ Upload error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get All Materials with Advanced Filtering (Backend Processing)
-app.get('/api/materials', authMiddleware, async (req, res) => {
+// List Own Active Sessions
+app.get('/api/auth/sessions', authMiddleware, async (req, res) => {
     try {
-        const { department, semester, subject, type, search, limit, page } = req.query;
-        
-        // Build query object
-        const query = {};
-        
-        if (department) {
-            query.department = department;
+        const active = await Session.find({
+            userId: req.user.userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+            .sort({ lastUsedAt: -1 })
+            .lean();
+
+        res.json(active.map(session => ({
+            id: session._id.toString(),
+            userAgent: session.userAgent,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            current: session._id.toString() === req.user.sid
+        })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Revoke a Session (log a device out)
+app.delete('/api/auth/sessions/:id', authMiddleware, async (req, res) => {
+    try {
+        const result = await sessions.revokeSession(req.params.id, req.user.userId);
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({ error: 'Session not found' });
         }
-        if (semester) {
-            query.semester = parseInt(semester);
+        liveEvents.disconnect({ sessionId: req.params.id });
+        if (req.params.id === req.user.sid) {
+            clearRefreshCookie(res);
         }
-        if (type) {
-            query.type = type;
+
+        res.json({ message: 'Session revoked' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Change Password (ends every session, then starts a fresh one for this device)
+app.put('/api/auth/password', authMiddleware, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ error: 'Current and new password are required' });
         }
-        if (subject) {
-            query.subject = { $regex: subject, $options: 'i' };
+        if (newPassword.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `New password must be at least ${MIN_PASSWORD_LENGTH} characters` });
         }
-        if (search) {
-            query.$or = [
-                { title: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } },
-                { subject: { $regex: search, $options: 'i' } }
-            ];
+
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
         }
 
-        // Pagination
-        const pageNum = parseInt(page) || 1;
-        const limitNum = parseInt(limit) || 100;
-        const skip = (pageNum - 1) * limitNum;
+        const isMatch = await bcrypt.compare(currentPassword, user.password);
+        if (!isMatch) {
+            return res.status(400).json({ error: 'Current password is incorrect' });
+        }
 
-        // Execute query with sorting
-        const materials = await Material.find(query)
-            .sort({ createdAt: -1 })
-            .limit(limitNum)
-            .skip(skip)
-            .lean();
+        user.password = await bcrypt.hash(newPassword, 10);
+        await user.save();
+        await sessions.revokeAllSessions(user._id);
+        liveEvents.disconnect({ userId: user._id });
 
-        // Format response with id field
-        const formattedMaterials = materials.map(material => ({
-            id: material._id.toString(),
-            _id: material._id.toString(),
-            ...material
-        }));
-        
-        res.json(formattedMaterials);
+        const { accessToken, refreshToken } = await sessions.createSession(user, req);
+        setRefreshCookie(res, refreshToken);
+
+        console.log('🔑 Password changed:', user.email);
+        mail.sendPasswordChangedEmail(user).catch(error => {
+            console.error('❌ Could not send password changed email:', error.message);
+        });
+
+        res.json({ message: 'Password changed. Other devices have been logged out.', token: accessToken });
     } catch (error) {
-        console.error('❌ Get materials error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get Single Material
-app.get('/api/materials/:id', authMiddleware, async (req, res) => {
+// Verify Email (token from the link in the verification email)
+app.post('/api/auth/verify-email', rateLimit('auth'), async (req, res) => {
     try {
-        const material = await Material.findById(req.params.id);
-        
-        if (!material) {
-            return res.status(404).json({ error: 'Material not found' });
+        const userId = await consumeUserToken(req.body.token, 'verify-email');
+        if (!userId) {
+            return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+        }
+
+        const user = await User.findByIdAndUpdate(userId, { emailVerified: true }, { new: true });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
         }
 
+        console.log('📧 Email verified:', user.email);
+
         res.json({
-            id: material._id.toString(),
-            ...material.toJSON()
+            message: user.status === 'pending'
+                ? 'Email verified! An admin still needs to approve your faculty account.'
+                : 'Email verified! You can now log in.'
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Like Material
-app.post('/api/materials/:id/like', authMiddleware, async (req, res) => {
+// Resend Verification Email (same answer whether or not the address exists)
+app.post('/api/auth/resend-verification', rateLimit('auth'), async (req, res) => {
     try {
-        const material = await Material.findById(req.params.id);
-        
-        if (!material) {
-            return res.status(404).json({ error: 'Material not found' });
+        const email = String(req.body.email || '').toLowerCase().trim();
+        const user = email ? await User.findOne({ email }) : null;
+
+        if (user && !user.emailVerified) {
+            await sendVerification(user);
+        }
+
+        res.json({ message: 'If that account still needs verifying, a new link is on its way.' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Forgot Password (same answer whether or not the address exists)
+app.post('/api/auth/forgot-password', rateLimit('auth'), async (req, res) => {
+    try {
+        const email = String(req.body.email || '').toLowerCase().trim();
+        if (!email) {
+            return res.status(400).json({ error: 'Email is required' });
+        }
+
+        const user = await User.findOne({ email });
+        if (user && user.status !== 'deactivated') {
+            try {
+                const token = await issueUserToken(user._id, 'reset-password');
+                await mail.sendPasswordResetEmail(user, token);
+            } catch (error) {
+                console.error('❌ Could not send password reset email:', error.message);
+            }
+        }
+
+        res.json({ message: 'If an account exists for that email, a reset link has been sent.' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Reset Password (token from the reset email; ends every session)
+app.post('/api/auth/reset-password', rateLimit('auth'), async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!password || password.length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+        }
+
+        const userId = await consumeUserToken(token, 'reset-password');
+        if (!userId) {
+            return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+        }
+
+        const user = await User.findById(userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        user.password = await bcrypt.hash(password, 10);
+        // The reset link arrived by email, so the address is proven
+        user.emailVerified = true;
+        // A new password ends any lockout from guesses at the old one
+        user.failedLoginAttempts = 0;
+        user.lockLevel = 0;
+        user.lockedUntil = null;
+        await user.save();
+        await sessions.revokeAllSessions(user._id);
+        liveEvents.disconnect({ userId: user._id });
+
+        console.log('🔑 Password reset:', user.email);
+        mail.sendPasswordChangedEmail(user).catch(error => {
+            console.error('❌ Could not send password changed email:', error.message);
+        });
+
+        res.json({ message: 'Password reset! You can now log in with your new password.' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Check department/subject against the admin-managed lists (free text is allowed until lists exist)
+const validateDepartmentAndSubject = async (department, subject, semester) => {
+    const departmentCount = await Department.countDocuments();
+    if (departmentCount > 0 && !(await Department.exists({ name: department }))) {
+        return 'Unknown department';
+    }
+
+    const subjects = await Subject.find({ department, semester: parseInt(semester) }).select('name').lean();
+    if (subjects.length > 0 && !subjects.some(s => s.name.toLowerCase() === String(subject).trim().toLowerCase())) {
+        return 'Unknown subject for this department and semester';
+    }
+
+    return null;
+};
+
+// Ids of the courses a user takes (students) or teaches (faculty)
+const userCourseIds = async (user) => {
+    const field = user.role === 'faculty' ? 'faculty' : 'students';
+    const ids = await Course.find({ [field]: user.userId }).distinct('_id');
+    return ids.map(id => id.toString());
+};
+
+// Courses whose materials a user may list, or null for admins, who see everything.
+// Materials filed under no course are visible to everyone on top of these.
+const visibleCourseIds = (req) => (req.user.role === 'admin' ? null : userCourseIds(req.user));
+
+const courseFilter = (courseIds) => (courseIds ? { courseId: { $in: [...courseIds, null] } } : {});
+
+// Students and faculty see materials of their own courses and those of no course
+const canSeeMaterial = async (req, material) =>
+    req.user.role === 'admin' || !material.courseId ||
+    (await userCourseIds(req.user)).includes(material.courseId.toString());
+
+// The course a material is filed under. Once any course exists, new materials need one,
+// and faculty can only pick courses they teach. Returns { course } or { status, error }.
+const resolveMaterialCourse = async (req, courseId) => {
+    if (!courseId) {
+        return (await Course.exists({}))
+            ? { status: 400, error: 'Choose the course this material belongs to' }
+            : { course: null };
+    }
+
+    const course = mongoose.isValidObjectId(courseId) ? await Course.findById(courseId) : null;
+    if (!course) {
+        return { status: 400, error: 'Course not found' };
+    }
+    if (req.user.role !== 'admin' && !course.faculty.some(id => id.toString() === req.user.userId)) {
+        return { status: 403, error: 'You can only add materials to courses you teach' };
+    }
+    return { course };
+};
+
+// Upload Material (Faculty only)
+app.post('/api/materials', authMiddleware, rateLimit('upload'), facultyOnly, upload.single('file'), async (req, res) => {
+    try {
+        const { title, description, type, year, courseId } = req.body;
+        let { subject, department, semester } = req.body;
+        
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const { course, status, error } = await resolveMaterialCourse(req, courseId);
+        if (error) {
+            discardUpload(req.file);
+            return res.status(status).json({ error });
+        }
+
+        if (course) {
+            subject = course.name;
+            department = course.department;
+            semester = course.semester;
+        } else {
+            const invalid = await validateDepartmentAndSubject(department, subject, semester);
+            if (invalid) {
+                discardUpload(req.file);
+                return res.status(400).json({ error: invalid });
+            }
+        }
+
+        const rejected = await inspectUpload(req.file);
+        if (rejected) {
+            return res.status(400).json({ error: rejected });
+        }
+
+        // Warn before storing the same file twice; the client can confirm with allowDuplicate
+        if (req.body.allowDuplicate !== 'true') {
+            const duplicate = await findDuplicateMaterial(req.file.hash);
+            if (duplicate) {
+                discardUpload(req.file);
+                return res.status(409).json({
+                    error: `This file has already been uploaded as "${duplicate.title}".`,
+                    duplicate: { id: duplicate._id.toString(), ...duplicate }
+                });
+            }
+        }
+
+        const user = await User.findById(req.user.userId);
+        const contentText = await extractText(req.file.path, req.file.mimetype);
+        const fileKey = await storeUpload(req.file);
+
+        const material = await Material.create({
+            title,
+            description: description || '',
+            subject,
+            department,
+            semester: parseInt(semester),
+            courseId: course ? course._id : null,
+            type,
+            year: year ? parseInt(year) : null,
+            fileKey,
+            fileName: req.file.originalname,
+            mimeType: req.file.mimetype,
+            fileHash: req.file.hash,
+            contentText,
+            uploadedBy: req.user.userId,
+            uploadedByName: user?.name || 'Faculty',
+            likes: [],
+            downloads: 0
+        });
+
+        console.log('✅ Material uploaded:', material.title);
+        await recordAudit(req, {
+            action: 'material.created',
+            targetType: 'Material',
+            targetId: material._id,
+            targetLabel: material.title,
+            after: materialSnapshot(material)
+        });
+
+        // Students who can see it: the course's, or those of its department and semester
+        await notifyAudience(course ? { courseId: course._id } : { department, semester }, {
+            type: 'material',
+            title: `New material: ${material.title}`,
+            message: `${material.subject} · uploaded by ${material.uploadedByName}`,
+            targetType: 'Material',
+            targetId: material._id
+        });
+
+        liveEvents.publish([...materialRooms(material), liveEvents.userRoom(req.user.userId)], 'material.created', {
+            id: material._id.toString(),
+            title: material.title,
+            subject: material.subject,
+            type: material.type,
+            courseId: material.courseId ? material.courseId.toString() : null,
+            uploadedByName: material.uploadedByName
+        });
+
+        const { contentText: _text, ...created } = material.toJSON();
+        res.status(201).json({ 
+            message: 'Material uploaded successfully!', 
+            material: withFileUrls({
+                id: material._id.toString(),
+                ...created
+            })
+        });
+    } catch (error) {
+        discardUpload(req.file);
+        console.error('❌ Upload error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Words of a text search, without quotes and excluded (-word) terms, for highlighting
+const searchTerms = (search) => String(search)
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .map(word => word.replace(/"/g, ''))
+    .filter(word => word.length > 1);
+
+// The start of each material's extracted text, as much as a snippet looks at, without
+// loading whole documents (their text can run to hundreds of kilobytes)
+const loadSnippetTexts = async (materialIds) => {
+    const rows = await Material.aggregate([
+        { $match: { _id: { $in: materialIds } } },
+        { $project: { text: { $substrCP: [{ $ifNull: ['$contentText', ''] }, 0, SNIPPET_SCAN_LENGTH] } } }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row.text]));
+};
+
+// Orders for GET /api/materials ?sort=; searches default to relevance, everything else to newest
+const MATERIAL_SORTS = {
+    newest: { createdAt: -1 },
+    downloads: { downloads: -1, createdAt: -1 },
+    rating: { ratingScore: -1, ratingCount: -1, createdAt: -1 }
+};
+const MATERIAL_SORT_OPTIONS = [...Object.keys(MATERIAL_SORTS), 'trending'];
+// Trending = most downloads (one per user and day) over the last TRENDING_DAYS days
+const TRENDING_DAYS = 7;
+
+// First day (YYYY-MM-DD) of the trending window
+const trendingSince = () => new Date(Date.now() - (TRENDING_DAYS - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// Recent downloads (one per user and day) of the given materials, by material id
+const recentDownloadCounts = async (materialIds) => {
+    const counts = await DownloadLog.aggregate([
+        { $match: { day: { $gte: trendingSince() }, materialId: { $in: materialIds } } },
+        { $group: { _id: '$materialId', count: { $sum: 1 } } }
+    ]);
+    return new Map(counts.map(c => [c._id.toString(), c.count]));
+};
+
+// One page of materials matching query, most recent downloads first. The ranking is done in
+// the download log, so only the page's materials are loaded; materials nobody downloaded
+// lately follow, newest first. Returns { materials, counts } with counts by material id.
+const trendingMaterialsPage = async (query, skip, limit) => {
+    const [ranked] = await DownloadLog.aggregate([
+        { $match: { day: { $gte: trendingSince() } } },
+        { $group: { _id: '$materialId', count: { $sum: 1 } } },
+        // Keep only materials the listing may show
+        {
+            $lookup: {
+                from: Material.collection.name,
+                let: { materialId: '$_id' },
+                pipeline: [
+                    { $match: { $expr: { $eq: ['$_id', '$$materialId'] } } },
+                    { $match: Material.find().cast(Material, query) },
+                    { $project: { createdAt: 1 } }
+                ],
+                as: 'material'
+            }
+        },
+        { $unwind: '$material' },
+        { $sort: { count: -1, 'material.createdAt': -1 } },
+        {
+            $facet: {
+                page: [{ $skip: skip }, { $limit: limit }, { $project: { count: 1 } }],
+                total: [{ $count: 'count' }]
+            }
+        }
+    ]);
+
+    const counts = new Map(ranked.page.map(entry => [entry._id.toString(), entry.count]));
+    const loaded = await Material.find({ _id: { $in: ranked.page.map(entry => entry._id) } }).lean();
+    const materials = ranked.page
+        .map(entry => loaded.find(material => material._id.equals(entry._id)))
+        .filter(Boolean);
+
+    if (materials.length < limit) {
+        const rankedTotal = ranked.total[0]?.count || 0;
+        const downloaded = await DownloadLog.distinct('materialId', { day: { $gte: trendingSince() } });
+        const rest = await Material.find({ ...query, _id: { $nin: downloaded } })
+            .sort({ createdAt: -1 })
+            .skip(Math.max(0, skip - rankedTotal))
+            .limit(limit - materials.length)
+            .lean();
+        materials.push(...rest);
+    }
+
+    return { materials, counts };
+};
+
+const compareBySort = (sort, trending) => (a, b) => {
+    if (sort === 'trending') {
+        return (trending.get(b._id.toString()) || 0) - (trending.get(a._id.toString()) || 0) ||
+            new Date(b.createdAt) - new Date(a.createdAt);
+    }
+    for (const [field, direction] of Object.entries(MATERIAL_SORTS[sort])) {
+        const difference = (Number(a[field]) || 0) - (Number(b[field]) || 0);
+        if (difference) return difference * direction;
+    }
+    return 0;
+};
+
+// Get All Materials with Advanced Filtering (Backend Processing)
+app.get('/api/materials', authMiddleware, async (req, res) => {
+    try {
+        const { department, semester, subject, type, search, limit, page, course } = req.query;
+        const sort = MATERIAL_SORT_OPTIONS.includes(req.query.sort) ? req.query.sort : null;
+        
+        // Build query object
+        const query = {};
+
+        // Only materials of the user's own courses (or of no course)
+        const courseIds = await visibleCourseIds(req);
+        if (course) {
+            if (!mongoose.isValidObjectId(course) || (courseIds && !courseIds.includes(course))) {
+                return res.json([]);
+            }
+            query.courseId = course;
+        } else {
+            Object.assign(query, courseFilter(courseIds));
+        }
+        
+        if (department) {
+            query.department = department;
+        }
+        if (semester) {
+            query.semester = parseInt(semester);
+        }
+        if (type) {
+            query.type = type;
+        }
+        if (subject) {
+            query.subject = { $regex: subject, $options: 'i' };
+        }
+
+        // Pagination
+        const pageNum = parseInt(page) || 1;
+        const limitNum = parseInt(limit) || 100;
+        const skip = (pageNum - 1) * limitNum;
+
+        let materials;
+        let trending = null;
+        if (search) {
+            // Full-text search over title, subject, description and file text, best matches first
+            materials = await Material.find({ ...query, $text: { $search: search } }, { score: { $meta: 'textScore' } })
+                .sort({ score: { $meta: 'textScore' } })
+                .limit(limitNum)
+                .skip(skip)
+                .lean();
+
+            // The text index only matches whole (stemmed) words, so fall back to
+            // substring matching for partial words like "algo"
+            if (materials.length === 0 && pageNum === 1) {
+                const pattern = { $regex: escapeRegex(search), $options: 'i' };
+                materials = await Material.find({
+                    ...query,
+                    $or: [{ title: pattern }, { description: pattern }, { subject: pattern }]
+                })
+                    .sort({ createdAt: -1 })
+                    .limit(limitNum)
+                    .lean();
+            }
+        } else if (sort === 'trending') {
+            // Ranked by recent downloads, which live in the download log rather than on the material
+            ({ materials, counts: trending } = await trendingMaterialsPage(query, skip, limitNum));
+        } else {
+            materials = await Material.find(query)
+                .sort(MATERIAL_SORTS[sort || 'newest'])
+                .limit(limitNum)
+                .skip(skip)
+                .lean();
+        }
+
+        // Searches re-order their best matches when a sort is chosen
+        if (sort && search) {
+            if (sort === 'trending') {
+                trending = await recentDownloadCounts(materials.map(m => m._id));
+            }
+            materials.sort(compareBySort(sort, trending));
+        }
+
+        const terms = search ? searchTerms(search) : [];
+        const snippetTexts = search ? await loadSnippetTexts(materials.map(m => m._id)) : null;
+
+        // Visible discussion comments per material
+        const commentCounts = await Comment.aggregate([
+            { $match: { materialId: { $in: materials.map(m => m._id) }, hidden: false } },
+            { $group: { _id: '$materialId', count: { $sum: 1 } } }
+        ]);
+        const bookmarked = new Set((await Bookmark.find({
+            userId: req.user.userId,
+            materialId: { $in: materials.map(m => m._id) }
+        }).distinct('materialId')).map(id => id.toString()));
+
+        // Format response with id field, file URLs and, for searches, a highlighted snippet
+        const formattedMaterials = materials.map(material => withFileUrls({
+            id: material._id.toString(),
+            _id: material._id.toString(),
+            ...material,
+            commentCount: commentCounts.find(c => c._id.toString() === material._id.toString())?.count || 0,
+            bookmarked: bookmarked.has(material._id.toString()),
+            ...(trending && { recentDownloads: trending.get(material._id.toString()) || 0 }),
+            ...(search && {
+                snippet: buildSnippet(snippetTexts.get(material._id.toString()), terms) ||
+                    buildSnippet(material.description, terms)
+            })
+        }));
+        
+        res.json(formattedMaterials);
+    } catch (error) {
+        console.error('❌ Get materials error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get Single Material
+app.get('/api/materials/:id', authMiddleware, async (req, res) => {
+    try {
+        const material = await Material.findById(req.params.id);
+        
+        if (!material) {
+            return res.status(404).json({ error: 'Material not found' });
+        }
+        if (!(await canSeeMaterial(req, material))) {
+            return res.status(403).json({ error: 'This material is for another course' });
+        }
+
+        res.json(withFileUrls({
+            id: material._id.toString(),
+            ...material.toJSON()
+        }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Like Material
+app.post('/api/materials/:id/like', authMiddleware, async (req, res) => {
+    try {
+        const material = await Material.findById(req.params.id);
+        
+        if (!material) {
+            return res.status(404).json({ error: 'Material not found' });
+        }
+        if (!(await canSeeMaterial(req, material))) {
+            return res.status(403).json({ error: 'This material is for another course' });
+        }
+
+        const userId = new mongoose.Types.ObjectId(req.user.userId);
+        const likeIndex = material.likes.findIndex(
+            likeId => likeId.toString() === userId.toString()
+        );
+        
+        if (likeIndex > -1) {
+            material.likes.splice(likeIndex, 1);
+        } else {
+            material.likes.push(userId);
+        }
+
+        await material.save();
+        publishMaterialStats(material, req.user.userId);
+
+        res.json({ 
+            message: 'Like updated', 
+            likes: material.likes.length,
+            isLiked: material.likes.some(likeId => likeId.toString() === userId.toString())
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Material Ratings and Reviews
+
+// The rating sort starts every material at RATING_PRIOR_WEIGHT reviews of RATING_PRIOR_MEAN
+// stars, so a single 5-star review doesn't outrank dozens of 4.8s
+const RATING_PRIOR_MEAN = 3;
+const RATING_PRIOR_WEIGHT = 5;
+
+// Recompute a material's average rating, count and weighted score from its reviews
+const updateMaterialRating = async (materialId) => {
+    const [summary] = await Review.aggregate([
+        { $match: { materialId: new mongoose.Types.ObjectId(materialId) } },
+        { $group: { _id: null, average: { $avg: '$rating' }, total: { $sum: '$rating' }, count: { $sum: 1 } } }
+    ]);
+    const score = summary
+        ? (RATING_PRIOR_MEAN * RATING_PRIOR_WEIGHT + summary.total) / (RATING_PRIOR_WEIGHT + summary.count)
+        : 0;
+    return Material.findByIdAndUpdate(materialId, {
+        ratingAverage: summary ? Math.round(summary.average * 100) / 100 : 0,
+        ratingCount: summary ? summary.count : 0,
+        ratingScore: score
+    }, { new: true });
+};
+
+const formatReview = (review) => ({
+    id: review._id.toString(),
+    userId: review.userId.toString(),
+    userName: review.userName,
+    rating: review.rating,
+    review: review.review,
+    updatedAt: review.updatedAt
+});
+
+// Get a Material's Reviews: the rating summary, star distribution, your own review
+// and the most recent written reviews
+app.get('/api/materials/:id/reviews', authMiddleware, async (req, res) => {
+    try {
+        const material = await Material.findById(req.params.id);
+
+        if (!material) {
+            return res.status(404).json({ error: 'Material not found' });
+        }
+        if (!(await canSeeMaterial(req, material))) {
+            return res.status(403).json({ error: 'This material is for another course' });
+        }
+
+        const [distribution, reviews, myReview] = await Promise.all([
+            Review.aggregate([
+                { $match: { materialId: material._id } },
+                { $group: { _id: '$rating', count: { $sum: 1 } } }
+            ]),
+            Review.find({ materialId: material._id, review: { $ne: '' } }).sort({ updatedAt: -1 }).limit(50).lean(),
+            Review.findOne({ materialId: material._id, userId: req.user.userId }).lean()
+        ]);
+
+        res.json({
+            ratingAverage: material.ratingAverage,
+            ratingCount: material.ratingCount,
+            distribution: Object.fromEntries([1, 2, 3, 4, 5].map(stars => [
+                stars,
+                distribution.find(d => d._id === stars)?.count || 0
+            ])),
+            myReview: myReview ? formatReview(myReview) : null,
+            reviews: reviews.map(formatReview)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Rate a Material (1-5 stars) with an optional short review; rating again replaces your review
+app.put('/api/materials/:id/review', authMiddleware, rateLimit('comment'), async (req, res) => {
+    try {
+        const material = await Material.findById(req.params.id);
+
+        if (!material) {
+            return res.status(404).json({ error: 'Material not found' });
+        }
+        if (!(await canSeeMaterial(req, material))) {
+            return res.status(403).json({ error: 'This material is for another course' });
+        }
+        if (material.uploadedBy.toString() === req.user.userId) {
+            return res.status(400).json({ error: 'You cannot rate your own material' });
+        }
+
+        const rating = Number(req.body.rating);
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return res.status(400).json({ error: 'Rating must be a whole number of stars from 1 to 5' });
+        }
+        const text = String(req.body.review || '').trim();
+        if (text.length > 500) {
+            return res.status(400).json({ error: 'Review is too long (500 characters maximum)' });
+        }
+
+        const user = await User.findById(req.user.userId);
+        const review = await Review.findOneAndUpdate(
+            { materialId: material._id, userId: req.user.userId },
+            { rating, review: text, userName: user?.name || '' },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+
+        const updated = await updateMaterialRating(material._id);
+        publishMaterialStats(updated, req.user.userId);
+
+        res.json({
+            message: 'Thanks for your rating!',
+            review: formatReview(review),
+            ratingAverage: updated.ratingAverage,
+            ratingCount: updated.ratingCount
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Remove your Rating and Review of a Material
+app.delete('/api/materials/:id/review', authMiddleware, async (req, res) => {
+    try {
+        const review = mongoose.isValidObjectId(req.params.id)
+            ? await Review.findOneAndDelete({ materialId: req.params.id, userId: req.user.userId })
+            : null;
+
+        if (!review) {
+            return res.status(404).json({ error: 'You have not rated this material' });
+        }
+
+        const updated = await updateMaterialRating(review.materialId);
+        if (updated) publishMaterialStats(updated, req.user.userId);
+
+        res.json({
+            message: 'Rating removed',
+            ratingAverage: updated ? updated.ratingAverage : 0,
+            ratingCount: updated ? updated.ratingCount : 0
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Live update rooms that can see a material (admins see everything)
+const materialRooms = (material) => [
+    liveEvents.ADMIN_ROOM,
+    ...(material.courseId
+        ? [liveEvents.courseRoom(material.courseId)]
+        : [liveEvents.departmentRoom(material.department), liveEvents.semesterRoom(material.department, material.semester)])
+];
+
+// Push a material's like, download and rating figures; the acting user gets them even outside its rooms
+const publishMaterialStats = (material, userId) => {
+    liveEvents.publish([...materialRooms(material), liveEvents.userRoom(userId)], 'material.stats', {
+        id: material._id.toString(),
+        likes: material.likes.length,
+        downloads: material.downloads || 0,
+        ratingAverage: material.ratingAverage || 0,
+        ratingCount: material.ratingCount || 0
+    });
+};
+
+// Count at most one download per user, material and day. The upsert is atomic,
+// so only the request that creates the day's log entry bumps the counter.
+const recordDownload = async (userId, materialId) => {
+    const now = new Date();
+    const day = now.toISOString().slice(0, 10);
+
+    try {
+        const result = await DownloadLog.updateOne(
+            { userId, materialId, day },
+            { $inc: { requests: 1 }, $set: { lastDownloadedAt: now } },
+            { upsert: true }
+        );
+        if (result.upsertedCount > 0) {
+            const material = await Material.findByIdAndUpdate(materialId, { $inc: { downloads: 1 } }, { new: true })
+                .select('department semester courseId likes downloads ratingAverage ratingCount');
+            if (material) publishMaterialStats(material, userId);
+        }
+    } catch (error) {
+        // A concurrent request created the entry first; that one did the counting
+        if (error.code !== 11000) throw error;
+    }
+};
+
+// Stream a stored file honouring single byte ranges; serves the local driver's signed links
+const streamStoredFile = async (req, res, key, { fileName, disposition, contentType }) => {
+    let stats;
+    try {
+        stats = await fileStorage.stat(key);
+    } catch (error) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Only single byte ranges are honoured; malformed or multi-range requests get the whole file
+    const ranges = req.headers.range ? req.range(stats.size) : null;
+    if (ranges === -1) {
+        res.set('Content-Range', `bytes */${stats.size}`);
+        return res.status(416).end();
+    }
+    const range = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : null;
+
+    const type = contentType || stats.contentType;
+    if (type) {
+        res.type(type);
+    } else {
+        res.type(path.extname(fileName) || 'application/octet-stream');
+    }
+    res.set('Accept-Ranges', 'bytes');
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Content-Disposition', fileStorage.contentDisposition(fileName, disposition === 'inline' ? 'inline' : 'attachment'));
+
+    if (range) {
+        res.status(206);
+        res.set('Content-Range', `bytes ${range.start}-${range.end}/${stats.size}`);
+        res.set('Content-Length', String(range.end - range.start + 1));
+    } else {
+        res.set('Content-Length', String(stats.size));
+    }
+
+    const stream = await fileStorage.createReadStream(key, range ? { start: range.start, end: range.end } : undefined);
+    stream.on('error', (error) => {
+        console.error('❌ File stream error:', error.message);
+        res.destroy(error);
+    });
+    stream.pipe(res);
+};
+
+// Signed download links for the local storage driver; S3 serves its presigned URLs itself
+if (fileStorage.name === 'local') {
+    app.get('/files/:key', async (req, res) => {
+        if (!fileStorage.verifySignature(req.params.key, req.query)) {
+            return res.status(403).json({ error: 'Download link is invalid or has expired' });
+        }
+
+        try {
+            await streamStoredFile(req, res, req.params.key, {
+                fileName: req.query.name || req.params.key,
+                disposition: req.query.disposition,
+                contentType: req.query.type
+            });
+        } catch (error) {
+            console.error('❌ Download error:', error);
+            if (!res.headersSent) {
+                res.status(500).json({ error: error.message });
+            }
+        }
+    });
+}
+
+// Answer a download of a stored file ({ fileKey, fileName, mimeType }) with a 302 to a short-lived
+// signed URL, or with { url } for ?link=1; ?inline=1 shows it in the browser. onStart runs once
+// per download, not for the later range requests of a viewer.
+const sendStoredFile = async (req, res, file, onStart) => {
+    const key = fileKeyOf(file);
+    if (!(await fileStorage.exists(key))) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (onStart && (!req.headers.range || /^bytes=0-/.test(req.headers.range))) {
+        await onStart();
+    }
+
+    const url = await fileStorage.getSignedUrl(key, {
+        fileName: file.fileName,
+        disposition: req.query.inline ? 'inline' : 'attachment',
+        contentType: file.mimeType
+    });
+    res.set('Cache-Control', 'no-store');
+    if (req.query.link) {
+        return res.json({ url });
+    }
+    res.redirect(302, url);
+};
+
+// Download Material File (the current file, or ?version=N for an older one)
+app.get('/api/materials/:id/file', authMiddleware, async (req, res) => {
+    try {
+        const material = await Material.findById(req.params.id);
+
+        if (!material) {
+            return res.status(404).json({ error: 'Material not found' });
+        }
+        if (!(await canSeeMaterial(req, material))) {
+            return res.status(403).json({ error: 'This material is for another course' });
+        }
+
+        let file = material;
+        const version = parseInt(req.query.version);
+        if (version && version !== (material.version || 1)) {
+            file = material.versions.find(v => v.version === version);
+            if (!file) {
+                return res.status(404).json({ error: 'Version not found' });
+            }
+        }
+
+        await sendStoredFile(req, res, file, () => recordDownload(req.user.userId, material._id));
+    } catch (error) {
+        console.error('❌ Download error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+});
+
+// Get Own Download History
+app.get('/api/downloads', authMiddleware, async (req, res) => {
+    try {
+        const limitNum = parseInt(req.query.limit) || 50;
+
+        const logs = await DownloadLog.find({ userId: req.user.userId })
+            .sort({ lastDownloadedAt: -1 })
+            .limit(limitNum)
+            .populate('materialId', 'title subject type')
+            .lean();
+
+        res.json(logs.map(log => ({
+            id: log._id.toString(),
+            day: log.day,
+            requests: log.requests,
+            lastDownloadedAt: log.lastDownloadedAt,
+            material: log.materialId ? {
+                id: log.materialId._id.toString(),
+                title: log.materialId.title,
+                subject: log.materialId.subject,
+                type: log.materialId.type
+            } : null
+        })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Only the uploader or an admin may change or remove a material
+const canModifyMaterial = (req, material) =>
+    req.user.role === 'admin' || material.uploadedBy.toString() === req.user.userId;
+
+const MATERIAL_TYPES = Material.schema.path('type').enumValues;
+
+// Runs before the upload is accepted, so nobody else's request gets to write a file to disk
+const loadModifiableMaterial = async (req, res, next) => {
+    try {
+        const material = await Material.findById(req.params.id);
+        if (!material) {
+            return res.status(404).json({ error: 'Material not found' });
+        }
+        if (!canModifyMaterial(req, material)) {
+            return res.status(403).json({ error: 'Only the uploader or an admin can edit this material' });
+        }
+
+        req.material = material;
+        next();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+// Update Material Metadata and/or Replace its File (uploader or admin)
+const updateMaterial = async (req, res) => {
+    try {
+        const { material } = req;
+        const { title, description, subject, department, semester, type, year, courseId } = req.body;
+        if (type !== undefined && !MATERIAL_TYPES.includes(type)) {
+            discardUpload(req.file);
+            return res.status(400).json({ error: `Type must be one of: ${MATERIAL_TYPES.join(', ')}` });
+        }
+        const previous = materialSnapshot(material);
+
+        // Moving to another course, or keeping the current one; materials filed under
+        // no course keep their free-text subject, department and semester
+        let course = null;
+        if (courseId) {
+            const resolved = await resolveMaterialCourse(req, courseId);
+            if (resolved.error) {
+                discardUpload(req.file);
+                return res.status(resolved.status).json({ error: resolved.error });
+            }
+            course = resolved.course;
+        } else if (material.courseId) {
+            course = await Course.findById(material.courseId);
+        }
+
+        const nextDepartment = course ? course.department : department || material.department;
+        const nextSubject = course ? course.name : subject || material.subject;
+        const nextSemester = course ? course.semester : semester ? parseInt(semester) : material.semester;
+
+        if (!course && (department || subject || semester)) {
+            const invalid = await validateDepartmentAndSubject(nextDepartment, nextSubject, nextSemester);
+            if (invalid) {
+                discardUpload(req.file);
+                return res.status(400).json({ error: invalid });
+            }
+        }
+
+        if (req.file) {
+            const rejected = await inspectUpload(req.file);
+            if (rejected) {
+                return res.status(400).json({ error: rejected });
+            }
+            if (req.file.hash === material.fileHash) {
+                discardUpload(req.file);
+                return res.status(400).json({ error: 'This file is identical to the current version' });
+            }
+            if (req.body.allowDuplicate !== 'true') {
+                const duplicate = await findDuplicateMaterial(req.file.hash, material._id);
+                if (duplicate) {
+                    discardUpload(req.file);
+                    return res.status(409).json({
+                        error: `This file has already been uploaded as "${duplicate.title}".`,
+                        duplicate: { id: duplicate._id.toString(), ...duplicate }
+                    });
+                }
+            }
+        }
+
+        if (title !== undefined) material.title = title;
+        if (description !== undefined) material.description = description;
+        if (type !== undefined) material.type = type;
+        if (year !== undefined) material.year = year ? parseInt(year) : null;
+        material.subject = nextSubject;
+        material.department = nextDepartment;
+        material.semester = nextSemester;
+        if (course) material.courseId = course._id;
+
+        // Keep the previous file downloadable as an older version
+        if (req.file) {
+            const contentText = await extractText(req.file.path, req.file.mimetype);
+            const fileKey = await storeUpload(req.file);
+            material.versions.push({
+                version: material.version || 1,
+                fileKey: fileKeyOf(material),
+                fileName: material.fileName,
+                mimeType: material.mimeType,
+                fileHash: material.fileHash,
+                uploadedBy: material.uploadedBy,
+                replacedAt: new Date()
+            });
+            material.version = (material.version || 1) + 1;
+            material.fileKey = fileKey;
+            material.fileUrl = null;
+            material.fileName = req.file.originalname;
+            material.mimeType = req.file.mimetype;
+            material.fileHash = req.file.hash;
+            material.contentText = contentText;
+        }
+
+        await material.save();
+
+        console.log('✏️ Material updated:', material.title, req.file ? `(v${material.version})` : '');
+        await recordAudit(req, {
+            action: 'material.updated',
+            targetType: 'Material',
+            targetId: material._id,
+            targetLabel: material.title,
+            ...diffSnapshots(previous, materialSnapshot(material))
+        });
+
+        const { contentText: _text, ...updated } = material.toJSON();
+        res.json({
+            message: 'Material updated successfully!',
+            material: withFileUrls({
+                id: material._id.toString(),
+                ...updated
+            })
+        });
+    } catch (error) {
+        discardUpload(req.file);
+        console.error('❌ Update material error:', error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+app.put('/api/materials/:id', authMiddleware, rateLimit('upload'), loadModifiableMaterial, upload.single('file'), updateMaterial);
+app.patch('/api/materials/:id', authMiddleware, rateLimit('upload'), loadModifiableMaterial, upload.single('file'), updateMaterial);
+
+// Delete Material (uploader or admin)
+app.delete('/api/materials/:id', authMiddleware, async (req, res) => {
+    try {
+        const material = await Material.findById(req.params.id);
+        
+        if (!material) {
+            return res.status(404).json({ error: 'Material not found' });
+        }
+        if (!canModifyMaterial(req, material)) {
+            return res.status(403).json({ error: 'Only the uploader or an admin can delete this material' });
+        }
+
+        await Material.findByIdAndDelete(req.params.id);
+        await removeMaterialFiles(material);
+        await Comment.deleteMany({ materialId: material._id });
+        await Review.deleteMany({ materialId: material._id });
+        await Bookmark.deleteMany({ materialId: material._id });
+        await Collection.updateMany(
+            { 'items.materialId': material._id },
+            { $pull: { items: { materialId: material._id } } }
+        );
+        await Notification.deleteMany({ targetType: 'Material', targetId: material._id.toString() });
+        liveEvents.publish([...materialRooms(material), liveEvents.userRoom(req.user.userId)], 'material.deleted', {
+            id: material._id.toString()
+        });
+
+        console.log('🗑️ Material deleted:', material.title);
+        await recordAudit(req, {
+            action: 'material.deleted',
+            targetType: 'Material',
+            targetId: material._id,
+            targetLabel: material.title,
+            before: materialSnapshot(material),
+            details: { uploadedBy: material.uploadedByName }
+        });
+
+        res.json({ message: 'Material deleted successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Material Discussion Helpers
+
+const MAX_MENTIONS = 10;
+
+// Admins moderate every discussion; faculty those of their courses' materials and of
+// materials without a course
+const canModerateMaterial = async (req, material) => {
+    if (req.user.role === 'admin') return true;
+    if (req.user.role !== 'faculty') return false;
+    return !material.courseId || Boolean(await Course.exists({ _id: material.courseId, faculty: req.user.userId }));
+};
+
+// Users named as @handle, where the handle is the part of their email before the @
+const findMentionedUsers = async (body) => {
+    const handles = [...new Set((body.match(/@([a-z0-9._-]+)/gi) || []).map(m => m.slice(1).toLowerCase()))]
+        .slice(0, MAX_MENTIONS);
+    if (handles.length === 0) return [];
+
+    // Accounts created before statuses existed have no status field and count as active
+    return User.find({
+        $or: handles.map(handle => ({ email: { $regex: `^${escapeRegex(handle)}@` } })),
+        status: { $in: ['active', null] }
+    }).select('name email role').lean();
+};
+
+// Of the given users ({ _id, role }), those who can see a material: everyone for materials
+// without a course, otherwise admins and the course's faculty and students
+const filterMaterialAudience = async (users, material) => {
+    if (!material.courseId || users.length === 0) return users;
+    const course = await Course.findById(material.courseId).select('faculty students').lean();
+    const members = new Set([...(course?.faculty || []), ...(course?.students || [])].map(String));
+    return users.filter(user => user.role === 'admin' || members.has(user._id.toString()));
+};
+
+const formatComment = (comment, req, moderator) => {
+    const own = comment.authorId.toString() === req.user.userId;
+    return {
+        id: comment._id.toString(),
+        parentId: comment.parentId ? comment.parentId.toString() : null,
+        authorId: comment.authorId.toString(),
+        authorName: comment.authorName,
+        authorRole: comment.authorRole,
+        // Hidden comments keep their place in the thread, without the text for non-moderators
+        body: comment.hidden && !moderator ? '' : comment.body,
+        hidden: comment.hidden,
+        upvotes: comment.upvotes.length,
+        upvoted: comment.upvotes.some(id => id.toString() === req.user.userId),
+        accepted: comment.accepted,
+        createdAt: comment.createdAt,
+        canDelete: own || moderator
+    };
+};
+
+// Tell open detail views that a material's discussion changed
+const publishCommentsChanged = async (material) => {
+    const count = await Comment.countDocuments({ materialId: material._id, hidden: false });
+    liveEvents.publish(materialRooms(material), 'material.comments', { id: material._id.toString(), count });
+};
+
+// Load a comment with its material, checking the user can see the material.
+// Returns { comment, material } or { status, error }.
+const loadComment = async (req) => {
+    const comment = mongoose.isValidObjectId(req.params.id) ? await Comment.findById(req.params.id) : null;
+    const material = comment && await Material.findById(comment.materialId);
+    if (!comment || !material) {
+        return { status: 404, error: 'Comment not found' };
+    }
+    if (!(await canSeeMaterial(req, material))) {
+        return { status: 403, error: 'This material is for another course' };
+    }
+    return { comment, material };
+};
+
+// Get a Material's Discussion: questions newest first, each with its replies
+// (accepted answer first, then oldest first)
+app.get('/api/materials/:id/comments', authMiddleware, async (req, res) => {
+    try {
+        const material = await Material.findById(req.params.id);
+
+        if (!material) {
+            return res.status(404).json({ error: 'Material not found' });
+        }
+        if (!(await canSeeMaterial(req, material))) {
+            return res.status(403).json({ error: 'This material is for another course' });
+        }
+
+        const moderator = await canModerateMaterial(req, material);
+        const comments = await Comment.find({ materialId: material._id }).sort({ createdAt: 1 }).lean();
+
+        const threads = comments
+            .filter(comment => !comment.parentId)
+            .reverse()
+            .map(question => ({
+                ...formatComment(question, req, moderator),
+                replies: comments
+                    .filter(reply => reply.parentId && reply.parentId.toString() === question._id.toString())
+                    .sort((a, b) => Number(b.accepted) - Number(a.accepted))
+                    .map(reply => formatComment(reply, req, moderator))
+            }));
+
+        res.json({ threads, canModerate: moderator });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Post a Question or a Reply (parentId) on a Material. Mentioned users and the
+// question's author are notified.
+app.post('/api/materials/:id/comments', authMiddleware, rateLimit('comment'), async (req, res) => {
+    try {
+        const material = await Material.findById(req.params.id);
+
+        if (!material) {
+            return res.status(404).json({ error: 'Material not found' });
+        }
+        if (!(await canSeeMaterial(req, material))) {
+            return res.status(403).json({ error: 'This material is for another course' });
+        }
+
+        const body = String(req.body.body || '').trim();
+        if (!body) {
+            return res.status(400).json({ error: 'Comment cannot be empty' });
+        }
+        if (body.length > 5000) {
+            return res.status(400).json({ error: 'Comment is too long (5000 characters maximum)' });
+        }
+
+        // Replies to a reply join the same thread
+        let question = null;
+        if (req.body.parentId) {
+            const parent = mongoose.isValidObjectId(req.body.parentId) ? await Comment.findById(req.body.parentId) : null;
+            if (!parent || parent.materialId.toString() !== material._id.toString()) {
+                return res.status(400).json({ error: 'The comment you replied to no longer exists' });
+            }
+            question = parent.parentId ? await Comment.findById(parent.parentId) : parent;
+        }
+
+        const user = await User.findById(req.user.userId);
+        // Only people who can open the material are mentioned and notified; others would
+        // learn about a course they are not in
+        const mentioned = await filterMaterialAudience(await findMentionedUsers(body), material);
+
+        const comment = await Comment.create({
+            materialId: material._id,
+            parentId: question ? question._id : null,
+            authorId: req.user.userId,
+            authorName: user?.name || '',
+            authorRole: req.user.role,
+            body,
+            mentions: mentioned.map(mentionedUser => mentionedUser._id)
+        });
+
+        const notification = { type: 'comment', targetType: 'Material', targetId: material._id, excludeUserId: req.user.userId, message: body.slice(0, 200) };
+        const mentionedIds = mentioned.map(mentionedUser => mentionedUser._id.toString());
+        // Titles include the author's name and the material title as typed; clients show them as text
+        if (mentionedIds.length > 0) {
+            await notifyUsers(mentionedIds, { ...notification, title: `${comment.authorName} mentioned you on "${material.title}"` });
+        }
+        const asker = question && !mentionedIds.includes(question.authorId.toString())
+            ? await filterMaterialAudience(await User.find({ _id: question.authorId }).select('role').lean(), material)
+            : [];
+        if (asker.length > 0) {
+            await notifyUsers([asker[0]._id], { ...notification, title: `${comment.authorName} replied to your question on "${material.title}"` });
+        }
+        await publishCommentsChanged(material);
+
+        res.status(201).json({ message: 'Comment posted', comment: formatComment(comment, req, false) });
+    } catch (error) {
+        console.error('❌ Comment error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Upvote a Comment, or take the upvote back
+app.post('/api/comments/:id/upvote', authMiddleware, async (req, res) => {
+    try {
+        const { comment, status, error } = await loadComment(req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        if (comment.authorId.toString() === req.user.userId) {
+            return res.status(400).json({ error: 'You cannot upvote your own comment' });
+        }
+
+        // Atomic updates, so concurrent votes on the same comment are not lost
+        const upvoted = !comment.upvotes.some(id => id.toString() === req.user.userId);
+        const updated = await Comment.findByIdAndUpdate(
+            comment._id,
+            upvoted ? { $addToSet: { upvotes: req.user.userId } } : { $pull: { upvotes: req.user.userId } },
+            { new: true }
+        ).select('upvotes');
+
+        res.json({ upvotes: updated ? updated.upvotes.length : 0, upvoted });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Mark a Reply as the accepted answer to its question, or unmark it (moderating faculty or admin)
+app.post('/api/comments/:id/accept', authMiddleware, async (req, res) => {
+    try {
+        const { comment, material, status, error } = await loadComment(req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        if (!(await canModerateMaterial(req, material))) {
+            return res.status(403).json({ error: 'Only the course faculty or an admin can accept answers' });
+        }
+        if (!comment.parentId) {
+            return res.status(400).json({ error: 'Only replies can be accepted as answers' });
+        }
+
+        const accepted = !comment.accepted;
+        if (accepted) {
+            await Comment.updateMany({ parentId: comment.parentId, _id: { $ne: comment._id } }, { accepted: false, acceptedBy: null });
+        }
+        comment.accepted = accepted;
+        comment.acceptedBy = accepted ? req.user.userId : null;
+        await comment.save();
+
+        if (accepted) {
+            await notifyUsers([comment.authorId], {
+                type: 'comment',
+                title: `Your answer on "${material.title}" was accepted`,
+                message: comment.body.slice(0, 200),
+                targetType: 'Material',
+                targetId: material._id,
+                excludeUserId: req.user.userId
+            });
+        }
+        await publishCommentsChanged(material);
+
+        res.json({ message: accepted ? 'Answer accepted' : 'Answer unmarked', accepted });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Hide a Comment from everyone but moderators, or show it again (moderating faculty or admin)
+app.post('/api/comments/:id/hide', authMiddleware, async (req, res) => {
+    try {
+        const { comment, material, status, error } = await loadComment(req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+        if (!(await canModerateMaterial(req, material))) {
+            return res.status(403).json({ error: 'Only the course faculty or an admin can moderate comments' });
+        }
+
+        comment.hidden = req.body.hidden !== false;
+        comment.hiddenBy = comment.hidden ? req.user.userId : null;
+        await comment.save();
+
+        await recordAudit(req, {
+            action: comment.hidden ? 'comment.hidden' : 'comment.unhidden',
+            targetType: 'Comment',
+            targetId: comment._id,
+            targetLabel: `${material.title} / ${comment.authorName}`,
+            details: { body: comment.body.slice(0, 500) }
+        });
+        await publishCommentsChanged(material);
+
+        res.json({ message: comment.hidden ? 'Comment hidden' : 'Comment shown again', hidden: comment.hidden });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete a Comment, with its replies if it is a question (its author, moderating faculty or admin)
+app.delete('/api/comments/:id', authMiddleware, async (req, res) => {
+    try {
+        const { comment, material, status, error } = await loadComment(req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const own = comment.authorId.toString() === req.user.userId;
+        if (!own && !(await canModerateMaterial(req, material))) {
+            return res.status(403).json({ error: 'Only the author, the course faculty or an admin can delete this comment' });
+        }
+
+        const result = await Comment.deleteMany({ $or: [{ _id: comment._id }, { parentId: comment._id }] });
+
+        // Moderators removing other people's comments is recorded
+        if (!own) {
+            await recordAudit(req, {
+                action: 'comment.deleted',
+                targetType: 'Comment',
+                targetId: comment._id,
+                targetLabel: `${material.title} / ${comment.authorName}`,
+                details: { body: comment.body.slice(0, 500), removed: result.deletedCount }
+            });
+        }
+        await publishCommentsChanged(material);
+
+        res.json({ message: 'Comment deleted' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Library Helpers: bookmarks and collections
+
+const MAX_COLLECTIONS = 50;
+const MAX_COLLECTION_ITEMS = 200;
+
+// Materials in the given order, leaving out deleted ones and those of courses the user
+// isn't in (a shared collection can hold materials of the owner's other courses)
+const libraryMaterials = async (req, materialIds) => {
+    const materials = await Material.find({
+        _id: { $in: materialIds },
+        ...courseFilter(await visibleCourseIds(req))
+    }).lean();
+
+    const byId = new Map(materials.map(material => [material._id.toString(), material]));
+    return materialIds
+        .map(id => byId.get(id.toString()))
+        .filter(Boolean)
+        .map(material => withFileUrls({
+            id: material._id.toString(),
+            _id: material._id.toString(),
+            ...material
+        }));
+};
+
+// The share token is only shown to the owner
+const formatCollection = (collection, own) => ({
+    id: collection._id.toString(),
+    name: collection.name,
+    description: collection.description,
+    ownerName: collection.ownerName,
+    itemCount: collection.items.length,
+    shared: Boolean(collection.shareToken),
+    ...(own && { shareToken: collection.shareToken }),
+    createdAt: collection.createdAt,
+    updatedAt: collection.updatedAt
+});
+
+// A collection of the logged-in user; returns { collection } or { status, error }
+const loadOwnCollection = async (req) => {
+    const collection = mongoose.isValidObjectId(req.params.id)
+        ? await Collection.findOne({ _id: req.params.id, ownerId: req.user.userId })
+        : null;
+    return collection ? { collection } : { status: 404, error: 'Collection not found' };
+};
+
+// A material the user may save; returns { material } or { status, error }
+const loadSaveableMaterial = async (req, materialId) => {
+    const material = mongoose.isValidObjectId(materialId) ? await Material.findById(materialId) : null;
+    if (!material) {
+        return { status: 404, error: 'Material not found' };
+    }
+    if (!(await canSeeMaterial(req, material))) {
+        return { status: 403, error: 'This material is for another course' };
+    }
+    return { material };
+};
+
+// Get Your Bookmarked Materials, most recently saved first
+app.get('/api/bookmarks', authMiddleware, async (req, res) => {
+    try {
+        const bookmarks = await Bookmark.find({ userId: req.user.userId }).sort({ createdAt: -1 }).lean();
+        res.json(await libraryMaterials(req, bookmarks.map(b => b.materialId)));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Bookmark a Material, or remove the bookmark
+app.post('/api/materials/:id/bookmark', authMiddleware, async (req, res) => {
+    try {
+        const { material, status, error } = await loadSaveableMaterial(req, req.params.id);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const removed = await Bookmark.findOneAndDelete({ userId: req.user.userId, materialId: material._id });
+        if (!removed) {
+            // A double click may have saved it already
+            await Bookmark.create({ userId: req.user.userId, materialId: material._id }).catch(error => {
+                if (error.code !== 11000) throw error;
+            });
+        }
+
+        res.json({
+            message: removed ? 'Bookmark removed' : 'Bookmarked',
+            bookmarked: !removed
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get Your Collections, recently changed first (`material` marks those containing it)
+app.get('/api/collections', authMiddleware, async (req, res) => {
+    try {
+        const collections = await Collection.find({ ownerId: req.user.userId }).sort({ updatedAt: -1 });
+        const { material } = req.query;
+
+        res.json(collections.map(collection => ({
+            ...formatCollection(collection, true),
+            ...(material && {
+                containsMaterial: collection.items.some(item => item.materialId.toString() === material)
+            })
+        })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Create a Collection, optionally starting with a material
+app.post('/api/collections', authMiddleware, async (req, res) => {
+    try {
+        const name = String(req.body.name || '').trim();
+        const description = String(req.body.description || '').trim();
+
+        if (!name) {
+            return res.status(400).json({ error: 'Give the collection a name' });
+        }
+        if (name.length > 100 || description.length > 500) {
+            return res.status(400).json({ error: 'Names are limited to 100 characters and descriptions to 500' });
+        }
+        if (await Collection.countDocuments({ ownerId: req.user.userId }) >= MAX_COLLECTIONS) {
+            return res.status(400).json({ error: `You can have up to ${MAX_COLLECTIONS} collections` });
+        }
+
+        const items = [];
+        if (req.body.materialId) {
+            const { material, status, error } = await loadSaveableMaterial(req, req.body.materialId);
+            if (error) {
+                return res.status(status).json({ error });
+            }
+            items.push({ materialId: material._id });
+        }
+
+        const user = await User.findById(req.user.userId).select('name');
+        const collection = await Collection.create({
+            ownerId: req.user.userId,
+            ownerName: user?.name || '',
+            name,
+            description,
+            items
+        });
+
+        res.status(201).json({
+            message: 'Collection created',
+            collection: formatCollection(collection, true)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get one of Your Collections with its materials in order
+app.get('/api/collections/:id', authMiddleware, async (req, res) => {
+    try {
+        const { collection, status, error } = await loadOwnCollection(req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const materials = await libraryMaterials(req, collection.items.map(item => item.materialId));
+        res.json({
+            ...formatCollection(collection, true),
+            materials,
+            unavailableCount: collection.items.length - materials.length
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Rename a Collection or change its description
+app.patch('/api/collections/:id', authMiddleware, async (req, res) => {
+    try {
+        const { collection, status, error } = await loadOwnCollection(req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        if (req.body.name !== undefined) {
+            const name = String(req.body.name).trim();
+            if (!name || name.length > 100) {
+                return res.status(400).json({ error: 'Names must be 1 to 100 characters' });
+            }
+            collection.name = name;
+        }
+        if (req.body.description !== undefined) {
+            const description = String(req.body.description).trim();
+            if (description.length > 500) {
+                return res.status(400).json({ error: 'Descriptions are limited to 500 characters' });
+            }
+            collection.description = description;
+        }
+
+        await collection.save();
+        res.json({
+            message: 'Collection updated',
+            collection: formatCollection(collection, true)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete a Collection (its materials are not affected)
+app.delete('/api/collections/:id', authMiddleware, async (req, res) => {
+    try {
+        const { collection, status, error } = await loadOwnCollection(req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        await collection.deleteOne();
+        res.json({ message: 'Collection deleted' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add a Material to the end of a Collection
+app.post('/api/collections/:id/items', authMiddleware, async (req, res) => {
+    try {
+        const { collection, status, error } = await loadOwnCollection(req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const loaded = await loadSaveableMaterial(req, req.body.materialId);
+        if (loaded.error) {
+            return res.status(loaded.status).json({ error: loaded.error });
+        }
+        if (collection.items.some(item => item.materialId.equals(loaded.material._id))) {
+            return res.status(409).json({ error: `Already in ${collection.name}` });
+        }
+        if (collection.items.length >= MAX_COLLECTION_ITEMS) {
+            return res.status(400).json({ error: `A collection holds up to ${MAX_COLLECTION_ITEMS} materials` });
+        }
+
+        collection.items.push({ materialId: loaded.material._id });
+        await collection.save();
+        res.json({
+            message: `Added to ${collection.name}`,
+            collection: formatCollection(collection, true)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Remove a Material from a Collection
+app.delete('/api/collections/:id/items/:materialId', authMiddleware, async (req, res) => {
+    try {
+        const { collection, status, error } = await loadOwnCollection(req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const count = collection.items.length;
+        collection.items = collection.items.filter(item => item.materialId.toString() !== req.params.materialId);
+        if (collection.items.length === count) {
+            return res.status(404).json({ error: 'That material is not in this collection' });
+        }
+
+        await collection.save();
+        res.json({
+            message: `Removed from ${collection.name}`,
+            collection: formatCollection(collection, true)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Reorder a Collection: `materialIds` lists its materials in the new order. Any left out
+// (such as ones the owner can no longer see) keep their order after the listed ones.
+app.put('/api/collections/:id/order', authMiddleware, async (req, res) => {
+    try {
+        const { collection, status, error } = await loadOwnCollection(req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        const materialIds = Array.isArray(req.body.materialIds) ? req.body.materialIds.map(String) : [];
+        const items = new Map(collection.items.map(item => [item.materialId.toString(), item]));
+        if (new Set(materialIds).size !== materialIds.length || !materialIds.every(id => items.has(id))) {
+            return res.status(400).json({ error: 'The new order must list materials of the collection, each once' });
+        }
+
+        collection.items = [
+            ...materialIds.map(id => items.get(id)),
+            ...collection.items.filter(item => !materialIds.includes(item.materialId.toString()))
+        ];
+        await collection.save();
+        res.json({ message: 'Order saved' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Share a Collection by link, keeping the existing link if it is already shared
+app.post('/api/collections/:id/share', authMiddleware, async (req, res) => {
+    try {
+        const { collection, status, error } = await loadOwnCollection(req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        if (!collection.shareToken) {
+            collection.shareToken = crypto.randomBytes(16).toString('base64url');
+            await collection.save();
+        }
+        res.json({
+            message: 'Anyone logged in with the link can view this collection',
+            shareToken: collection.shareToken
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Stop sharing a Collection; the old link stops working
+app.delete('/api/collections/:id/share', authMiddleware, async (req, res) => {
+    try {
+        const { collection, status, error } = await loadOwnCollection(req);
+        if (error) {
+            return res.status(status).json({ error });
+        }
+
+        collection.shareToken = null;
+        await collection.save();
+        res.json({ message: 'Sharing turned off' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get a Shared Collection. Materials of courses the viewer isn't in are left out.
+app.get('/api/shared-collections/:token', authMiddleware, async (req, res) => {
+    try {
+        const collection = await Collection.findOne({ shareToken: String(req.params.token) });
+        if (!collection) {
+            return res.status(404).json({ error: 'This link is no longer shared' });
+        }
+
+        const own = collection.ownerId.toString() === req.user.userId;
+        const materials = await libraryMaterials(req, collection.items.map(item => item.materialId));
+        res.json({
+            ...formatCollection(collection, own),
+            own,
+            materials,
+            unavailableCount: collection.items.length - materials.length
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Save a Copy of a Shared Collection to your library, with the materials you can see
+app.post('/api/shared-collections/:token/copy', authMiddleware, async (req, res) => {
+    try {
+        const shared = await Collection.findOne({ shareToken: String(req.params.token) });
+        if (!shared) {
+            return res.status(404).json({ error: 'This link is no longer shared' });
+        }
+        if (await Collection.countDocuments({ ownerId: req.user.userId }) >= MAX_COLLECTIONS) {
+            return res.status(400).json({ error: `You can have up to ${MAX_COLLECTIONS} collections` });
+        }
+
+        const materials = await libraryMaterials(req, shared.items.map(item => item.materialId));
+        const user = await User.findById(req.user.userId).select('name');
+        const collection = await Collection.create({
+            ownerId: req.user.userId,
+            ownerName: user?.name || '',
+            name: shared.name,
+            description: shared.description,
+            items: materials.map(material => ({ materialId: material._id }))
+        });
+
+        res.status(201).json({
+            // The name is another user's text; clients show it from collection.name
+            message: 'Saved a copy to your library',
+            collection: formatCollection(collection, true)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Assignment Helpers
+
+const ASSIGNMENT_MAX_FILES = 5;
+
+// The assignment's course and the user's part in it: course faculty (or admin) teach,
+// enrolled students submit
+const assignmentAccess = async (req, assignment) => {
+    const course = await Course.findById(assignment.courseId).select('code name faculty students');
+    const teaching = req.user.role === 'admin' ||
+        Boolean(course && course.faculty.some(id => id.toString() === req.user.userId));
+    const enrolled = Boolean(course && course.students.some(id => id.toString() === req.user.userId));
+    return { course, teaching, enrolled };
+};
+
+// File entries with download URLs (files are addressed by their position)
+const withDownloadUrls = (files, basePath) => (files || []).map((file, index) => ({
+    fileName: file.fileName,
+    mimeType: file.mimeType,
+    size: file.size,
+    fileUrl: `${basePath}/${index}`
+}));
+
+const formatAssignment = (assignment, course) => ({
+    id: assignment._id.toString(),
+    title: assignment.title,
+    description: assignment.description,
+    courseId: assignment.courseId.toString(),
+    course: course ? { id: course._id.toString(), code: course.code, name: course.name } : null,
+    dueAt: assignment.dueAt,
+    maxScore: assignment.maxScore,
+    allowLate: assignment.allowLate,
+    createdByName: assignment.createdByName,
+    createdAt: assignment.createdAt,
+    attachments: withDownloadUrls(assignment.attachments, `/api/assignments/${assignment._id}/attachments`)
+});
+
+const formatSubmission = (submission) => ({
+    id: submission._id.toString(),
+    assignmentId: submission.assignmentId.toString(),
+    studentId: submission.studentId.toString(),
+    studentName: submission.studentName,
+    comment: submission.comment,
+    submittedAt: submission.submittedAt,
+    late: submission.late,
+    status: submission.status,
+    score: submission.score,
+    feedback: submission.feedback,
+    gradedAt: submission.gradedAt,
+    files: withDownloadUrls(submission.files, `/api/submissions/${submission._id}/files`),
+    feedbackFiles: withDownloadUrls(submission.feedbackFiles, `/api/submissions/${submission._id}/feedback`)
+});
+
+const parseDueDate = (value) => {
+    const date = new Date(value);
+    return value && !isNaN(date) ? date : null;
+};
+
+// Post Assignment (Faculty only, for a course they teach)
+app.post('/api/assignments', authMiddleware, rateLimit('upload'), facultyOnly, upload.array('files', ASSIGNMENT_MAX_FILES), async (req, res) => {
+    try {
+        const { title, description, courseId, dueAt, maxScore, allowLate } = req.body;
+
+        const dueDate = parseDueDate(dueAt);
+        if (!title || !title.trim() || !dueDate) {
+            (req.files || []).forEach(discardUpload);
+            return res.status(400).json({ error: 'Title and a valid due date are required' });
+        }
+
+        const course = mongoose.isValidObjectId(courseId) ? await Course.findById(courseId) : null;
+        if (!course) {
+            (req.files || []).forEach(discardUpload);
+            return res.status(400).json({ error: 'Course not found' });
+        }
+        if (!course.faculty.some(id => id.toString() === req.user.userId)) {
+            (req.files || []).forEach(discardUpload);
+            return res.status(403).json({ error: 'You can only post assignments for courses you teach' });
+        }
+
+        const rejected = await inspectUploads(req.files);
+        if (rejected) {
+            return res.status(400).json({ error: rejected });
+        }
+
+        const user = await User.findById(req.user.userId);
+        const assignment = await Assignment.create({
+            title: title.trim(),
+            description: description || '',
+            courseId: course._id,
+            dueAt: dueDate,
+            maxScore: parseInt(maxScore) > 0 ? parseInt(maxScore) : 100,
+            allowLate: allowLate !== 'false',
+            attachments: await storeUploads(req.files),
+            createdBy: req.user.userId,
+            createdByName: user?.name || 'Faculty'
+        });
+
+        console.log('📝 Assignment posted:', assignment.title, `(${course.code})`);
+        await recordAudit(req, {
+            action: 'assignment.created',
+            targetType: 'Assignment',
+            targetId: assignment._id,
+            targetLabel: `${course.code}: ${assignment.title}`,
+            after: { dueAt: assignment.dueAt, maxScore: assignment.maxScore, attachments: assignment.attachments.length }
+        });
+        await notifyAudience({ courseId: course._id }, {
+            type: 'assignment',
+            title: `New assignment: ${assignment.title}`,
+            message: `${course.code} · posted by ${assignment.createdByName}`,
+            targetType: 'Assignment',
+            targetId: assignment._id
+        });
+
+        res.status(201).json({ message: 'Assignment posted!', assignment: formatAssignment(assignment, course) });
+    } catch (error) {
+        (req.files || []).forEach(discardUpload);
+        console.error('❌ Post assignment error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List Assignments of the user's courses (all for admins), soonest due first.
+// Students get their own submission's status; faculty get submission counts.
+app.get('/api/assignments', authMiddleware, async (req, res) => {
+    try {
+        const courseIds = await visibleCourseIds(req);
+
+        const query = {};
+        if (req.query.course) {
+            if (courseIds && !courseIds.includes(req.query.course)) {
+                return res.json([]);
+            }
+            query.courseId = req.query.course;
+        } else if (courseIds) {
+            query.courseId = { $in: courseIds };
+        }
+
+        const assignments = await Assignment.find(query).sort({ dueAt: 1 }).lean();
+        const courses = await Course.find({ _id: { $in: assignments.map(a => a.courseId) } }).select('code name students').lean();
+        const courseOf = (assignment) => courses.find(course => course._id.toString() === assignment.courseId.toString());
+
+        const assignmentIds = assignments.map(a => a._id);
+        let ownSubmissions = [];
+        let counts = [];
+        if (req.user.role === 'student') {
+            ownSubmissions = await Submission.find({ assignmentId: { $in: assignmentIds }, studentId: req.user.userId })
+                .select('assignmentId status late score submittedAt')
+                .lean();
+        } else {
+            counts = await Submission.aggregate([
+                { $match: { assignmentId: { $in: assignmentIds } } },
+                {
+                    $group: {
+                        _id: '$assignmentId',
+                        submitted: { $sum: 1 },
+                        late: { $sum: { $cond: ['$late', 1, 0] } },
+                        graded: { $sum: { $cond: [{ $eq: ['$status', 'graded'] }, 1, 0] } }
+                    }
+                }
+            ]);
+        }
+
+        res.json(assignments.map(assignment => {
+            const course = courseOf(assignment);
+            const formatted = formatAssignment(assignment, course);
+
+            if (req.user.role === 'student') {
+                const own = ownSubmissions.find(s => s.assignmentId.toString() === assignment._id.toString());
+                formatted.submission = own
+                    ? { status: own.status, late: own.late, score: own.score, submittedAt: own.submittedAt }
+                    : null;
+            } else {
+                const count = counts.find(c => c._id.toString() === assignment._id.toString());
+                formatted.counts = {
+                    students: course ? course.students.length : 0,
+                    submitted: count ? count.submitted : 0,
+                    late: count ? count.late : 0,
+                    graded: count ? count.graded : 0
+                };
+            }
+            return formatted;
+        }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get Assignment (with the student's own submission)
+app.get('/api/assignments/:id', authMiddleware, async (req, res) => {
+    try {
+        const assignment = await Assignment.findById(req.params.id);
+
+        if (!assignment) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        const { course, teaching, enrolled } = await assignmentAccess(req, assignment);
+        if (!teaching && !enrolled) {
+            return res.status(403).json({ error: 'This assignment is for another course' });
+        }
+
+        const submission = enrolled
+            ? await Submission.findOne({ assignmentId: assignment._id, studentId: req.user.userId })
+            : null;
+
+        res.json({
+            ...formatAssignment(assignment, course),
+            submission: submission ? formatSubmission(submission) : null
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Edit Assignment details or deadline (course faculty or admin)
+app.patch('/api/assignments/:id', authMiddleware, async (req, res) => {
+    try {
+        const assignment = await Assignment.findById(req.params.id);
+
+        if (!assignment) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        const { course, teaching } = await assignmentAccess(req, assignment);
+        if (!teaching) {
+            return res.status(403).json({ error: 'Only the course faculty or an admin can edit this assignment' });
+        }
+
+        const { title, description, dueAt, maxScore, allowLate } = req.body;
+        const previous = { title: assignment.title, dueAt: assignment.dueAt.toISOString(), maxScore: assignment.maxScore, allowLate: assignment.allowLate };
+
+        if (title !== undefined) {
+            if (!title.trim()) {
+                return res.status(400).json({ error: 'Title is required' });
+            }
+            assignment.title = title.trim();
+        }
+        if (description !== undefined) assignment.description = description;
+        if (dueAt !== undefined) {
+            const dueDate = parseDueDate(dueAt);
+            if (!dueDate) {
+                return res.status(400).json({ error: 'Invalid due date' });
+            }
+            assignment.dueAt = dueDate;
+        }
+        if (maxScore !== undefined && parseInt(maxScore) > 0) assignment.maxScore = parseInt(maxScore);
+        if (allowLate !== undefined) assignment.allowLate = allowLate === true || allowLate === 'true';
+        await assignment.save();
+
+        // A moved deadline changes which submissions count as late
+        await Submission.updateMany({ assignmentId: assignment._id, submittedAt: { $gt: assignment.dueAt } }, { late: true });
+        await Submission.updateMany({ assignmentId: assignment._id, submittedAt: { $lte: assignment.dueAt } }, { late: false });
+
+        await recordAudit(req, {
+            action: 'assignment.updated',
+            targetType: 'Assignment',
+            targetId: assignment._id,
+            targetLabel: `${course ? course.code : ''}: ${assignment.title}`,
+            ...diffSnapshots(previous, { title: assignment.title, dueAt: assignment.dueAt.toISOString(), maxScore: assignment.maxScore, allowLate: assignment.allowLate })
+        });
+
+        res.json({ message: 'Assignment updated', assignment: formatAssignment(assignment, course) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete Assignment with its submissions and their files (course faculty or admin)
+app.delete('/api/assignments/:id', authMiddleware, async (req, res) => {
+    try {
+        const assignment = await Assignment.findById(req.params.id);
+
+        if (!assignment) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        const { course, teaching } = await assignmentAccess(req, assignment);
+        if (!teaching) {
+            return res.status(403).json({ error: 'Only the course faculty or an admin can delete this assignment' });
+        }
+
+        const submissions = await Submission.find({ assignmentId: assignment._id });
+        await Submission.deleteMany({ assignmentId: assignment._id });
+        await Assignment.findByIdAndDelete(assignment._id);
+        await Notification.deleteMany({ targetType: 'Assignment', targetId: assignment._id.toString() });
+        await removeUnusedFiles([
+            ...assignment.attachments.map(file => file.fileKey),
+            ...submissions.flatMap(s => [...s.files, ...s.feedbackFiles].map(file => file.fileKey))
+        ]);
+
+        console.log('🗑️ Assignment deleted:', assignment.title);
+        await recordAudit(req, {
+            action: 'assignment.deleted',
+            targetType: 'Assignment',
+            targetId: assignment._id,
+            targetLabel: `${course ? course.code : ''}: ${assignment.title}`,
+            before: { dueAt: assignment.dueAt, submissions: submissions.length }
+        });
+
+        res.json({ message: 'Assignment deleted' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Download an Assignment Attachment (course members)
+app.get('/api/assignments/:id/attachments/:index', authMiddleware, async (req, res) => {
+    try {
+        const assignment = await Assignment.findById(req.params.id);
+
+        if (!assignment) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        const { teaching, enrolled } = await assignmentAccess(req, assignment);
+        if (!teaching && !enrolled) {
+            return res.status(403).json({ error: 'This assignment is for another course' });
+        }
+
+        const file = assignment.attachments[parseInt(req.params.index)];
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        await sendStoredFile(req, res, file);
+    } catch (error) {
+        console.error('❌ Download error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+});
+
+// Submit (or resubmit, until graded) an Assignment (enrolled students)
+app.post('/api/assignments/:id/submissions', authMiddleware, rateLimit('upload'), upload.array('files', ASSIGNMENT_MAX_FILES), async (req, res) => {
+    try {
+        const assignment = await Assignment.findById(req.params.id);
+
+        if (!assignment) {
+            (req.files || []).forEach(discardUpload);
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        const { enrolled } = await assignmentAccess(req, assignment);
+        if (req.user.role !== 'student' || !enrolled) {
+            (req.files || []).forEach(discardUpload);
+            return res.status(403).json({ error: 'Only students enrolled in the course can submit' });
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'Attach at least one file' });
+        }
+
+        const now = new Date();
+        const late = now > assignment.dueAt;
+        if (late && !assignment.allowLate) {
+            req.files.forEach(discardUpload);
+            return res.status(400).json({ error: 'The deadline has passed and late submissions are not accepted' });
+        }
+
+        const existing = await Submission.findOne({ assignmentId: assignment._id, studentId: req.user.userId });
+        if (existing && existing.status === 'graded') {
+            req.files.forEach(discardUpload);
+            return res.status(400).json({ error: 'This submission has already been graded' });
+        }
+
+        const rejected = await inspectUploads(req.files);
+        if (rejected) {
+            return res.status(400).json({ error: rejected });
+        }
+
+        const user = await User.findById(req.user.userId);
+        const files = await storeUploads(req.files);
+        const replacedKeys = existing ? existing.files.map(file => file.fileKey) : [];
+
+        // Graded submissions never match, so grading between the check above and here cannot
+        // be overwritten. The upsert collides with a submission created meanwhile (graded, or
+        // from a parallel request); the second try only updates, and finds nothing if it was graded.
+        const filter = { assignmentId: assignment._id, studentId: req.user.userId, status: { $ne: 'graded' } };
+        const changes = {
+            studentName: user?.name || '',
+            files,
+            comment: req.body.comment || '',
+            submittedAt: now,
+            late
+        };
+        let submission;
+        try {
+            submission = await Submission.findOneAndUpdate(filter, changes, { upsert: true, new: true, setDefaultsOnInsert: true });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            submission = await Submission.findOneAndUpdate(filter, changes, { new: true });
+        }
+        if (!submission) {
+            await removeUnusedFiles(files.map(file => file.fileKey));
+            return res.status(400).json({ error: 'This submission has already been graded' });
+        }
+        await removeUnusedFiles(replacedKeys);
+
+        console.log(`📝 Submission ${existing ? 'updated' : 'received'}:`, assignment.title, user?.email, late ? '(late)' : '');
+
+        res.status(existing ? 200 : 201).json({
+            message: late ? 'Submitted after the deadline; it is marked as late.' : 'Submitted!',
+            submission: formatSubmission(submission)
+        });
+    } catch (error) {
+        (req.files || []).forEach(discardUpload);
+        console.error('❌ Submission error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List Submissions of an Assignment, plus enrolled students who haven't submitted (course faculty or admin)
+app.get('/api/assignments/:id/submissions', authMiddleware, async (req, res) => {
+    try {
+        const assignment = await Assignment.findById(req.params.id);
+
+        if (!assignment) {
+            return res.status(404).json({ error: 'Assignment not found' });
+        }
+
+        const { course, teaching } = await assignmentAccess(req, assignment);
+        if (!teaching) {
+            return res.status(403).json({ error: 'Only the course faculty or an admin can see submissions' });
+        }
+
+        const submissions = await Submission.find({ assignmentId: assignment._id }).sort({ submittedAt: 1 });
+        const submitted = new Set(submissions.map(s => s.studentId.toString()));
+        const missing = await User.find({
+            _id: { $in: (course ? course.students : []).filter(id => !submitted.has(id.toString())) }
+        }).select('name email').sort({ name: 1 }).lean();
+
+        res.json({
+            submissions: submissions.map(formatSubmission),
+            missing: missing.map(student => ({ id: student._id.toString(), name: student.name, email: student.email }))
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Download a Submitted or Returned File (the student or the course faculty)
+const sendSubmissionFile = (field) => async (req, res) => {
+    try {
+        const submission = await Submission.findById(req.params.id);
+
+        if (!submission) {
+            return res.status(404).json({ error: 'Submission not found' });
+        }
+
+        const assignment = await Assignment.findById(submission.assignmentId);
+        const { teaching } = assignment ? await assignmentAccess(req, assignment) : { teaching: false };
+        if (!teaching && submission.studentId.toString() !== req.user.userId) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const file = submission[field][parseInt(req.params.index)];
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        await sendStoredFile(req, res, file);
+    } catch (error) {
+        console.error('❌ Download error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+};
+
+app.get('/api/submissions/:id/files/:index', authMiddleware, sendSubmissionFile('files'));
+app.get('/api/submissions/:id/feedback/:index', authMiddleware, sendSubmissionFile('feedbackFiles'));
+
+// Grade a Submission with comments and optional annotated files (course faculty or admin).
+// Grading again updates the grade; new files replace the previously returned ones.
+app.post('/api/submissions/:id/grade', authMiddleware, rateLimit('upload'), upload.array('files', ASSIGNMENT_MAX_FILES), async (req, res) => {
+    try {
+        const submission = await Submission.findById(req.params.id);
+        const assignment = submission && await Assignment.findById(submission.assignmentId);
+
+        if (!submission || !assignment) {
+            (req.files || []).forEach(discardUpload);
+            return res.status(404).json({ error: 'Submission not found' });
+        }
+
+        const { course, teaching } = await assignmentAccess(req, assignment);
+        if (!teaching) {
+            (req.files || []).forEach(discardUpload);
+            return res.status(403).json({ error: 'Only the course faculty or an admin can grade' });
+        }
+
+        const score = Number(req.body.score);
+        if (req.body.score === undefined || req.body.score === '' || isNaN(score) || score < 0 || score > assignment.maxScore) {
+            (req.files || []).forEach(discardUpload);
+            return res.status(400).json({ error: `Score must be between 0 and ${assignment.maxScore}` });
+        }
+
+        const rejected = await inspectUploads(req.files);
+        if (rejected) {
+            return res.status(400).json({ error: rejected });
+        }
+
+        const previous = { score: submission.score, feedback: submission.feedback };
+        const replacedKeys = [];
+        if (req.files && req.files.length > 0) {
+            replacedKeys.push(...submission.feedbackFiles.map(file => file.fileKey));
+            submission.feedbackFiles = await storeUploads(req.files);
+        }
+
+        submission.score = score;
+        submission.feedback = req.body.feedback || '';
+        submission.status = 'graded';
+        submission.gradedBy = req.user.userId;
+        submission.gradedAt = new Date();
+        await submission.save();
+        await removeUnusedFiles(replacedKeys);
+
+        console.log('✅ Submission graded:', assignment.title, submission.studentName, `${score}/${assignment.maxScore}`);
+        await recordAudit(req, {
+            action: 'submission.graded',
+            targetType: 'Submission',
+            targetId: submission._id,
+            targetLabel: `${course ? course.code : ''}: ${assignment.title} / ${submission.studentName}`,
+            ...diffSnapshots(previous, { score: submission.score, feedback: submission.feedback }),
+            details: { returnedFiles: submission.feedbackFiles.length }
+        });
+        await notifyUsers([submission.studentId], {
+            type: 'grade',
+            title: `Graded: ${assignment.title}`,
+            message: `${course ? `${course.code} · ` : ''}${submission.score}/${assignment.maxScore}`,
+            targetType: 'Assignment',
+            targetId: assignment._id
+        });
+
+        res.json({ message: 'Grade saved', submission: formatSubmission(submission) });
+    } catch (error) {
+        (req.files || []).forEach(discardUpload);
+        console.error('❌ Grading error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Notification and Announcement Routes
+
+const NOTIFICATION_PAGE_SIZE = 20;
+
+const formatAnnouncement = (announcement, courses = []) => {
+    const course = announcement.courseId &&
+        courses.find(c => c._id.toString() === announcement.courseId.toString());
+    return {
+        id: announcement._id.toString(),
+        title: announcement.title,
+        body: announcement.body,
+        department: announcement.department,
+        semester: announcement.semester,
+        course: course ? { id: course._id.toString(), code: course.code, name: course.name } : null,
+        createdBy: announcement.createdBy.toString(),
+        createdByName: announcement.createdByName,
+        recipientCount: announcement.recipientCount,
+        createdAt: announcement.createdAt
+    };
+};
+
+// Post an Announcement to a course's students, or to the students of a department
+// and/or semester (faculty or admin; faculty only to courses they teach)
+app.post('/api/announcements', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role === 'student') {
+            return res.status(403).json({ error: 'Only faculty and admins can post announcements' });
+        }
+
+        const { title, body, courseId, department } = req.body;
+        const semester = req.body.semester ? parseInt(req.body.semester) : null;
+
+        if (!title || !title.trim()) {
+            return res.status(400).json({ error: 'Title is required' });
+        }
+        if (req.body.semester && !(semester >= 1 && semester <= 8)) {
+            return res.status(400).json({ error: 'Semester must be between 1 and 8' });
+        }
+
+        let course = null;
+        if (courseId) {
+            course = mongoose.isValidObjectId(courseId) ? await Course.findById(courseId) : null;
+            if (!course) {
+                return res.status(400).json({ error: 'Course not found' });
+            }
+            if (!isCourseOwner(req, course)) {
+                return res.status(403).json({ error: 'You can only announce to courses you teach' });
+            }
+        } else if (req.user.role !== 'admin' && !department && !semester) {
+            return res.status(400).json({ error: 'Choose a course, department or semester' });
+        }
+
+        const user = await User.findById(req.user.userId);
+        const announcement = new Announcement({
+            title: title.trim(),
+            body: body || '',
+            courseId: course ? course._id : null,
+            department: course ? null : (department || null),
+            semester: course ? null : semester,
+            createdBy: req.user.userId,
+            createdByName: user?.name || ''
+        });
+
+        announcement.recipientCount = await notifyAudience(
+            course ? { courseId: course._id } : { department: announcement.department, semester: announcement.semester },
+            {
+                type: 'announcement',
+                title: course ? `${course.code}: ${announcement.title}` : announcement.title,
+                message: announcement.body,
+                targetType: 'Announcement',
+                targetId: announcement._id,
+                excludeUserId: req.user.userId
+            }
+        );
+        await announcement.save();
+
+        console.log('📢 Announcement sent:', announcement.title, `(${announcement.recipientCount} recipients)`);
+        await recordAudit(req, {
+            action: 'announcement.created',
+            targetType: 'Announcement',
+            targetId: announcement._id,
+            targetLabel: announcement.title,
+            after: {
+                course: course ? course.code : null,
+                department: announcement.department,
+                semester: announcement.semester,
+                recipients: announcement.recipientCount
+            }
+        });
+
+        res.status(201).json({
+            message: `Announcement sent to ${announcement.recipientCount} student${announcement.recipientCount === 1 ? '' : 's'}`,
+            announcement: formatAnnouncement(announcement, course ? [course] : [])
+        });
+    } catch (error) {
+        console.error('❌ Announcement error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List recent Announcements: those addressed to a student, those a faculty member
+// posted or that went to their courses, or all of them for admins
+app.get('/api/announcements', authMiddleware, async (req, res) => {
+    try {
+        let query = {};
+        if (req.user.role === 'student') {
+            const user = await User.findById(req.user.userId).select('department semester');
+            query = {
+                $or: [
+                    { courseId: { $in: await userCourseIds(req.user) } },
+                    {
+                        courseId: null,
+                        department: { $in: [null, user?.department] },
+                        semester: { $in: [null, user?.semester] }
+                    }
+                ]
+            };
+        } else if (req.user.role === 'faculty') {
+            query = { $or: [{ createdBy: req.user.userId }, { courseId: { $in: await userCourseIds(req.user) } }] };
+        }
+
+        const announcements = await Announcement.find(query).sort({ createdAt: -1 }).limit(50).lean();
+        const courses = await Course.find({ _id: { $in: announcements.map(a => a.courseId).filter(Boolean) } })
+            .select('code name')
+            .lean();
+
+        res.json(announcements.map(announcement => formatAnnouncement(announcement, courses)));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete an Announcement and the notifications it sent (its author or an admin)
+app.delete('/api/announcements/:id', authMiddleware, async (req, res) => {
+    try {
+        const announcement = await Announcement.findById(req.params.id);
+
+        if (!announcement) {
+            return res.status(404).json({ error: 'Announcement not found' });
+        }
+        if (req.user.role !== 'admin' && announcement.createdBy.toString() !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the author or an admin can delete this announcement' });
+        }
+
+        await Announcement.findByIdAndDelete(announcement._id);
+        await Notification.deleteMany({ targetType: 'Announcement', targetId: announcement._id.toString() });
+
+        await recordAudit(req, {
+            action: 'announcement.deleted',
+            targetType: 'Announcement',
+            targetId: announcement._id,
+            targetLabel: announcement.title
+        });
+
+        res.json({ message: 'Announcement deleted' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List Notifications, newest first (unread=true for unread ones only)
+app.get('/api/notifications', authMiddleware, async (req, res) => {
+    try {
+        const query = { userId: req.user.userId };
+        if (req.query.unread === 'true') {
+            query.readAt = null;
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || NOTIFICATION_PAGE_SIZE, 100);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+        const [notifications, total, unreadCount] = await Promise.all([
+            Notification.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+            Notification.countDocuments(query),
+            Notification.countDocuments({ userId: req.user.userId, readAt: null })
+        ]);
+
+        res.json({
+            notifications: notifications.map(formatNotification),
+            unreadCount,
+            total,
+            page,
+            pages: Math.max(Math.ceil(total / limit), 1)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Unread Notification count (for the navbar badge)
+app.get('/api/notifications/unread-count', authMiddleware, async (req, res) => {
+    try {
+        const count = await Notification.countDocuments({ userId: req.user.userId, readAt: null });
+        res.json({ count });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Mark every Notification as read
+app.post('/api/notifications/read-all', authMiddleware, async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { userId: req.user.userId, readAt: null },
+            { readAt: new Date() }
+        );
+        res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Mark a Notification as read (or unread again with { read: false })
+app.post('/api/notifications/:id/read', authMiddleware, async (req, res) => {
+    try {
+        const notification = await Notification.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user.userId },
+            { readAt: req.body.read === false ? null : new Date() },
+            { new: true }
+        );
+
+        if (!notification) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        const unreadCount = await Notification.countDocuments({ userId: req.user.userId, readAt: null });
+        res.json({ notification: formatNotification(notification), unreadCount });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Which kinds of notification the user receives
+app.get('/api/notifications/preferences', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('notificationPreferences');
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.json(user.notificationPreferences);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/api/notifications/preferences', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        PREFERENCE_KEYS.forEach(key => {
+            if (typeof req.body[key] === 'boolean') {
+                user.notificationPreferences[key] = req.body[key];
+            }
+        });
+        await user.save();
+
+        res.json({ message: 'Notification preferences saved', preferences: user.notificationPreferences });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Live Updates (Server-Sent Events). EventSource cannot send headers, so the browser first
+// exchanges its access token for a one-time ticket and opens the stream with ?ticket=; the
+// stream closes when that token expires or the session ends.
+
+// Whether a stream's session and account may still receive events
+const liveSessionActive = async (sessionId, userId) => {
+    if (!(await sessions.isSessionActive(sessionId))) return false;
+    const user = await User.findById(userId).select('status').lean();
+    return Boolean(user) && (user.status || 'active') === 'active';
+};
+
+// Get a Live Updates Ticket (valid for 30 seconds, once)
+app.post('/api/events/ticket', authMiddleware, (req, res) => {
+    const { userId, role, sid, exp } = req.user;
+    res.json({ ticket: liveEvents.issueTicket({ userId, role, sid, exp }) });
+});
+
+app.get('/api/events', async (req, res) => {
+    try {
+        const ticket = liveEvents.redeemTicket(String(req.query.ticket || ''));
+        if (!ticket || !(await liveSessionActive(ticket.sid, ticket.userId))) {
+            return res.status(401).json({ error: 'Invalid or expired ticket.' });
+        }
+        req.user = ticket;
+
+        const user = await User.findById(req.user.userId).select('department semester').lean();
+        const rooms = [
+            liveEvents.userRoom(req.user.userId),
+            ...(await userCourseIds(req.user)).map(liveEvents.courseRoom)
+        ];
+        if (req.user.role === 'admin') {
+            rooms.push(liveEvents.ADMIN_ROOM);
+        } else if (req.user.role === 'faculty') {
+            rooms.push(liveEvents.departmentRoom(user?.department));
+        } else {
+            rooms.push(liveEvents.semesterRoom(user?.department, user?.semester));
+        }
+
+        liveEvents.subscribe(req, res, {
+            userId: req.user.userId,
+            sessionId: req.user.sid,
+            rooms,
+            closeAt: req.user.exp ? req.user.exp * 1000 : null,
+            isActive: () => liveSessionActive(req.user.sid, req.user.userId)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Earlier exchanges of a conversation passed to the assistant as context
+const CHAT_CONTEXT_TURNS = 6;
+
+// Cited or listed materials with links to their files
+const formatSources = (sources) => (sources || []).map(source => ({
+    ...source,
+    materialId: source.materialId.toString(),
+    fileUrl: `/api/materials/${source.materialId}/file`
+}));
+
+// AI Study Assistant: lists materials for requests like "DBMS PYQs for sem 3",
+// otherwise answers from the text of the student's course materials
+app.post('/api/chat', authMiddleware, rateLimit('chat'), async (req, res) => {
+    try {
+        const { message, conversationId } = req.body;
+        
+        if (!message) {
+            return res.status(400).json({ error: 'Message is required' });
+        }
+
+        // Continue the given conversation, or start one titled after the first message
+        let conversation;
+        if (conversationId) {
+            conversation = await Conversation.findOne({ _id: conversationId, userId: req.user.userId });
+            if (!conversation) {
+                return res.status(404).json({ error: 'Conversation not found' });
+            }
+        } else {
+            conversation = await Conversation.create({
+                userId: req.user.userId,
+                title: message.length > 60 ? message.slice(0, 57) + '...' : message
+            });
+        }
+
+        // Recent turns give the assistant the conversation's context
+        const previousChats = (await Chat.find({ conversationId: conversation._id })
+            .sort({ createdAt: -1 })
+            .limit(CHAT_CONTEXT_TURNS)
+            .lean()).reverse();
+        const history = previousChats.flatMap(chat => [
+            { role: 'user', content: chat.message },
+            { role: 'assistant', content: chat.response }
+        ]);
+        const lastChat = previousChats[previousChats.length - 1];
+
+        const user = req.user.role === 'admin'
+            ? null
+            : await User.findById(req.user.userId).select('department semester').lean();
+        const { intent, entities } = await parseMessage(
+            message,
+            lastChat?.intent === 'find_materials' ? lastChat.entities : null
+        );
+
+        // Like the materials list, the assistant only uses materials of the user's courses
+        const visible = courseFilter(await visibleCourseIds(req));
+
+        let reply;
+        if (intent === 'find_materials') {
+            // Material lists stay within the user's department; the semester is whatever they asked for
+            reply = await findMaterials(entities, { ...visible, ...(user?.department && { department: user.department }) });
+        } else {
+            // Students only get passages from their own department and semester
+            const filter = { ...visible };
+            if (user?.department) filter.department = user.department;
+            if (req.user.role === 'student' && user?.semester) filter.semester = user.semester;
+            reply = await answerQuestion(message, filter, history);
+        }
+
+        // Save chat history
+        await Chat.create({
+            userId: req.user.userId,
+            conversationId: conversation._id,
+            message,
+            response: reply.text,
+            intent,
+            entities,
+            sources: reply.sources || [],
+            materials: reply.materials || []
+        });
+
+        conversation.lastMessageAt = new Date();
+        await conversation.save();
+
+        res.json({
+            conversationId: conversation._id.toString(),
+            response: reply.text,
+            intent,
+            entities,
+            sources: formatSources(reply.sources),
+            materials: formatSources(reply.materials)
+        });
+    } catch (error) {
+        console.error('❌ Chat error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get Chat History
+app.get('/api/chat/history', authMiddleware, async (req, res) => {
+    try {
+        const history = await Chat.find({ userId: req.user.userId })
+            .sort({ createdAt: -1 })
+            .limit(50)
+            .lean();
+        
+        const formattedHistory = history.map(chat => ({
+            id: chat._id.toString(),
+            ...chat,
+            sources: formatSources(chat.sources),
+            materials: formatSources(chat.materials)
+        }));
+        
+        res.json(formattedHistory);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Chat Conversations
+const formatConversation = (conversation) => ({
+    id: conversation._id.toString(),
+    title: conversation.title,
+    lastMessageAt: conversation.lastMessageAt,
+    createdAt: conversation.createdAt
+});
+
+// Create Conversation
+app.post('/api/conversations', authMiddleware, async (req, res) => {
+    try {
+        const title = String(req.body.title || '').trim();
+
+        const conversation = await Conversation.create({
+            userId: req.user.userId,
+            ...(title && { title: title.slice(0, 100) })
+        });
+
+        res.status(201).json(formatConversation(conversation));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List Own Conversations (most recent first)
+app.get('/api/conversations', authMiddleware, async (req, res) => {
+    try {
+        const conversations = await Conversation.find({ userId: req.user.userId })
+            .sort({ lastMessageAt: -1 })
+            .limit(100)
+            .lean();
+
+        res.json(conversations.map(formatConversation));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get Conversation Messages (oldest first)
+app.get('/api/conversations/:id/messages', authMiddleware, async (req, res) => {
+    try {
+        const conversation = await Conversation.findOne({ _id: req.params.id, userId: req.user.userId }).lean();
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        const chats = await Chat.find({ conversationId: conversation._id })
+            .sort({ createdAt: 1 })
+            .lean();
+
+        res.json({
+            conversation: formatConversation(conversation),
+            messages: chats.map(chat => ({
+                id: chat._id.toString(),
+                message: chat.message,
+                response: chat.response,
+                intent: chat.intent,
+                entities: chat.entities,
+                sources: formatSources(chat.sources),
+                materials: formatSources(chat.materials),
+                createdAt: chat.createdAt
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Rename Conversation
+app.patch('/api/conversations/:id', authMiddleware, async (req, res) => {
+    try {
+        const title = String(req.body.title || '').trim();
+        if (!title) {
+            return res.status(400).json({ error: 'Title is required' });
+        }
+
+        const conversation = await Conversation.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user.userId },
+            { title: title.slice(0, 100) },
+            { new: true }
+        );
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        res.json(formatConversation(conversation));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete Conversation and its messages
+app.delete('/api/conversations/:id', authMiddleware, async (req, res) => {
+    try {
+        const conversation = await Conversation.findOneAndDelete({ _id: req.params.id, userId: req.user.userId });
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversation not found' });
+        }
+
+        await Chat.deleteMany({ conversationId: conversation._id });
+
+        res.json({ message: 'Conversation deleted' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Exam Helpers
+
+// Question fields that must never reach a student before grading.
+// optionOrder lists original option indexes in display order; optionValues tells
+// the client which original index to send back for each displayed option.
+const toStudentQuestion = (question, optionOrder) => {
+    const hasOptions = question.type === 'mcq' || question.type === 'multi';
+    const order = hasOptions
+        ? (optionOrder && optionOrder.length === question.options.length ? optionOrder : question.options.map((_, i) => i))
+        : [];
+
+    return {
+        id: question._id.toString(),
+        text: question.text,
+        type: question.type,
+        options: order.map(i => question.options[i]),
+        optionValues: order,
+        marks: question.marks
+    };
+};
+
+// Questions of an exam in the order a particular attempt should see them
+const buildAttemptPaper = (exam, attempt) => {
+    const byId = new Map(exam.questions.map(q => [q._id.toString(), q]));
+    const ordered = attempt.questionOrder && attempt.questionOrder.length > 0
+        ? attempt.questionOrder.map(id => byId.get(id.toString())).filter(Boolean)
+        : exam.questions;
+
+    return ordered.map(question => {
+        const optionOrder = attempt.optionOrders.find(o => o.questionId.toString() === question._id.toString());
+        return toStudentQuestion(question, optionOrder ? optionOrder.order : null);
+    });
+};
+
+// Validate the scheduling fields shared by hand-picked and generated exams
+const parseExamSettings = (body) => {
+    const { title, description, subject, department, semester, startTime, endTime, durationMinutes, negativeMarking, shuffleQuestions, shuffleOptions } = body;
+
+    if (!title || !subject || !department || !semester || !startTime || !endTime || !durationMinutes) {
+        return { error: 'All exam fields are required' };
+    }
+
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    if (isNaN(start) || isNaN(end) || end <= start) {
+        return { error: 'Exam end time must be after start time' };
+    }
+    if (!(parseInt(durationMinutes) > 0)) {
+        return { error: 'Duration must be a positive number of minutes' };
+    }
+
+    const negative = negativeMarking ? parseFloat(negativeMarking) : 0;
+    if (isNaN(negative) || negative < 0 || negative > 1) {
+        return { error: 'Negative marking must be a fraction between 0 and 1' };
+    }
+
+    return {
+        settings: {
+            title,
+            description: description || '',
+            subject,
+            department,
+            semester: parseInt(semester),
+            startTime: start,
+            endTime: end,
+            durationMinutes: parseInt(durationMinutes),
+            negativeMarking: negative,
+            shuffleQuestions: Boolean(shuffleQuestions),
+            shuffleOptions: Boolean(shuffleOptions)
+        }
+    };
+};
+
+const createExam = async (req, res, settings, questionIds) => {
+    const user = await User.findById(req.user.userId);
+
+    const exam = await Exam.create({
+        ...settings,
+        questions: questionIds,
+        createdBy: req.user.userId,
+        createdByName: user?.name || 'Faculty'
+    });
+
+    console.log('✅ Exam scheduled:', exam.title);
+
+    res.status(201).json({
+        message: 'Exam scheduled successfully!',
+        exam: {
+            id: exam._id.toString(),
+            ...exam.toJSON()
+        }
+    });
+};
+
+const getExamStatus = (exam, now = new Date()) => {
+    if (now < exam.startTime) return 'upcoming';
+    if (now > exam.endTime) return 'closed';
+    return 'open';
+};
+
+const isBlankAnswer = (value) => value === '' || value === undefined || value === null;
+
+// An error message when a numeric answer is not a number, so it isn't saved as NaN
+const invalidNumericAnswer = (answers) => {
+    const invalid = (Array.isArray(answers) ? answers : [])
+        .some(answer => answer && !isBlankAnswer(answer.numericAnswer) && !Number.isFinite(Number(answer.numericAnswer)));
+    return invalid ? 'Numeric answers must be numbers' : null;
+};
+
+// Keep only answers for questions that belong to the exam, in a consistent shape
+const normalizeAnswers = (answers, questionIds) => {
+    const allowed = new Set(questionIds.map(id => id.toString()));
+    return (Array.isArray(answers) ? answers : [])
+        .filter(answer => answer && allowed.has(String(answer.questionId)))
+        .map(answer => ({
+            questionId: answer.questionId,
+            selectedOptions: Array.isArray(answer.selectedOptions)
+                ? answer.selectedOptions.map(n => parseInt(n)).filter(n => !isNaN(n))
+                : [],
+            numericAnswer: isBlankAnswer(answer.numericAnswer) ? null : Number(answer.numericAnswer),
+            textAnswer: typeof answer.textAnswer === 'string' ? answer.textAnswer.trim() : ''
+        }));
+};
+
+// Grade an attempt against its exam's questions and store the result on it
+const applyGrading = (attempt, exam) => {
+    const { results, score, maxScore } = gradeAttempt(attempt, exam.questions, exam.negativeMarking);
+    attempt.results = results;
+    attempt.score = score;
+    attempt.maxScore = maxScore;
+    attempt.gradedAt = new Date();
+};
+
+// Close an attempt and grade it
+const finalizeAttempt = async (attempt, status, submittedAt) => {
+    const exam = await Exam.findById(attempt.examId).populate('questions');
+
+    attempt.status = status;
+    attempt.submittedAt = submittedAt;
+    if (exam) {
+        applyGrading(attempt, exam);
+    }
+    await attempt.save();
+};
+
+// Close an attempt whose time has run out; returns true if it is still open
+const ensureAttemptOpen = async (attempt) => {
+    if (attempt.status !== 'in-progress') return false;
+    if (attempt.expiresAt > new Date()) return true;
+
+    await finalizeAttempt(attempt, 'auto-submitted', attempt.expiresAt);
+    return false;
+};
+
+// Server-side auto-submit for attempts abandoned after their deadline
+const autoSubmitExpiredAttempts = async () => {
+    try {
+        const expired = await Attempt.find({ status: 'in-progress', expiresAt: { $lte: new Date() } });
+        for (const attempt of expired) {
+            await finalizeAttempt(attempt, 'auto-submitted', attempt.expiresAt);
+        }
+        if (expired.length > 0) {
+            console.log(`⏰ Auto-submitted ${expired.length} expired attempt(s)`);
+        }
+    } catch (error) {
+        console.error('❌ Auto-submit error:', error);
+    }
+};
+
+setInterval(autoSubmitExpiredAttempts, 30 * 1000);
+
+const formatAttempt = (attempt) => ({
+    id: attempt._id.toString(),
+    examId: attempt.examId.toString(),
+    answers: attempt.answers,
+    startedAt: attempt.startedAt,
+    expiresAt: attempt.expiresAt,
+    submittedAt: attempt.submittedAt,
+    status: attempt.status
+});
+
+// Create Question (Faculty only)
+app.post('/api/questions', authMiddleware, facultyOnly, async (req, res) => {
+    try {
+        const { text, type, options, correctOptions, numericAnswer, tolerance, acceptedAnswers, marks, tags, difficulty, subject, department, semester } = req.body;
+
+        if (!text || !type || !subject || !department || !semester) {
+            return res.status(400).json({ error: 'Text, type, subject, department and semester are required' });
+        }
+
+        const cleanOptions = Array.isArray(options) ? options.map(o => String(o).trim()).filter(Boolean) : [];
+        const cleanCorrect = Array.isArray(correctOptions)
+            ? [...new Set(correctOptions.map(n => parseInt(n)))].filter(n => n >= 0 && n < cleanOptions.length)
+            : [];
+
+        if (type === 'mcq' || type === 'multi') {
+            if (cleanOptions.length < 2) {
+                return res.status(400).json({ error: 'At least two options are required' });
+            }
+            if (type === 'mcq' && cleanCorrect.length !== 1) {
+                return res.status(400).json({ error: 'MCQ questions need exactly one correct option' });
+            }
+            if (type === 'multi' && cleanCorrect.length < 1) {
+                return res.status(400).json({ error: 'Multi-select questions need at least one correct option' });
+            }
+        } else if (type === 'numeric') {
+            if (numericAnswer === undefined || numericAnswer === null || isNaN(parseFloat(numericAnswer))) {
+                return res.status(400).json({ error: 'Numeric questions need a numeric answer' });
+            }
+        } else if (type === 'short') {
+            if (!Array.isArray(acceptedAnswers) || acceptedAnswers.filter(a => String(a).trim()).length === 0) {
+                return res.status(400).json({ error: 'Short-answer questions need at least one accepted answer' });
+            }
+        } else {
+            return res.status(400).json({ error: 'Invalid question type' });
+        }
+
+        if (difficulty && !['easy', 'medium', 'hard'].includes(difficulty)) {
+            return res.status(400).json({ error: 'Difficulty must be easy, medium or hard' });
+        }
+
+        const tagList = (Array.isArray(tags) ? tags : String(tags || '').split(','))
+            .map(tag => String(tag).trim().toLowerCase())
+            .filter(Boolean);
+
+        const question = await Question.create({
+            text,
+            type,
+            options: type === 'mcq' || type === 'multi' ? cleanOptions : [],
+            correctOptions: type === 'mcq' || type === 'multi' ? cleanCorrect : [],
+            numericAnswer: type === 'numeric' ? parseFloat(numericAnswer) : null,
+            tolerance: type === 'numeric' && tolerance ? Math.abs(parseFloat(tolerance)) || 0 : 0,
+            acceptedAnswers: type === 'short' ? acceptedAnswers.map(a => String(a).trim()).filter(Boolean) : [],
+            marks: marks ? parseFloat(marks) : 1,
+            tags: [...new Set(tagList)],
+            difficulty: difficulty || 'medium',
+            subject,
+            department,
+            semester: parseInt(semester),
+            createdBy: req.user.userId
+        });
+
+        console.log('✅ Question created:', question._id.toString());
+
+        res.status(201).json({
+            message: 'Question created successfully!',
+            question: {
+                id: question._id.toString(),
+                ...question.toJSON()
+            }
+        });
+    } catch (error) {
+        console.error('❌ Create question error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get Questions (Faculty only)
+app.get('/api/questions', authMiddleware, facultyOnly, async (req, res) => {
+    try {
+        const { department, semester, subject, tag, difficulty, search } = req.query;
+
+        const query = {};
+        if (department) {
+            query.department = department;
+        }
+        if (semester) {
+            query.semester = parseInt(semester);
+        }
+        if (subject) {
+            query.subject = { $regex: escapeRegex(subject), $options: 'i' };
+        }
+        if (tag) {
+            query.tags = tag.trim().toLowerCase();
+        }
+        if (difficulty) {
+            query.difficulty = difficulty;
+        }
+        if (search) {
+            query.text = { $regex: escapeRegex(search), $options: 'i' };
+        }
+
+        const questions = await Question.find(query)
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.json(questions.map(question => ({
+            id: question._id.toString(),
+            ...question
+        })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Create Exam (Faculty only)
+app.post('/api/exams', authMiddleware, facultyOnly, async (req, res) => {
+    try {
+        const { questionIds } = req.body;
+
+        const { error, settings } = parseExamSettings(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (!Array.isArray(questionIds) || questionIds.length === 0) {
+            return res.status(400).json({ error: 'Select at least one question' });
+        }
+
+        const uniqueIds = [...new Set(questionIds.map(String))];
+        const questions = await Question.find({
+            _id: { $in: uniqueIds },
+            department: settings.department,
+            semester: settings.semester
+        }).select('_id').lean();
+
+        if (questions.length !== uniqueIds.length) {
+            return res.status(400).json({ error: 'Some questions were not found for this department and semester' });
+        }
+
+        await createExam(req, res, settings, uniqueIds);
+    } catch (error) {
+        console.error('❌ Create exam error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Generate Exam from the Question Bank (Faculty only)
+// Body takes the usual exam fields plus buckets: [{ tag, difficulty, count }]
+app.post('/api/exams/generate', authMiddleware, facultyOnly, async (req, res) => {
+    try {
+        const { buckets } = req.body;
+
+        const { error, settings } = parseExamSettings({
+            shuffleQuestions: true,
+            shuffleOptions: true,
+            ...req.body
+        });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (!Array.isArray(buckets) || buckets.length === 0) {
+            return res.status(400).json({ error: 'Add at least one question bucket' });
+        }
+
+        const cleanBuckets = buckets.map(bucket => ({
+            tag: bucket.tag || '',
+            difficulty: bucket.difficulty || '',
+            count: parseInt(bucket.count)
+        }));
+        if (cleanBuckets.some(bucket => !(bucket.count > 0))) {
+            return res.status(400).json({ error: 'Each bucket needs a positive question count' });
+        }
+
+        const pool = await Question.find({
+            department: settings.department,
+            semester: settings.semester,
+            subject: new RegExp(`^${escapeRegex(settings.subject)}$`, 'i')
+        }).select('_id tags difficulty').lean();
+
+        const { questions, shortfalls } = pickFromBuckets(pool, cleanBuckets);
+        if (shortfalls) {
+            return res.status(400).json({
+                error: 'Not enough questions in the bank for some buckets',
+                shortfalls
+            });
+        }
+
+        await createExam(req, res, settings, questions.map(q => q._id));
+    } catch (error) {
+        console.error('❌ Generate exam error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get Exams (faculty see their own, students see their department and semester)
+app.get('/api/exams', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const query = req.user.role === 'faculty'
+            ? { createdBy: user._id }
+            : { department: user.department, semester: user.semester };
+
+        const exams = await Exam.find(query)
+            .sort({ startTime: -1 })
+            .lean();
+
+        const attempts = req.user.role === 'faculty'
+            ? []
+            : await Attempt.find({ userId: user._id, examId: { $in: exams.map(e => e._id) } }).lean();
+
+        const now = new Date();
+        const formattedExams = exams.map(exam => {
+            const attempt = attempts.find(a => a.examId.toString() === exam._id.toString());
+            return {
+                id: exam._id.toString(),
+                title: exam.title,
+                description: exam.description,
+                subject: exam.subject,
+                department: exam.department,
+                semester: exam.semester,
+                questionCount: exam.questions.length,
+                startTime: exam.startTime,
+                endTime: exam.endTime,
+                durationMinutes: exam.durationMinutes,
+                createdByName: exam.createdByName,
+                negativeMarking: exam.negativeMarking,
+                shuffleQuestions: exam.shuffleQuestions,
+                shuffleOptions: exam.shuffleOptions,
+                resultsPublished: exam.resultsPublished,
+                status: getExamStatus(exam, now),
+                attemptId: attempt ? attempt._id.toString() : null,
+                attemptStatus: attempt ? attempt.status : null
+            };
+        });
+
+        res.json(formattedExams);
+    } catch (error) {
+        console.error('❌ Get exams error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get Single Exam (questions with answers are only returned to the owning faculty)
+app.get('/api/exams/:id', authMiddleware, async (req, res) => {
+    try {
+        const exam = await Exam.findById(req.params.id).populate('questions');
+
+        if (!exam) {
+            return res.status(404).json({ error: 'Exam not found' });
+        }
+
+        const isOwner = exam.createdBy.toString() === req.user.userId;
+        const examJson = exam.toJSON();
+
+        res.json({
+            id: exam._id.toString(),
+            ...examJson,
+            questions: isOwner ? examJson.questions : undefined,
+            questionCount: exam.questions.length,
+            status: getExamStatus(exam)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Start (or resume) an Exam Attempt (Students only)
+app.post('/api/exams/:id/start', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'student') {
+            return res.status(403).json({ error: 'Only students can take exams' });
+        }
+
+        const exam = await Exam.findById(req.params.id).populate('questions');
+        if (!exam) {
+            return res.status(404).json({ error: 'Exam not found' });
+        }
+
+        const user = await User.findById(req.user.userId);
+        if (!user || user.department !== exam.department || user.semester !== exam.semester) {
+            return res.status(403).json({ error: 'This exam is not scheduled for your department and semester' });
+        }
+
+        let attempt = await Attempt.findOne({ examId: exam._id, userId: user._id });
+
+        if (attempt) {
+            const isOpen = await ensureAttemptOpen(attempt);
+            if (!isOpen) {
+                return res.status(400).json({ error: 'You have already submitted this exam' });
+            }
+        } else {
+            const status = getExamStatus(exam);
+            if (status !== 'open') {
+                return res.status(400).json({
+                    error: status === 'upcoming' ? 'This exam has not started yet' : 'This exam has closed'
+                });
+            }
+
+            const startedAt = new Date();
+            const expiresAt = new Date(Math.min(
+                startedAt.getTime() + exam.durationMinutes * 60 * 1000,
+                exam.endTime.getTime()
+            ));
+
+            const questionOrder = exam.shuffleQuestions
+                ? shuffle(exam.questions.map(q => q._id))
+                : [];
+            const optionOrders = exam.shuffleOptions
+                ? exam.questions
+                    .filter(q => q.type === 'mcq' || q.type === 'multi')
+                    .map(q => ({ questionId: q._id, order: shuffle(q.options.map((_, i) => i)) }))
+                : [];
+
+            try {
+                attempt = await Attempt.create({
+                    examId: exam._id,
+                    userId: user._id,
+                    userName: user.name,
+                    answers: [],
+                    questionOrder,
+                    optionOrders,
+                    startedAt,
+                    expiresAt
+                });
+                console.log('📝 Exam started:', exam.title, 'by', user.email);
+            } catch (error) {
+                // A parallel start (double click, second tab) created the attempt first; continue that one
+                if (error.code !== 11000) throw error;
+                attempt = await Attempt.findOne({ examId: exam._id, userId: user._id });
+            }
+        }
+
+        res.json({
+            exam: {
+                id: exam._id.toString(),
+                title: exam.title,
+                subject: exam.subject,
+                durationMinutes: exam.durationMinutes
+            },
+            questions: buildAttemptPaper(exam, attempt),
+            attempt: formatAttempt(attempt),
+            serverTime: new Date()
+        });
+    } catch (error) {
+        console.error('❌ Start exam error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get an Attempt (owner only)
+app.get('/api/attempts/:id', authMiddleware, async (req, res) => {
+    try {
+        const attempt = await Attempt.findById(req.params.id);
+
+        if (!attempt || attempt.userId.toString() !== req.user.userId) {
+            return res.status(404).json({ error: 'Attempt not found' });
+        }
+
+        await ensureAttemptOpen(attempt);
+
+        res.json({
+            ...formatAttempt(attempt),
+            serverTime: new Date()
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Save Attempt Answers (autosave while the timer is running)
+app.put('/api/attempts/:id/answers', authMiddleware, async (req, res) => {
+    try {
+        const attempt = await Attempt.findById(req.params.id);
+
+        if (!attempt || attempt.userId.toString() !== req.user.userId) {
+            return res.status(404).json({ error: 'Attempt not found' });
+        }
+
+        const invalid = invalidNumericAnswer(req.body.answers);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const isOpen = await ensureAttemptOpen(attempt);
+        if (!isOpen) {
+            return res.status(400).json({ error: 'Time is up. This attempt has been submitted.', attempt: formatAttempt(attempt) });
+        }
+
+        const exam = await Exam.findById(attempt.examId).select('questions').lean();
+        attempt.answers = normalizeAnswers(req.body.answers, exam ? exam.questions : []);
+        await attempt.save();
+
+        res.json({ message: 'Answers saved', attempt: formatAttempt(attempt) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Submit Attempt
+app.post('/api/attempts/:id/submit', authMiddleware, async (req, res) => {
+    try {
+        const attempt = await Attempt.findById(req.params.id);
+
+        if (!attempt || attempt.userId.toString() !== req.user.userId) {
+            return res.status(404).json({ error: 'Attempt not found' });
+        }
+
+        const invalid = invalidNumericAnswer(req.body.answers);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const isOpen = await ensureAttemptOpen(attempt);
+        if (!isOpen) {
+            return res.json({ message: 'Attempt already submitted', attempt: formatAttempt(attempt) });
+        }
+
+        if (req.body.answers) {
+            const exam = await Exam.findById(attempt.examId).select('questions').lean();
+            attempt.answers = normalizeAnswers(req.body.answers, exam ? exam.questions : []);
+        }
+
+        await finalizeAttempt(attempt, 'submitted', new Date());
+
+        console.log('✅ Exam submitted:', attempt._id.toString());
+
+        res.json({ message: 'Exam submitted successfully!', attempt: formatAttempt(attempt) });
+    } catch (error) {
+        console.error('❌ Submit attempt error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Publish / Unpublish Exam Results (Exam owner only)
+app.post('/api/exams/:id/publish', authMiddleware, facultyOnly, async (req, res) => {
+    try {
+        const exam = await Exam.findById(req.params.id);
+
+        if (!exam) {
+            return res.status(404).json({ error: 'Exam not found' });
+        }
+        if (exam.createdBy.toString() !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the exam owner can publish results' });
+        }
+
+        exam.resultsPublished = req.body.published !== false;
+        await exam.save();
+
+        console.log(`📢 Results ${exam.resultsPublished ? 'published' : 'unpublished'}:`, exam.title);
+
+        res.json({
+            message: exam.resultsPublished ? 'Results published' : 'Results hidden from students',
+            resultsPublished: exam.resultsPublished
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get Exam Results with Class Statistics (Exam owner only)
+app.get('/api/exams/:id/results', authMiddleware, facultyOnly, async (req, res) => {
+    try {
+        const exam = await Exam.findById(req.params.id).populate('questions');
+
+        if (!exam) {
+            return res.status(404).json({ error: 'Exam not found' });
+        }
+        if (exam.createdBy.toString() !== req.user.userId) {
+            return res.status(403).json({ error: 'Only the exam owner can view results' });
+        }
+
+        const attempts = await Attempt.find({ examId: exam._id });
+
+        // Close expired attempts and grade anything that finished without a grade
+        for (const attempt of attempts) {
+            const isOpen = await ensureAttemptOpen(attempt);
+            if (!isOpen && !attempt.gradedAt) {
+                applyGrading(attempt, exam);
+                await attempt.save();
+            }
+        }
+
+        const finished = attempts.filter(a => a.status !== 'in-progress');
+        const maxScore = exam.questions.reduce((sum, q) => sum + (q.marks || 0), 0);
+        const toPercentage = (score) => maxScore > 0 ? Math.round((score / maxScore) * 10000) / 100 : 0;
+
+        const students = finished
+            .map(attempt => ({
+                attemptId: attempt._id.toString(),
+                userId: attempt.userId.toString(),
+                userName: attempt.userName,
+                status: attempt.status,
+                submittedAt: attempt.submittedAt,
+                score: attempt.score,
+                maxScore: attempt.maxScore,
+                percentage: toPercentage(attempt.score),
+                results: attempt.results
+            }))
+            .sort((a, b) => b.score - a.score);
+
+        const questions = exam.questions.map(question => {
+            const counts = { correct: 0, partial: 0, incorrect: 0, unanswered: 0 };
+            finished.forEach(attempt => {
+                const result = attempt.results.find(r => r.questionId.toString() === question._id.toString());
+                counts[result ? result.result : 'unanswered']++;
+            });
+            return {
+                id: question._id.toString(),
+                text: question.text,
+                type: question.type,
+                marks: question.marks,
+                ...counts
+            };
+        });
+
+        res.json({
+            exam: {
+                id: exam._id.toString(),
+                title: exam.title,
+                subject: exam.subject,
+                negativeMarking: exam.negativeMarking,
+                resultsPublished: exam.resultsPublished,
+                maxScore
+            },
+            students,
+            questions,
+            stats: {
+                ...computeStatistics(students.map(s => s.percentage)),
+                inProgress: attempts.length - finished.length
+            }
+        });
+    } catch (error) {
+        console.error('❌ Exam results error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get Own Attempt Result (only once results are published)
+app.get('/api/attempts/:id/result', authMiddleware, async (req, res) => {
+    try {
+        const attempt = await Attempt.findById(req.params.id);
+
+        if (!attempt || attempt.userId.toString() !== req.user.userId) {
+            return res.status(404).json({ error: 'Attempt not found' });
+        }
+
+        const exam = await Exam.findById(attempt.examId).populate('questions');
+        if (!exam) {
+            return res.status(404).json({ error: 'Exam not found' });
+        }
+        if (!exam.resultsPublished) {
+            return res.status(403).json({ error: 'Results have not been published yet' });
+        }
+
+        const isOpen = await ensureAttemptOpen(attempt);
+        if (isOpen) {
+            return res.status(400).json({ error: 'This attempt is still in progress' });
+        }
+        if (!attempt.gradedAt) {
+            applyGrading(attempt, exam);
+            await attempt.save();
+        }
+
+        const questions = exam.questions.map(question => {
+            const answer = attempt.answers.find(a => a.questionId.toString() === question._id.toString());
+            const result = attempt.results.find(r => r.questionId.toString() === question._id.toString());
+            return {
+                ...toStudentQuestion(question),
+                correctOptions: question.correctOptions,
+                numericAnswer: question.numericAnswer,
+                tolerance: question.tolerance,
+                acceptedAnswers: question.acceptedAnswers,
+                answer: answer || null,
+                result: result ? result.result : 'unanswered',
+                marksAwarded: result ? result.marksAwarded : 0
+            };
+        });
+
+        res.json({
+            exam: {
+                id: exam._id.toString(),
+                title: exam.title,
+                subject: exam.subject
+            },
+            score: attempt.score,
+            maxScore: attempt.maxScore,
+            status: attempt.status,
+            submittedAt: attempt.submittedAt,
+            questions
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Admin Helpers
+
+const formatUser = (user) => ({
+    id: user._id.toString(),
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    status: user.status || 'active',
+    department: user.department,
+    semester: user.semester,
+    createdAt: user.createdAt
+});
+
+// List Users (Admin only)
+app.get('/api/admin/users', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const { role, status, search } = req.query;
+
+        const query = {};
+        if (role) {
+            query.role = role;
+        }
+        if (status === 'active') {
+            // Accounts created before statuses existed have no status field
+            query.status = { $in: ['active', null] };
+        } else if (status) {
+            query.status = status;
+        }
+        if (search) {
+            query.$or = [
+                { name: { $regex: escapeRegex(search), $options: 'i' } },
+                { email: { $regex: escapeRegex(search), $options: 'i' } }
+            ];
+        }
+
+        const users = await User.find(query)
+            .select('-password')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.json(users.map(formatUser));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Approve Faculty Account (Admin only)
+app.post('/api/admin/users/:id/approve', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.status !== 'pending') {
+            return res.status(400).json({ error: 'User is not awaiting approval' });
+        }
+
+        user.status = 'active';
+        await user.save();
+
+        console.log('✅ Faculty approved:', user.email);
+        await recordAudit(req, {
+            action: 'user.approved',
+            targetType: 'User',
+            targetId: user._id,
+            targetLabel: user.email,
+            before: { status: 'pending' },
+            after: { status: 'active' }
+        });
+
+        res.json({ message: 'User approved', user: formatUser(user) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Change Role / Status (Admin only)
+app.patch('/api/admin/users/:id', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const { role, status } = req.body;
+
+        if (req.params.id === req.user.userId) {
+            return res.status(400).json({ error: 'You cannot change your own role or status' });
+        }
+        if (role && !['student', 'faculty', 'admin'].includes(role)) {
+            return res.status(400).json({ error: 'Invalid role' });
+        }
+        if (status && !['pending', 'active', 'deactivated'].includes(status)) {
+            return res.status(400).json({ error: 'Invalid status' });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const previous = { role: user.role, status: user.status || 'active' };
+        if (role) {
+            user.role = role;
         }
+        if (status) {
+            user.status = status;
+        }
+        await user.save();
 
-        const userId = new mongoose.Types.ObjectId(req.user.userId);
-        const likeIndex = material.likes.findIndex(
-            likeId => likeId.toString() === userId.toString()
-        );
-        
-        if (likeIndex > -1) {
-            material.likes.splice(likeIndex, 1);
-        } else {
-            material.likes.push(userId);
+        if (user.status === 'deactivated') {
+            await sessions.revokeAllSessions(user._id);
+            liveEvents.disconnect({ userId: user._id });
         }
 
-        await material.save();
-        res.json({ 
-            message: 'Like updated', 
-            likes: material.likes.length,
-            isLiked: material.likes.some(likeId => likeId.toString() === userId.toString())
+        console.log('🛠️ User updated by admin:', user.email, user.role, user.status);
+        const changes = diffSnapshots(previous, { role: user.role, status: user.status });
+        if (Object.keys(changes.after).length > 0) {
+            await recordAudit(req, {
+                action: changes.after.role ? 'user.role_changed' : 'user.status_changed',
+                targetType: 'User',
+                targetId: user._id,
+                targetLabel: user.email,
+                ...changes
+            });
+        }
+
+        res.json({ message: 'User updated', user: formatUser(user) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Audit Log (Admin only)
+// Filters: action (exact, or a prefix like "material" for every material.* action),
+// actor (email substring), targetType, targetId, from/to (dates); newest first
+app.get('/api/admin/audit-logs', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const { action, actor, targetType, targetId, from, to } = req.query;
+
+        const query = {};
+        if (action) {
+            query.action = action.includes('.') ? action : { $regex: `^${escapeRegex(action)}\\.` };
+        }
+        if (actor) {
+            query.actorEmail = { $regex: escapeRegex(actor), $options: 'i' };
+        }
+        if (targetType) {
+            query.targetType = targetType;
+        }
+        if (targetId) {
+            query.targetId = targetId;
+        }
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = new Date(from);
+            // A bare date for "to" includes that whole day
+            if (to) query.createdAt.$lte = /^\d{4}-\d{2}-\d{2}$/.test(to) ? new Date(`${to}T23:59:59.999Z`) : new Date(to);
+            if (Object.values(query.createdAt).some(date => isNaN(date))) {
+                return res.status(400).json({ error: 'Invalid date' });
+            }
+        }
+
+        const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        const [logs, total] = await Promise.all([
+            AuditLog.find(query)
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .lean(),
+            AuditLog.countDocuments(query)
+        ]);
+
+        res.json({
+            logs: logs.map(log => ({ id: log._id.toString(), ...log })),
+            total,
+            page: pageNum,
+            pages: Math.ceil(total / limitNum)
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Download Material
-app.post('/api/materials/:id/download', authMiddleware, async (req, res) => {
+// Get Departments (public so the register form can use them)
+app.get('/api/departments', async (req, res) => {
     try {
-        const material = await Material.findById(req.params.id);
-        
-        if (!material) {
-            return res.status(404).json({ error: 'Material not found' });
+        const departments = await Department.find().sort({ name: 1 }).lean();
+
+        res.json(departments.map(department => ({
+            id: department._id.toString(),
+            ...department
+        })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Create Department (Admin only)
+app.post('/api/admin/departments', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const { name, code } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ error: 'Department name is required' });
+        }
+        if (await Department.exists({ name: name.trim() })) {
+            return res.status(400).json({ error: 'Department already exists' });
         }
 
-        material.downloads = (material.downloads || 0) + 1;
-        await material.save();
+        const department = await Department.create({ name: name.trim(), code: code || '' });
 
-        res.json({ 
-            message: 'Download count updated', 
-            downloads: material.downloads 
+        res.status(201).json({
+            message: 'Department created',
+            department: {
+                id: department._id.toString(),
+                ...department.toJSON()
+            }
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// Delete Material (Faculty only)
-app.delete('/api/materials/:id', authMiddleware, facultyOnly, async (req, res) => {
+// Delete Department (Admin only)
+app.delete('/api/admin/departments/:id', authMiddleware, adminOnly, async (req, res) => {
     try {
-        const material = await Material.findById(req.params.id);
-        
-        if (!material) {
-            return res.status(404).json({ error: 'Material not found' });
+        const department = await Department.findById(req.params.id);
+
+        if (!department) {
+            return res.status(404).json({ error: 'Department not found' });
+        }
+        if (await Subject.exists({ department: department.name })) {
+            return res.status(400).json({ error: 'Remove the department\'s subjects first' });
         }
 
-        await Material.findByIdAndDelete(req.params.id);
+        await Department.findByIdAndDelete(req.params.id);
 
-        res.json({ message: 'Material deleted successfully' });
+        res.json({ message: 'Department deleted' });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// AI Chatbot
-app.post('/api/chat', authMiddleware, async (req, res) => {
+// Get Subjects (optionally by department and semester)
+app.get('/api/subjects', async (req, res) => {
     try {
-        const { message } = req.body;
-        
-        if (!message) {
-            return res.status(400).json({ error: 'Message is required' });
+        const { department, semester } = req.query;
+
+        const query = {};
+        if (department) {
+            query.department = department;
+        }
+        if (semester) {
+            query.semester = parseInt(semester);
         }
 
-        // Simple keyword-based responses (Backend Processing)
-        let response = '';
-        const lowerMessage = message.toLowerCase();
-        
-        if (lowerMessage.includes('pyq') || lowerMessage.includes('previous year') || lowerMessage.includes('question paper')) {
-            response = 'You can find previous year question papers in the Materials section. Filter by "PYQ" type to see all available papers. Would you like me to help you find papers for a specific subject?';
-        } else if (lowerMessage.includes('notes') || lowerMessage.includes('study material')) {
-            response = 'Study notes are available in the Materials section. You can filter by subject, semester, and department to find relevant notes for your courses. Just click on Materials in the navigation menu!';
-        } else if (lowerMessage.includes('syllabus')) {
-            response = 'Syllabus documents are available in the Materials section. Filter by "Syllabus" type to view the curriculum for different courses. This will help you plan your studies better!';
-        } else if (lowerMessage.includes('exam') || lowerMessage.includes('preparation')) {
-            response = 'I can help you with exam preparation! We have notes, PYQs, and reference materials. What subject are you preparing for? I can guide you to the right materials.';
-        } else if (lowerMessage.includes('download') || lowerMessage.includes('how to download')) {
-            response = 'To download materials: 1) Go to the Materials page, 2) Find the document you need using filters or search, 3) Click the green "Download" button. Make sure you\'re logged in!';
-        } else if (lowerMessage.includes('upload')) {
-            response = 'Only faculty members can upload materials. If you\'re a faculty member, use the Upload button in the navigation menu to share notes, PYQs, or other study materials with students.';
-        } else if (lowerMessage.includes('hello') || lowerMessage.includes('hi') || lowerMessage.includes('hey')) {
-            response = 'Hello! 👋 I\'m your AI study assistant. I can help you find study materials, PYQs, and answer questions about using the portal. What would you like to know?';
-        } else if (lowerMessage.includes('thank')) {
-            response = 'You\'re welcome! 😊 Feel free to ask if you need any other help with your studies or using the portal.';
-        } else {
-            response = 'I\'m here to help with your academic queries! You can ask me about:\n• Finding study materials and notes\n• Previous year question papers (PYQs)\n• Exam preparation tips\n• How to download or upload materials\n• Using the portal features\n\nWhat would you like to know?';
+        const subjects = await Subject.find(query)
+            .sort({ department: 1, semester: 1, name: 1 })
+            .lean();
+
+        res.json(subjects.map(subject => ({
+            id: subject._id.toString(),
+            ...subject
+        })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Create Subject (Admin only)
+app.post('/api/admin/subjects', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const { name, code, department, semester } = req.body;
+
+        if (!name || !department || !semester) {
+            return res.status(400).json({ error: 'Name, department and semester are required' });
+        }
+        if (!(await Department.exists({ name: department }))) {
+            return res.status(400).json({ error: 'Unknown department' });
+        }
+        if (await Subject.exists({ name: name.trim(), department, semester: parseInt(semester) })) {
+            return res.status(400).json({ error: 'Subject already exists' });
         }
 
-        // Save chat history
-        await Chat.create({
-            userId: req.user.userId,
-            message,
-            response
+        const subject = await Subject.create({
+            name: name.trim(),
+            code: code || '',
+            department,
+            semester: parseInt(semester)
         });
 
-        res.json({ response });
+        res.status(201).json({
+            message: 'Subject created',
+            subject: {
+                id: subject._id.toString(),
+                ...subject.toJSON()
+            }
+        });
     } catch (error) {
-        console.error('❌ Chat error:', error);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Get Chat History
-app.get('/api/chat/history', authMiddleware, async (req, res) => {
+// Delete Subject (Admin only)
+app.delete('/api/admin/subjects/:id', authMiddleware, adminOnly, async (req, res) => {
     try {
-        const history = await Chat.find({ userId: req.user.userId })
-            .sort({ createdAt: -1 })
-            .limit(50)
-            .lean();
-        
-        const formattedHistory = history.map(chat => ({
-            id: chat._id.toString(),
-            ...chat
-        }));
-        
-        res.json(formattedHistory);
+        const subject = await Subject.findByIdAndDelete(req.params.id);
+
+        if (!subject) {
+            return res.status(404).json({ error: 'Subject not found' });
+        }
+
+        res.json({ message: 'Subject deleted' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Course Helpers
+
+const formatCourse = (course, userId) => ({
+    id: course._id.toString(),
+    code: course.code,
+    name: course.name,
+    department: course.department,
+    semester: course.semester,
+    // Populated faculty carry their names; otherwise only ids
+    faculty: course.faculty.map(member => (member.name
+        ? { id: member._id.toString(), name: member.name, email: member.email }
+        : { id: member.toString() })),
+    studentCount: course.students.length,
+    teaching: course.faculty.some(member => (member._id || member).toString() === userId),
+    enrolled: course.students.some(id => id.toString() === userId)
+});
+
+const isCourseOwner = (req, course) =>
+    req.user.role === 'admin' || course.faculty.some(id => id.toString() === req.user.userId);
+
+// Faculty accounts for a list of emails (an array or a comma-separated string).
+// Returns { users } or { error } naming the first email that isn't a faculty member.
+const findFacultyByEmails = async (emails) => {
+    const list = (Array.isArray(emails) ? emails : String(emails || '').split(','))
+        .map(email => String(email).toLowerCase().trim())
+        .filter(Boolean);
+
+    const users = await User.find({ email: { $in: list }, role: 'faculty' }).select('name email');
+    const missing = list.find(email => !users.some(user => user.email === email));
+    if (missing) {
+        return { error: `${missing} is not a faculty account` };
+    }
+    return { users };
+};
+
+// List Courses: the catalog (filter by department/semester/search) or, with mine=true,
+// the courses the user takes or teaches
+app.get('/api/courses', authMiddleware, async (req, res) => {
+    try {
+        const { department, semester, search, mine } = req.query;
+
+        const query = {};
+        if (mine === 'true') {
+            query._id = { $in: await userCourseIds(req.user) };
+        }
+        if (department) {
+            query.department = department;
+        }
+        if (semester) {
+            query.semester = parseInt(semester);
+        }
+        if (search) {
+            query.$or = [
+                { code: { $regex: escapeRegex(search), $options: 'i' } },
+                { name: { $regex: escapeRegex(search), $options: 'i' } }
+            ];
+        }
+
+        const courses = await Course.find(query)
+            .populate('faculty', 'name email')
+            .sort({ department: 1, semester: 1, code: 1 });
+
+        res.json(courses.map(course => formatCourse(course, req.user.userId)));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Enroll in a Course (Students only)
+app.post('/api/courses/:id/enroll', authMiddleware, async (req, res) => {
+    try {
+        if (req.user.role !== 'student') {
+            return res.status(403).json({ error: 'Only students can enroll in courses' });
+        }
+
+        const course = await Course.findByIdAndUpdate(
+            req.params.id,
+            { $addToSet: { students: req.user.userId } },
+            { new: true }
+        ).populate('faculty', 'name email');
+
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
+
+        res.json({ message: `Enrolled in ${course.code}`, course: formatCourse(course, req.user.userId) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Leave a Course (Students only)
+app.delete('/api/courses/:id/enroll', authMiddleware, async (req, res) => {
+    try {
+        const course = await Course.findByIdAndUpdate(
+            req.params.id,
+            { $pull: { students: req.user.userId } },
+            { new: true }
+        ).populate('faculty', 'name email');
+
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
+
+        res.json({ message: `Left ${course.code}`, course: formatCourse(course, req.user.userId) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Course Roster (course faculty or admin)
+app.get('/api/courses/:id/students', authMiddleware, async (req, res) => {
+    try {
+        const course = await Course.findById(req.params.id).populate('students', 'name email department semester');
+
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
+        if (!isCourseOwner(req, course)) {
+            return res.status(403).json({ error: 'Only the course faculty or an admin can see the roster' });
+        }
+
+        res.json(course.students
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(student => ({
+                id: student._id.toString(),
+                name: student.name,
+                email: student.email,
+                department: student.department,
+                semester: student.semester
+            })));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Enroll a Student by Email (course faculty or admin)
+app.post('/api/courses/:id/students', authMiddleware, async (req, res) => {
+    try {
+        const course = await Course.findById(req.params.id);
+
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
+        if (!isCourseOwner(req, course)) {
+            return res.status(403).json({ error: 'Only the course faculty or an admin can manage the roster' });
+        }
+
+        const student = await User.findOne({ email: String(req.body.email || '').toLowerCase().trim(), role: 'student' });
+        if (!student) {
+            return res.status(404).json({ error: 'No student account with that email' });
+        }
+
+        await Course.updateOne({ _id: course._id }, { $addToSet: { students: student._id } });
+
+        console.log(`📝 ${student.email} enrolled in ${course.code}`);
+        await recordAudit(req, {
+            action: 'course.student_added',
+            targetType: 'Course',
+            targetId: course._id,
+            targetLabel: course.code,
+            details: { student: student.email }
+        });
+
+        // The student's name is their own text; clients show it from student.name
+        res.status(201).json({
+            message: `Student enrolled in ${course.code}`,
+            student: { id: student._id.toString(), name: student.name, email: student.email }
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Remove a Student from a Course (course faculty or admin)
+app.delete('/api/courses/:id/students/:userId', authMiddleware, async (req, res) => {
+    try {
+        const course = await Course.findById(req.params.id);
+
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
+        if (!isCourseOwner(req, course)) {
+            return res.status(403).json({ error: 'Only the course faculty or an admin can manage the roster' });
+        }
+
+        const student = await User.findById(req.params.userId).select('email');
+        await Course.updateOne({ _id: course._id }, { $pull: { students: req.params.userId } });
+
+        await recordAudit(req, {
+            action: 'course.student_removed',
+            targetType: 'Course',
+            targetId: course._id,
+            targetLabel: course.code,
+            details: { student: student ? student.email : req.params.userId }
+        });
+
+        res.json({ message: 'Student removed from course' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Create Course (Admin only)
+app.post('/api/admin/courses', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const { code, name, department, semester, faculty } = req.body;
+
+        if (!code || !code.trim() || !name || !name.trim() || !department || !semester) {
+            return res.status(400).json({ error: 'Code, name, department and semester are required' });
+        }
+        if ((await Department.countDocuments()) > 0 && !(await Department.exists({ name: department }))) {
+            return res.status(400).json({ error: 'Unknown department' });
+        }
+        if (await Course.exists({ code: code.trim().toUpperCase() })) {
+            return res.status(400).json({ error: 'A course with this code already exists' });
+        }
+
+        const { users, error } = await findFacultyByEmails(faculty);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const course = await Course.create({
+            code: code.trim(),
+            name: name.trim(),
+            department,
+            semester: parseInt(semester),
+            faculty: users.map(user => user._id),
+            students: []
+        });
+
+        console.log('✅ Course created:', course.code);
+        await recordAudit(req, {
+            action: 'course.created',
+            targetType: 'Course',
+            targetId: course._id,
+            targetLabel: course.code,
+            after: { name: course.name, department, semester: course.semester, faculty: users.map(user => user.email) }
+        });
+
+        await course.populate('faculty', 'name email');
+        res.status(201).json({ message: 'Course created', course: formatCourse(course, req.user.userId) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Rename a Course or Change its Faculty (Admin only)
+app.patch('/api/admin/courses/:id', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const { name, faculty } = req.body;
+
+        const course = await Course.findById(req.params.id).populate('faculty', 'name email');
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
+
+        const previous = { name: course.name, faculty: course.faculty.map(member => member.email) };
+
+        if (name !== undefined) {
+            if (!name.trim()) {
+                return res.status(400).json({ error: 'Course name is required' });
+            }
+            course.name = name.trim();
+        }
+        if (faculty !== undefined) {
+            const { users, error } = await findFacultyByEmails(faculty);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+            course.faculty = users;
+        }
+        await course.save();
+
+        // Materials carry the course name as their subject
+        if (course.name !== previous.name) {
+            await Material.updateMany({ courseId: course._id }, { subject: course.name });
+        }
+
+        console.log('🛠️ Course updated:', course.code);
+        await recordAudit(req, {
+            action: 'course.updated',
+            targetType: 'Course',
+            targetId: course._id,
+            targetLabel: course.code,
+            ...diffSnapshots(previous, { name: course.name, faculty: course.faculty.map(member => member.email) })
+        });
+
+        res.json({ message: 'Course updated', course: formatCourse(course, req.user.userId) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Delete Course (Admin only)
+app.delete('/api/admin/courses/:id', authMiddleware, adminOnly, async (req, res) => {
+    try {
+        const course = await Course.findById(req.params.id);
+
+        if (!course) {
+            return res.status(404).json({ error: 'Course not found' });
+        }
+        if (await Material.exists({ courseId: course._id })) {
+            return res.status(400).json({ error: 'Move or delete the course\'s materials first' });
+        }
+        if (await Assignment.exists({ courseId: course._id })) {
+            return res.status(400).json({ error: 'Delete the course\'s assignments first' });
+        }
+
+        await Course.findByIdAndDelete(course._id);
+
+        console.log('🗑️ Course deleted:', course.code);
+        await recordAudit(req, {
+            action: 'course.deleted',
+            targetType: 'Course',
+            targetId: course._id,
+            targetLabel: course.code,
+            before: { name: course.name, department: course.department, semester: course.semester, students: course.students.length }
+        });
+
+        res.json({ message: 'Course deleted' });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -470,8 +5061,9 @@ app.get('/api/chat/history', authMiddleware, async (req, res) => {
 // Get Dashboard Data (Pre-processed on Backend)
 app.get('/api/dashboard', authMiddleware, async (req, res) => {
     try {
-        // Get all materials for processing
-        const materials = await Material.find().lean();
+        // Materials of the user's courses (plus those of no course), newest first
+        const courseIds = await visibleCourseIds(req);
+        const materials = await Material.find(courseFilter(courseIds)).sort({ createdAt: -1 }).lean();
         
         // Calculate stats on backend
         const totalMaterials = materials.length;
@@ -482,6 +5074,18 @@ app.get('/api/dashboard', authMiddleware, async (req, res) => {
         const totalStudents = await User.countDocuments({ role: 'student' });
         const totalFaculty = await User.countDocuments({ role: 'faculty' });
         
+        // The user's courses with how many materials each has
+        const courses = courseIds
+            ? await Course.find({ _id: { $in: courseIds } }).sort({ semester: 1, code: 1 }).lean()
+            : [];
+        const myCourses = courses.map(course => ({
+            id: course._id.toString(),
+            code: course.code,
+            name: course.name,
+            semester: course.semester,
+            materialCount: materials.filter(m => m.courseId && m.courseId.toString() === course._id.toString()).length
+        }));
+
         // Get recent materials (already sorted by date)
         const recentMaterials = materials
             .slice(0, 5)
@@ -501,7 +5105,8 @@ app.get('/api/dashboard', authMiddleware, async (req, res) => {
                 totalStudents,
                 totalFaculty
             },
-            recentMaterials
+            recentMaterials,
+            courses: myCourses
         });
     } catch (error) {
         console.error('❌ Dashboard error:', error);
@@ -530,6 +5135,15 @@ app.get('/api/stats', authMiddleware, async (req, res) => {
     }
 });
 
+// Upload errors (e.g. file over the size limit) as JSON instead of an HTML page
+app.use((error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+        const message = error.code === 'LIMIT_FILE_SIZE' ? 'File is too large (50 MB maximum)' : error.message;
+        return res.status(400).json({ error: message });
+    }
+    next(error);
+});
+
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
@@ -1,21 +1,39 @@
 // Configuration
-const API_URL = 'http://localhost:5000/api';
+const SERVER_URL = 'http://localhost:5000';
+const API_URL = `${SERVER_URL}/api`;
 let currentUser = null;
-let authToken = localStorage.getItem('token');
+// Short-lived access token, kept in memory only; the refresh token lives in an httpOnly cookie
+let authToken = null;
+let tokenRefreshTimer = null;
 
 // DOM Content Loaded
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
     console.log('🚀 Exam Portal Frontend Loaded');
     
-    // Check authentication status
-    if (authToken) {
-        fetchCurrentUser();
-    } else {
-        showLogin();
-    }
-    
     // Initialize event listeners
     initializeEventListeners();
+
+    // Replace hard-coded department lists with the admin-managed ones
+    loadDepartmentOptions();
+
+    // Offer institutional login when the backend has an identity provider configured
+    loadSsoOption();
+
+    // Shared collection links open once the user is logged in
+    pendingCollectionToken = new URLSearchParams(window.location.search).get('collection');
+    if (pendingCollectionToken) {
+        window.history.replaceState({}, document.title, window.location.pathname);
+    }
+
+    // Links from verification and reset emails and failed SSO logins take priority over
+    // resuming a session; otherwise resume from the refresh cookie, if there is one
+    if (!(await handleEmailLink()) && !handleSsoRedirect()) {
+        if (await refreshAccessToken()) {
+            fetchCurrentUser();
+        } else {
+            showLogin();
+        }
+    }
 });
 
 // Initialize Event Listeners
@@ -38,12 +56,131 @@ function initializeEventListeners() {
         uploadForm.addEventListener('submit', handleUpload);
     }
     
+    // Forgot / reset password forms
+    const forgotPasswordForm = document.getElementById('forgotPasswordForm');
+    if (forgotPasswordForm) {
+        forgotPasswordForm.addEventListener('submit', handleForgotPassword);
+    }
+    const resetPasswordForm = document.getElementById('resetPasswordForm');
+    if (resetPasswordForm) {
+        resetPasswordForm.addEventListener('submit', handleResetPassword);
+    }
+
+    // Change password form
+    const changePasswordForm = document.getElementById('changePasswordForm');
+    if (changePasswordForm) {
+        changePasswordForm.addEventListener('submit', handleChangePassword);
+    }
+
+    // A sleeping tab misses its refresh timer; catch up when it becomes visible
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible' && authToken && tokenExpiresIn(authToken) < 60000) {
+            refreshAccessToken();
+        }
+    });
+
+    // Download buttons carry their file in data attributes rather than inline handlers,
+    // so a file name can never be run as script
+    document.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-download-url]');
+        if (!button) return;
+        event.preventDefault();
+        downloadFile(button.dataset.downloadUrl, button.dataset.downloadName);
+    });
+    
+    // Edit material form
+    const editMaterialForm = document.getElementById('editMaterialForm');
+    if (editMaterialForm) {
+        editMaterialForm.addEventListener('submit', handleMaterialEdit);
+    }
+    
+    // Discussion form
+    const commentForm = document.getElementById('commentForm');
+    if (commentForm) {
+        commentForm.addEventListener('submit', (event) => postComment(event));
+    }
+    
+    // Library collection forms
+    const collectionForm = document.getElementById('collectionForm');
+    if (collectionForm) {
+        collectionForm.addEventListener('submit', handleCreateCollection);
+    }
+    const collectionPickerForm = document.getElementById('collectionPickerForm');
+    if (collectionPickerForm) {
+        collectionPickerForm.addEventListener('submit', handleCollectionPickerCreate);
+    }
+
+    // Review form
+    const reviewForm = document.getElementById('reviewForm');
+    if (reviewForm) {
+        reviewForm.addEventListener('submit', handleReviewSubmit);
+    }
+    
     // Search input
     const searchInput = document.getElementById('searchInput');
     if (searchInput) {
         searchInput.addEventListener('input', debounce(loadMaterials, 500));
     }
     
+    // Admin forms
+    const departmentForm = document.getElementById('departmentForm');
+    if (departmentForm) {
+        departmentForm.addEventListener('submit', handleDepartmentCreate);
+    }
+
+    const subjectForm = document.getElementById('subjectForm');
+    if (subjectForm) {
+        subjectForm.addEventListener('submit', handleSubjectCreate);
+    }
+
+    const courseForm = document.getElementById('courseForm');
+    if (courseForm) {
+        courseForm.addEventListener('submit', handleCourseCreate);
+    }
+
+    const auditFilterForm = document.getElementById('auditFilterForm');
+    if (auditFilterForm) {
+        auditFilterForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            auditPage = 1;
+            loadAuditLog();
+        });
+    }
+
+    const adminUserSearch = document.getElementById('adminUserSearch');
+    if (adminUserSearch) {
+        adminUserSearch.addEventListener('input', debounce(loadAdminUsers, 500));
+    }
+
+    // Assignment form
+    const assignmentForm = document.getElementById('assignmentForm');
+    if (assignmentForm) {
+        assignmentForm.addEventListener('submit', handleAssignmentCreate);
+    }
+
+    // Announcement form
+    const announcementForm = document.getElementById('announcementForm');
+    if (announcementForm) {
+        announcementForm.addEventListener('submit', handleAnnouncementCreate);
+    }
+
+    // Exam forms
+    const questionForm = document.getElementById('questionForm');
+    if (questionForm) {
+        questionForm.addEventListener('submit', handleQuestionCreate);
+    }
+
+    const examForm = document.getElementById('examForm');
+    if (examForm) {
+        examForm.addEventListener('submit', handleExamCreate);
+    }
+
+    const examAttemptForm = document.getElementById('examAttemptForm');
+    if (examAttemptForm) {
+        examAttemptForm.addEventListener('submit', handleExamAttemptSubmit);
+        examAttemptForm.addEventListener('input', () => queueExamAutosave());
+    }
+    
     // Chat form
     const chatForm = document.getElementById('chatForm');
     if (chatForm) {
@@ -65,6 +202,49 @@ function debounce(func, wait) {
 }
 
 // Authentication Functions
+
+// Milliseconds until a JWT expires
+function tokenExpiresIn(token) {
+    try {
+        const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return payload.exp * 1000 - Date.now();
+    } catch (error) {
+        return 0;
+    }
+}
+
+// Store a new access token and renew it a minute before it expires
+function setAccessToken(token) {
+    authToken = token;
+    clearTimeout(tokenRefreshTimer);
+    tokenRefreshTimer = setTimeout(refreshAccessToken, Math.max(tokenExpiresIn(token) - 60000, 5000));
+}
+
+// Exchange the refresh cookie for a new access token; false when the session has ended
+async function refreshAccessToken() {
+    try {
+        const response = await fetch(`${API_URL}/auth/refresh`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+
+        if (!response.ok) {
+            if (authToken) {
+                showNotification('⚠️ Your session has ended. Please log in again.', 'warning');
+                endSession();
+            }
+            return false;
+        }
+
+        const data = await response.json();
+        setAccessToken(data.token);
+        return true;
+    } catch (error) {
+        console.error('Error refreshing session:', error);
+        return false;
+    }
+}
+
 async function fetchCurrentUser() {
     try {
         const response = await fetch(`${API_URL}/auth/me`, {
@@ -77,7 +257,7 @@ async function fetchCurrentUser() {
         if (response.ok) {
             currentUser = await response.json();
             console.log('✅ User loaded:', currentUser.email);
-            showDashboard();
+            showStartPage();
             updateUIForUserRole();
         } else {
             throw new Error('Failed to fetch user');
@@ -98,6 +278,7 @@ async function handleLogin(e) {
     try {
         const response = await fetch(`${API_URL}/auth/login`, {
             method: 'POST',
+            credentials: 'include',
             headers: { 
                 'Content-Type': 'application/json'
             },
@@ -106,12 +287,15 @@ async function handleLogin(e) {
 
         const data = await response.json();
         
+        hideSuccess(document.getElementById('loginSuccess'));
+        document.getElementById('resendVerificationBtn').classList.toggle('hidden', !data.unverified);
+
         if (response.ok) {
-            authToken = data.token;
-            localStorage.setItem('token', authToken);
+            setAccessToken(data.token);
             currentUser = data.user;
             console.log('✅ Login successful');
-            showDashboard();
+            showStartPage();
+            updateUIForUserRole();
             hideError(errorElement);
         } else {
             showError(errorElement, data.error || 'Login failed');
@@ -139,6 +323,7 @@ async function handleRegister(e) {
     try {
         const response = await fetch(`${API_URL}/auth/register`, {
             method: 'POST',
+            credentials: 'include',
             headers: { 
                 'Content-Type': 'application/json'
             },
@@ -147,13 +332,12 @@ async function handleRegister(e) {
 
         const data = await response.json();
         
+        // New accounts must verify their email (and faculty need approval) before logging in
         if (response.ok) {
-            authToken = data.token;
-            localStorage.setItem('token', authToken);
-            currentUser = data.user;
             console.log('✅ Registration successful');
-            showDashboard();
             hideError(errorElement);
+            showSuccess(document.getElementById('registerSuccess'), data.message);
+            document.getElementById('registerForm').reset();
         } else {
             showError(errorElement, data.error || 'Registration failed');
         }
@@ -163,11 +347,199 @@ async function handleRegister(e) {
     }
 }
 
-function logout() {
-    localStorage.removeItem('token');
+// Handle ?verify=<token> and ?reset=<token> links from emails; true if one was present
+async function handleEmailLink() {
+    const params = new URLSearchParams(window.location.search);
+    const verifyToken = params.get('verify');
+    const resetToken = params.get('reset');
+    if (!verifyToken && !resetToken) return false;
+
+    // Drop the token from the address bar so it isn't bookmarked or shared
+    window.history.replaceState({}, document.title, window.location.pathname);
+
+    if (resetToken) {
+        pendingResetToken = resetToken;
+        showResetPassword();
+        return true;
+    }
+
+    showLogin();
+    try {
+        const response = await fetch(`${API_URL}/auth/verify-email`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token: verifyToken })
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            showSuccess(document.getElementById('loginSuccess'), data.message);
+        } else {
+            showError(document.getElementById('loginError'), data.error || 'Verification failed');
+        }
+    } catch (error) {
+        console.error('Verification error:', error);
+        showError(document.getElementById('loginError'), 'Network error. Please try again.');
+    }
+    return true;
+}
+
+// Show the SSO button if single sign-on is configured
+async function loadSsoOption() {
+    try {
+        const response = await fetch(`${API_URL}/auth/sso`);
+        if (!response.ok) return;
+        const data = await response.json();
+
+        if (data.enabled) {
+            document.getElementById('ssoProviderName').textContent = data.name;
+            document.getElementById('ssoLogin').classList.remove('hidden');
+        }
+    } catch (error) {
+        console.error('Error loading SSO settings:', error);
+    }
+}
+
+function loginWithSso() {
+    window.location.href = `${API_URL}/auth/sso/login`;
+}
+
+// The SSO callback returns here with ?sso=1 (the refresh cookie is set, so the
+// session resumes as usual) or ?sso_error=<message>. True when an error was shown.
+function handleSsoRedirect() {
+    const params = new URLSearchParams(window.location.search);
+    const ssoError = params.get('sso_error');
+    if (!params.has('sso') && !ssoError) return false;
+
+    window.history.replaceState({}, document.title, window.location.pathname);
+    if (!ssoError) return false;
+
+    showLogin();
+    showError(document.getElementById('loginError'), ssoError);
+    return true;
+}
+
+async function resendVerification() {
+    const email = document.getElementById('loginEmail').value;
+
+    try {
+        const response = await fetch(`${API_URL}/auth/resend-verification`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email })
+        });
+        const data = await response.json();
+
+        hideError(document.getElementById('loginError'));
+        document.getElementById('resendVerificationBtn').classList.add('hidden');
+        showSuccess(document.getElementById('loginSuccess'), data.message || data.error);
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        showNotification('❌ Could not resend the email', 'danger');
+    }
+}
+
+let pendingResetToken = null;
+
+function showForgotPassword() {
+    hideAllPages();
+    hideError(document.getElementById('forgotPasswordError'));
+    hideSuccess(document.getElementById('forgotPasswordSuccess'));
+    document.getElementById('forgotPasswordPage').classList.remove('hidden');
+    document.querySelector('.navbar').classList.add('hidden');
+}
+
+function showResetPassword() {
+    hideAllPages();
+    hideError(document.getElementById('resetPasswordError'));
+    document.getElementById('resetPasswordPage').classList.remove('hidden');
+    document.querySelector('.navbar').classList.add('hidden');
+}
+
+async function handleForgotPassword(e) {
+    e.preventDefault();
+
+    const errorElement = document.getElementById('forgotPasswordError');
+    const successElement = document.getElementById('forgotPasswordSuccess');
+
+    try {
+        const response = await fetch(`${API_URL}/auth/forgot-password`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email: document.getElementById('forgotEmail').value })
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            hideError(errorElement);
+            showSuccess(successElement, data.message);
+            document.getElementById('forgotPasswordForm').reset();
+        } else {
+            showError(errorElement, data.error || 'Request failed');
+        }
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        showError(errorElement, 'Network error. Please try again.');
+    }
+}
+
+async function handleResetPassword(e) {
+    e.preventDefault();
+
+    const errorElement = document.getElementById('resetPasswordError');
+    const password = document.getElementById('resetPassword').value;
+
+    if (password !== document.getElementById('resetPasswordConfirm').value) {
+        showError(errorElement, 'Passwords do not match');
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_URL}/auth/reset-password`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token: pendingResetToken, password })
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            pendingResetToken = null;
+            document.getElementById('resetPasswordForm').reset();
+            showLogin();
+            showSuccess(document.getElementById('loginSuccess'), data.message);
+        } else {
+            showError(errorElement, data.error || 'Reset failed');
+        }
+    } catch (error) {
+        console.error('Reset password error:', error);
+        showError(errorElement, 'Network error. Please try again.');
+    }
+}
+
+// Revoke this device's session on the server, then forget it locally
+async function logout() {
+    if (authToken) {
+        try {
+            await fetch(`${API_URL}/auth/logout`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: { 'Authorization': `Bearer ${authToken}` }
+            });
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+    }
+    endSession();
+    console.log('👋 User logged out');
+}
+
+function endSession() {
+    clearTimeout(tokenRefreshTimer);
+    disconnectLiveUpdates();
+    updateNotificationBadge(0);
     authToken = null;
     currentUser = null;
-    console.log('👋 User logged out');
+    resetChat();
     showLogin();
 }
 
@@ -180,6 +552,7 @@ function showLogin() {
 
 function showRegister() {
     hideAllPages();
+    hideSuccess(document.getElementById('registerSuccess'));
     document.getElementById('registerPage').classList.remove('hidden');
     document.querySelector('.navbar').classList.add('hidden');
 }
@@ -195,6 +568,7 @@ function showMaterials() {
     hideAllPages();
     document.getElementById('materialsPage').classList.remove('hidden');
     document.querySelector('.navbar').classList.remove('hidden');
+    loadCourseFilterOptions();
     loadMaterials();
 }
 
@@ -208,18 +582,35 @@ function showUpload() {
         hideAllPages();
         document.getElementById('uploadPage').classList.remove('hidden');
         document.querySelector('.navbar').classList.remove('hidden');
+        loadUploadCourseOptions();
     } else {
         alert('⚠️ Only faculty members can upload materials.');
     }
 }
 
 function hideAllPages() {
+    stopExamTimer();
+    
     const pages = [
         'loginPage', 
         'registerPage', 
+        'forgotPasswordPage',
+        'resetPasswordPage',
         'dashboardPage', 
         'materialsPage', 
-        'uploadPage'
+        'materialDetailPage',
+        'libraryPage',
+        'sharedCollectionPage',
+        'coursesPage',
+        'assignmentsPage',
+        'uploadPage',
+        'examsPage',
+        'examTakePage',
+        'examResultsPage',
+        'adminPage',
+        'auditLogPage',
+        'notificationsPage',
+        'accountPage'
     ];
     
     pages.forEach(page => {
@@ -239,6 +630,13 @@ function updateUIForUserRole() {
             uploadNavItem.classList.add('hidden');
         }
     }
+
+    const adminNavItem = document.getElementById('adminNavItem');
+    if (adminNavItem) {
+        adminNavItem.classList.toggle('hidden', !(currentUser && currentUser.role === 'admin'));
+    }
+
+    if (currentUser) connectLiveUpdates();
 }
 
 // Dashboard Functions - Backend handles all processing
@@ -263,6 +661,7 @@ async function loadDashboardData() {
         
         // Display pre-processed recent materials from backend
         updateRecentMaterials(data.recentMaterials);
+        updateDashboardCourses(data.courses || []);
     } catch (error) {
         console.error('Error loading dashboard data:', error);
     }
@@ -291,7 +690,32 @@ function updateRecentMaterials(recentMaterials) {
     recentMaterialsContainer.innerHTML = html;
 }
 
+function updateDashboardCourses(courses) {
+    const container = document.getElementById('dashboardCourses');
+
+    // Admins see every material rather than a set of courses
+    document.getElementById('dashboardCoursesSection').classList.toggle('hidden', currentUser?.role === 'admin');
+
+    if (courses.length === 0) {
+        container.innerHTML = `<p class="text-muted mb-0">${currentUser?.role === 'faculty'
+            ? 'You are not teaching any courses yet. An admin can assign you to courses.'
+            : 'You are not enrolled in any courses yet. <a href="#" onclick="showCourses()" class="auth-link">Browse the course catalog</a>.'}</p>`;
+        return;
+    }
+
+    container.innerHTML = `<div class="d-flex flex-wrap gap-2">
+        ${courses.map(course => `
+            <button class="btn btn-outline-primary" onclick="showCourseMaterials('${course.id}')">
+                <strong>${escapeHtml(course.code)}</strong> ${escapeHtml(course.name)}
+                <span class="badge bg-primary ms-1">${course.materialCount}</span>
+            </button>
+        `).join('')}
+    </div>`;
+}
+
 // Materials Functions - Backend handles filtering
+let loadedMaterials = [];
+
 async function loadMaterials() {
     try {
         let url = `${API_URL}/materials?`;
@@ -299,11 +723,15 @@ async function loadMaterials() {
         const sem = document.getElementById('filterSemester')?.value;
         const type = document.getElementById('filterType')?.value;
         const search = document.getElementById('searchInput')?.value;
+        const course = document.getElementById('filterCourse')?.value;
+        const sort = document.getElementById('filterSort')?.value;
 
+        if (course) url += `course=${encodeURIComponent(course)}&`;
         if (dept) url += `department=${encodeURIComponent(dept)}&`;
         if (sem) url += `semester=${encodeURIComponent(sem)}&`;
         if (type) url += `type=${encodeURIComponent(type)}&`;
         if (search) url += `search=${encodeURIComponent(search)}&`;
+        if (sort) url += `sort=${encodeURIComponent(sort)}&`;
 
         const response = await fetch(url, {
             headers: { 
@@ -316,6 +744,7 @@ async function loadMaterials() {
         
         // Backend returns pre-filtered and sorted materials
         const materials = await response.json();
+        loadedMaterials = materials;
         displayMaterials(materials);
     } catch (error) {
         console.error('Error loading materials:', error);
@@ -350,6 +779,7 @@ function displayMaterials(materials) {
                         ${escapeHtml(material.title)}
                     </h5>
                     <p class="text-muted mb-2">${escapeHtml(material.description || 'No description available')}</p>
+                    ${material.snippet ? `<p class="search-snippet mb-2">${highlightSnippet(material.snippet)}</p>` : ''}
                     <div class="mb-2">
                         <span class="badge bg-primary">${material.type.toUpperCase()}</span>
                         <span class="badge bg-secondary ms-2">${escapeHtml(material.department)}</span>
@@ -359,17 +789,37 @@ function displayMaterials(materials) {
                     <small class="text-muted">
                         <i class="fas fa-user"></i> ${escapeHtml(material.uploadedByName || 'Faculty')}
                         <i class="fas fa-calendar ms-3"></i> ${formatDate(material.createdAt)}
-                        <i class="fas fa-download ms-3"></i> ${material.downloads || 0} downloads
-                        <i class="fas fa-heart ms-3"></i> ${material.likes ? material.likes.length : 0} likes
+                        <i class="fas fa-download ms-3"></i> <span data-material-downloads="${material.id}">${material.downloads || 0}</span> downloads
+                        <i class="fas fa-heart ms-3"></i> <span data-material-likes="${material.id}">${material.likes ? material.likes.length : 0}</span> likes
+                        <i class="fas fa-star ms-3 text-warning"></i> <span data-material-rating="${material.id}">${formatRating(material.ratingAverage, material.ratingCount)}</span>
+                        ${material.recentDownloads !== undefined ? `<i class="fas fa-fire ms-3 text-danger"></i> ${material.recentDownloads} this week` : ''}
+                        ${material.version > 1 ? `<i class="fas fa-code-branch ms-3"></i> v${material.version}` : ''}
                     </small>
                 </div>
                 <div class="col-md-4 text-end mt-3 mt-md-0">
-                    <button class="btn btn-success btn-sm" onclick="downloadMaterial('${material.id}', '${material.fileUrl}', '${escapeHtml(material.fileName)}')">
+                    <button class="btn btn-success btn-sm" data-download-url="${escapeHtml(material.fileUrl)}" data-download-name="${escapeHtml(material.fileName)}">
                         <i class="fas fa-download"></i> Download
                     </button>
+                    <button class="btn btn-outline-primary btn-sm ms-1" onclick="showMaterialDetail('${material.id}')" title="Details and discussion">
+                        <i class="fas fa-comments"></i> <span data-material-comments="${material.id}">${material.commentCount || 0}</span>
+                    </button>
                     <button class="icon-btn ms-2" onclick="likeMaterial('${material.id}')" title="Like this material">
-                        <i class="fas fa-heart"></i> ${material.likes ? material.likes.length : 0}
+                        <i class="fas fa-heart"></i> <span data-material-likes="${material.id}">${material.likes ? material.likes.length : 0}</span>
                     </button>
+                    <button class="icon-btn bookmark-btn ms-1 ${material.bookmarked ? 'active' : ''}" data-material-bookmark="${material.id}" onclick="toggleBookmark('${material.id}')" title="Bookmark">
+                        <i class="${material.bookmarked ? 'fas' : 'far'} fa-bookmark"></i>
+                    </button>
+                    <button class="icon-btn ms-1" onclick="openCollectionPicker('${material.id}')" title="Save to a collection">
+                        <i class="fas fa-layer-group"></i>
+                    </button>
+                    ${canModifyMaterial(material) ? `
+                        <button class="icon-btn ms-1" onclick="openEditMaterial('${material.id}')" title="Edit material">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="icon-btn ms-1" onclick="deleteMaterial('${material.id}')" title="Delete material">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    ` : ''}
                 </div>
             </div>
         </div>
@@ -393,26 +843,43 @@ function applyFilters() {
 }
 
 // Material Actions
-async function downloadMaterial(id, fileUrl, fileName) {
+// Files are served by an authenticated endpoint that hands out a short-lived signed link;
+// the browser then downloads straight from storage
+async function downloadFile(fileUrl, fileName) {
     try {
-        await fetch(`${API_URL}/materials/${id}/download`, {
-            method: 'POST',
-            headers: { 
-                'Authorization': `Bearer ${authToken}`,
-                'Content-Type': 'application/json'
-            }
+        const separator = fileUrl.includes('?') ? '&' : '?';
+        const response = await fetch(`${SERVER_URL}${fileUrl}${separator}link=1`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
         });
-        
-        window.open(`http://localhost:5000${fileUrl}`, '_blank');
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Download failed');
+        }
+
+        // Local storage links are relative to the API server; S3 links are absolute
+        const link = document.createElement('a');
+        link.href = data.url.startsWith('/') ? `${SERVER_URL}${data.url}` : data.url;
+        link.download = fileName || 'download';
+        link.rel = 'noopener';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
         showNotification('📥 Download started!', 'success');
-        
-        setTimeout(loadMaterials, 1000);
+        return true;
     } catch (error) {
-        console.error('Error downloading material:', error);
+        console.error('Error downloading file:', error);
         showNotification('❌ Error downloading file', 'danger');
+        return false;
     }
 }
 
+// The new download count arrives as a live update
+async function downloadMaterial(fileUrl, fileName) {
+    await downloadFile(fileUrl, fileName);
+}
+
 async function likeMaterial(id) {
     try {
         const response = await fetch(`${API_URL}/materials/${id}/like`, {
@@ -424,7 +891,11 @@ async function likeMaterial(id) {
         });
         
         if (response.ok) {
-            loadMaterials();
+            // Counts arrive as a live update; this covers a missing connection
+            const data = await response.json();
+            document.querySelectorAll(`[data-material-likes="${id}"]`).forEach(element => {
+                element.textContent = data.likes;
+            });
             showNotification('❤️ Like updated!', 'success');
         } else {
             throw new Error('Failed to like material');
@@ -435,71 +906,3312 @@ async function likeMaterial(id) {
     }
 }
 
-// Upload Functions
-async function handleUpload(e) {
+function canModifyMaterial(material) {
+    if (!currentUser) return false;
+    return currentUser.role === 'admin' || String(material.uploadedBy) === String(currentUser.id);
+}
+
+function openEditMaterial(id) {
+    const material = loadedMaterials.find(m => m.id === id);
+    if (!material) return;
+
+    document.getElementById('editMaterialId').value = material.id;
+    document.getElementById('editTitle').value = material.title;
+    document.getElementById('editSubject').value = material.subject;
+    document.getElementById('editDepartment').value = material.department;
+    document.getElementById('editSemester').value = material.semester;
+    document.getElementById('editType').value = material.type;
+    document.getElementById('editYear').value = material.year || '';
+    document.getElementById('editDescription').value = material.description || '';
+    document.getElementById('editFile').value = '';
+    hideError(document.getElementById('editError'));
+
+    const versions = material.versions || [];
+    document.getElementById('editVersions').innerHTML = versions.length === 0 ? '' : `
+        <label class="form-label">Older Versions</label>
+        <ul class="list-unstyled mb-3">
+            ${versions.slice().reverse().map(version => `
+                <li>
+                    <a href="#" data-download-url="${escapeHtml(version.fileUrl)}" data-download-name="${escapeHtml(version.fileName)}">
+                        <i class="fas fa-history"></i> v${version.version} – ${escapeHtml(version.fileName)}
+                    </a>
+                    <small class="text-muted ms-2">replaced ${formatDate(version.replacedAt)}</small>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('editMaterialModal')).show();
+}
+
+// The server answers 409 when the identical file was already uploaded; let faculty decide whether to upload it anyway
+async function sendMaterialForm(url, method, formData) {
+    const send = async () => {
+        const response = await fetch(url, {
+            method,
+            headers: { 
+                'Authorization': `Bearer ${authToken}`
+            },
+            body: formData
+        });
+        return { response, data: await response.json() };
+    };
+
+    const result = await send();
+    if (result.response.status === 409 && result.data.duplicate &&
+        confirm(`${result.data.error}\n\nUpload it anyway?`)) {
+        formData.append('allowDuplicate', 'true');
+        return send();
+    }
+    return result;
+}
+
+async function handleMaterialEdit(e) {
     e.preventDefault();
-    
+
+    const id = document.getElementById('editMaterialId').value;
     const formData = new FormData();
-    formData.append('title', document.getElementById('uploadTitle').value);
-    formData.append('subject', document.getElementById('uploadSubject').value);
-    formData.append('department', document.getElementById('uploadDepartment').value);
-    formData.append('semester', document.getElementById('uploadSemester').value);
-    formData.append('type', document.getElementById('uploadType').value);
-    formData.append('description', document.getElementById('uploadDescription').value);
-    formData.append('year', document.getElementById('uploadYear').value);
-    
-    const fileInput = document.getElementById('uploadFile');
+    formData.append('title', document.getElementById('editTitle').value);
+    formData.append('subject', document.getElementById('editSubject').value);
+    formData.append('department', document.getElementById('editDepartment').value);
+    formData.append('semester', document.getElementById('editSemester').value);
+    formData.append('type', document.getElementById('editType').value);
+    formData.append('year', document.getElementById('editYear').value);
+    formData.append('description', document.getElementById('editDescription').value);
+
+    const fileInput = document.getElementById('editFile');
     if (fileInput.files.length > 0) {
         formData.append('file', fileInput.files[0]);
-    } else {
-        showNotification('⚠️ Please select a file to upload', 'warning');
-        return;
     }
 
-    const errorElement = document.getElementById('uploadError');
-    const successElement = document.getElementById('uploadSuccess');
+    const errorElement = document.getElementById('editError');
 
     try {
-        const response = await fetch(`${API_URL}/materials`, {
-            method: 'POST',
-            headers: { 
-                'Authorization': `Bearer ${authToken}`
-            },
-            body: formData
-        });
+        const { response, data } = await sendMaterialForm(`${API_URL}/materials/${id}`, 'PATCH', formData);
 
-        const data = await response.json();
-        
         if (response.ok) {
-            showSuccess(successElement, '✅ Material uploaded successfully!');
-            hideError(errorElement);
-            document.getElementById('uploadForm').reset();
-            showNotification('✅ Material uploaded successfully!', 'success');
-            
-            setTimeout(() => {
-                hideSuccess(successElement);
-                showMaterials();
-            }, 2000);
+            bootstrap.Modal.getInstance(document.getElementById('editMaterialModal')).hide();
+            showNotification('✅ Material updated!', 'success');
+            loadMaterials();
         } else {
-            showError(errorElement, data.error || 'Upload failed');
+            showError(errorElement, data.error || 'Update failed');
         }
     } catch (error) {
-        console.error('Upload error:', error);
+        console.error('Edit error:', error);
+        showError(errorElement, 'Network error. Please try again.');
+    }
+}
+
+async function deleteMaterial(id) {
+    if (!confirm('Delete this material? This cannot be undone.')) return;
+
+    try {
+        const response = await fetch(`${API_URL}/materials/${id}`, {
+            method: 'DELETE',
+            headers: { 
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) throw new Error(data.error || 'Delete failed');
+
+        showNotification('🗑️ Material deleted', 'success');
+        loadMaterials();
+    } catch (error) {
+        console.error('Error deleting material:', error);
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+// Upload Functions
+async function handleUpload(e) {
+    e.preventDefault();
+    
+    const formData = new FormData();
+    const courseId = document.getElementById('uploadCourse').value;
+    formData.append('title', document.getElementById('uploadTitle').value);
+    if (courseId) {
+        formData.append('courseId', courseId);
+    } else {
+        formData.append('subject', document.getElementById('uploadSubject').value);
+        formData.append('department', document.getElementById('uploadDepartment').value);
+        formData.append('semester', document.getElementById('uploadSemester').value);
+    }
+    formData.append('type', document.getElementById('uploadType').value);
+    formData.append('description', document.getElementById('uploadDescription').value);
+    formData.append('year', document.getElementById('uploadYear').value);
+    
+    const fileInput = document.getElementById('uploadFile');
+    if (fileInput.files.length > 0) {
+        formData.append('file', fileInput.files[0]);
+    } else {
+        showNotification('⚠️ Please select a file to upload', 'warning');
+        return;
+    }
+
+    const errorElement = document.getElementById('uploadError');
+    const successElement = document.getElementById('uploadSuccess');
+
+    try {
+        const { response, data } = await sendMaterialForm(`${API_URL}/materials`, 'POST', formData);
+        
+        if (response.ok) {
+            showSuccess(successElement, '✅ Material uploaded successfully!');
+            hideError(errorElement);
+            document.getElementById('uploadForm').reset();
+            updateUploadCourseFields();
+            showNotification('✅ Material uploaded successfully!', 'success');
+            
+            setTimeout(() => {
+                hideSuccess(successElement);
+                showMaterials();
+            }, 2000);
+        } else {
+            showError(errorElement, data.error || 'Upload failed');
+        }
+    } catch (error) {
+        console.error('Upload error:', error);
+        showError(errorElement, 'Network error. Please try again.');
+    }
+}
+
+// Material Detail and Discussion Functions
+let detailMaterialId = null;
+
+function showMaterialDetail(id) {
+    hideAllPages();
+    document.getElementById('materialDetailPage').classList.remove('hidden');
+    document.querySelector('.navbar').classList.remove('hidden');
+
+    detailMaterialId = id;
+    document.getElementById('commentForm').reset();
+    loadMaterialDetail();
+    loadComments();
+}
+
+async function loadMaterialDetail() {
+    const container = document.getElementById('materialDetail');
+
+    try {
+        const material = await courseRequest(`/materials/${detailMaterialId}`);
+
+        container.innerHTML = `
+            <div class="d-flex justify-content-between align-items-start">
+                <div>
+                    <h3 class="mb-2">
+                        <i class="fas fa-file-${getFileIcon(material.type)} text-primary"></i>
+                        ${escapeHtml(material.title)}
+                    </h3>
+                    <p class="text-muted mb-2">${escapeHtml(material.description || 'No description available')}</p>
+                    <div class="mb-2">
+                        <span class="badge bg-primary">${material.type.toUpperCase()}</span>
+                        <span class="badge bg-secondary ms-2">${escapeHtml(material.subject)}</span>
+                        <span class="badge bg-secondary ms-2">${escapeHtml(material.department)}</span>
+                        <span class="badge bg-info ms-2">Sem ${material.semester}</span>
+                    </div>
+                    <small class="text-muted">
+                        <i class="fas fa-user"></i> ${escapeHtml(material.uploadedByName || 'Faculty')}
+                        <i class="fas fa-calendar ms-3"></i> ${formatDate(material.createdAt)}
+                        <i class="fas fa-download ms-3"></i> <span data-material-downloads="${material.id}">${material.downloads || 0}</span> downloads
+                        <i class="fas fa-heart ms-3"></i> <span data-material-likes="${material.id}">${material.likes ? material.likes.length : 0}</span> likes
+                        <i class="fas fa-star ms-3 text-warning"></i> <span data-material-rating="${material.id}">${formatRating(material.ratingAverage, material.ratingCount)}</span>
+                    </small>
+                </div>
+                <button class="btn btn-success btn-sm text-nowrap" data-download-url="${escapeHtml(material.fileUrl)}" data-download-name="${escapeHtml(material.fileName)}">
+                    <i class="fas fa-download"></i> Download
+                </button>
+            </div>
+        `;
+        loadReviews(String(material.uploadedBy) === String(currentUser.id));
+    } catch (error) {
+        console.error('Error loading material:', error);
+        container.innerHTML = `<p class="text-danger mb-0">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// Escaped comment text with @mentions highlighted
+function formatCommentBody(body) {
+    return escapeHtml(body).replace(/(^|\s)(@[a-z0-9._-]+)/gi, '$1<span class="mention">$2</span>');
+}
+
+function renderComment(comment, canModerate) {
+    const isReply = Boolean(comment.parentId);
+    const body = comment.hidden && !canModerate
+        ? '<em class="text-muted">Hidden by a moderator</em>'
+        : formatCommentBody(comment.body);
+
+    return `
+        <div class="comment ${comment.accepted ? 'accepted-answer' : ''} ${comment.hidden ? 'comment-hidden' : ''}">
+            <div class="small text-muted mb-1">
+                <strong class="text-dark">${escapeHtml(comment.authorName)}</strong>
+                ${comment.authorRole !== 'student' ? `<span class="badge bg-secondary ms-1">${escapeHtml(comment.authorRole)}</span>` : ''}
+                · ${formatDateTime(comment.createdAt)}
+                ${comment.accepted ? '<span class="badge bg-success ms-1"><i class="fas fa-check"></i> Accepted answer</span>' : ''}
+                ${comment.hidden && canModerate ? '<span class="badge bg-warning text-dark ms-1">Hidden</span>' : ''}
+            </div>
+            <div class="comment-body">${body}</div>
+            <div class="comment-actions">
+                <button class="icon-btn ${comment.upvoted ? 'active' : ''}" onclick="upvoteComment('${comment.id}')" title="Upvote">
+                    <i class="fas fa-arrow-up"></i> ${comment.upvotes}
+                </button>
+                <button class="icon-btn" onclick="toggleReplyForm('${comment.parentId || comment.id}')" title="Reply">
+                    <i class="fas fa-reply"></i>
+                </button>
+                ${canModerate && isReply ? `
+                    <button class="icon-btn" onclick="acceptAnswer('${comment.id}')" title="${comment.accepted ? 'Unmark answer' : 'Accept as the answer'}">
+                        <i class="fas fa-${comment.accepted ? 'times-circle' : 'check-circle'}"></i>
+                    </button>
+                ` : ''}
+                ${canModerate ? `
+                    <button class="icon-btn" onclick="hideComment('${comment.id}', ${!comment.hidden})" title="${comment.hidden ? 'Show again' : 'Hide'}">
+                        <i class="fas fa-eye${comment.hidden ? '' : '-slash'}"></i>
+                    </button>
+                ` : ''}
+                ${comment.canDelete ? `
+                    <button class="icon-btn" onclick="deleteComment('${comment.id}', ${!isReply})" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                ` : ''}
+            </div>
+        </div>
+    `;
+}
+
+async function loadComments() {
+    const container = document.getElementById('commentThreads');
+
+    try {
+        const { threads, canModerate } = await courseRequest(`/materials/${detailMaterialId}/comments`);
+
+        container.innerHTML = threads.length === 0
+            ? '<p class="text-muted mb-0">No questions yet. Ask the first one!</p>'
+            : threads.map(thread => `
+                <div class="comment-thread">
+                    ${renderComment(thread, canModerate)}
+                    <div class="comment-replies">
+                        ${thread.replies.map(reply => renderComment(reply, canModerate)).join('')}
+                        <form class="comment-reply-form hidden" id="replyForm-${thread.id}" onsubmit="postComment(event, '${thread.id}')">
+                            <textarea class="form-control form-control-sm mb-2" rows="2" maxlength="5000" placeholder="Write a reply" required></textarea>
+                            <button type="submit" class="btn btn-primary btn-sm"><i class="fas fa-reply"></i> Reply</button>
+                        </form>
+                    </div>
+                </div>
+            `).join('');
+    } catch (error) {
+        console.error('Error loading comments:', error);
+        container.innerHTML = `<p class="text-danger mb-0">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function toggleReplyForm(threadId) {
+    const form = document.getElementById(`replyForm-${threadId}`);
+    form.classList.toggle('hidden');
+    if (!form.classList.contains('hidden')) form.querySelector('textarea').focus();
+}
+
+// A question (no parentId) or a reply in a thread
+async function postComment(event, parentId = null) {
+    event.preventDefault();
+    const textarea = event.target.querySelector('textarea');
+
+    try {
+        await courseRequest(`/materials/${detailMaterialId}/comments`, {
+            method: 'POST',
+            body: JSON.stringify({ body: textarea.value, parentId })
+        });
+        textarea.value = '';
+        loadComments();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function upvoteComment(id) {
+    try {
+        await courseRequest(`/comments/${id}/upvote`, { method: 'POST' });
+        loadComments();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function acceptAnswer(id) {
+    try {
+        const data = await courseRequest(`/comments/${id}/accept`, { method: 'POST' });
+        showNotification(`✅ ${data.message}`, 'success');
+        loadComments();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function hideComment(id, hidden) {
+    try {
+        const data = await courseRequest(`/comments/${id}/hide`, {
+            method: 'POST',
+            body: JSON.stringify({ hidden })
+        });
+        showNotification(data.message, 'info');
+        loadComments();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function deleteComment(id, isQuestion) {
+    if (!confirm(isQuestion ? 'Delete this question and all its replies?' : 'Delete this reply?')) return;
+
+    try {
+        await courseRequest(`/comments/${id}`, { method: 'DELETE' });
+        showNotification('🗑️ Comment deleted', 'info');
+        loadComments();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+// Ratings and Reviews
+let reviewRating = 0;
+
+function formatRating(average, count) {
+    return count ? `${Number(average).toFixed(1)} (${count})` : 'No ratings';
+}
+
+function renderStars(rating) {
+    return [1, 2, 3, 4, 5].map(stars =>
+        `<i class="${stars <= Math.round(rating) ? 'fas' : 'far'} fa-star text-warning"></i>`
+    ).join('');
+}
+
+function setReviewRating(stars) {
+    reviewRating = stars;
+    document.querySelectorAll('#reviewStars .star-btn').forEach(button => {
+        button.classList.toggle('selected', Number(button.dataset.stars) <= stars);
+    });
+}
+
+async function loadReviews(isOwnMaterial = false) {
+    document.getElementById('reviewForm').classList.toggle('hidden', isOwnMaterial);
+    document.getElementById('ownMaterialNote').classList.toggle('hidden', !isOwnMaterial);
+
+    try {
+        const data = await courseRequest(`/materials/${detailMaterialId}/reviews`);
+
+        document.getElementById('ratingSummary').innerHTML = `
+            <div class="rating-average">${data.ratingCount ? Number(data.ratingAverage).toFixed(1) : '–'}</div>
+            <div>${renderStars(data.ratingAverage)}</div>
+            <small class="text-muted">${data.ratingCount} rating${data.ratingCount === 1 ? '' : 's'}</small>
+            ${[5, 4, 3, 2, 1].map(stars => `
+                <div class="rating-bar small">
+                    <span>${stars}</span>
+                    <div class="progress flex-grow-1">
+                        <div class="progress-bar bg-warning" style="width: ${data.ratingCount ? (data.distribution[stars] / data.ratingCount) * 100 : 0}%"></div>
+                    </div>
+                    <span class="text-muted">${data.distribution[stars]}</span>
+                </div>
+            `).join('')}
+        `;
+
+        setReviewRating(data.myReview ? data.myReview.rating : 0);
+        document.getElementById('reviewText').value = data.myReview ? data.myReview.review : '';
+        document.getElementById('removeReviewBtn').classList.toggle('hidden', !data.myReview);
+
+        document.getElementById('reviewsList').innerHTML = data.reviews.map(review => `
+            <div class="border-top py-2">
+                <div class="small">
+                    ${renderStars(review.rating)}
+                    <strong class="ms-2">${escapeHtml(review.userName)}</strong>
+                    <span class="text-muted ms-2">${formatDate(review.updatedAt)}</span>
+                </div>
+                <div class="small">${escapeHtml(review.review)}</div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading reviews:', error);
+        document.getElementById('reviewsList').innerHTML = `<p class="text-danger mb-0">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function handleReviewSubmit(e) {
+    e.preventDefault();
+
+    if (!reviewRating) {
+        showNotification('⚠️ Choose from 1 to 5 stars', 'warning');
+        return;
+    }
+
+    try {
+        const data = await courseRequest(`/materials/${detailMaterialId}/review`, {
+            method: 'PUT',
+            body: JSON.stringify({ rating: reviewRating, review: document.getElementById('reviewText').value })
+        });
+        showNotification(`⭐ ${data.message}`, 'success');
+        loadReviews();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function removeReview() {
+    if (!confirm('Remove your rating and review?')) return;
+
+    try {
+        const data = await courseRequest(`/materials/${detailMaterialId}/review`, { method: 'DELETE' });
+        showNotification(data.message, 'info');
+        loadReviews();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+// My Library: bookmarks and collections
+let libraryView = 'bookmarks'; // 'bookmarks' or the id of an open collection
+let libraryCollections = [];
+let libraryItems = [];
+let pickerMaterialId = null;
+// Token of a ?collection= link, opened once the user is logged in
+let pendingCollectionToken = null;
+
+// After logging in, open the shared collection the user arrived with, else the dashboard
+function showStartPage() {
+    if (pendingCollectionToken) {
+        const token = pendingCollectionToken;
+        pendingCollectionToken = null;
+        showSharedCollection(token);
+    } else {
+        showDashboard();
+    }
+}
+
+function showLibrary(view = libraryView) {
+    hideAllPages();
+    document.getElementById('libraryPage').classList.remove('hidden');
+    document.querySelector('.navbar').classList.remove('hidden');
+
+    libraryView = view;
+    loadLibrary();
+}
+
+async function loadLibrary() {
+    try {
+        libraryCollections = await courseRequest('/collections');
+        if (libraryView !== 'bookmarks' && !libraryCollections.some(c => c.id === libraryView)) {
+            libraryView = 'bookmarks';
+        }
+        await openLibraryList(libraryView);
+    } catch (error) {
+        console.error('Error loading library:', error);
+        document.getElementById('libraryLists').innerHTML = `<p class="text-danger mb-0">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function renderLibraryLists() {
+    document.getElementById('libraryLists').innerHTML = `
+        <button class="list-group-item list-group-item-action d-flex justify-content-between align-items-center ${libraryView === 'bookmarks' ? 'active' : ''}"
+                onclick="openLibraryList('bookmarks')">
+            <span><i class="fas fa-bookmark"></i> Bookmarks</span>
+        </button>
+        ${libraryCollections.map(collection => `
+            <button class="list-group-item list-group-item-action d-flex justify-content-between align-items-center ${libraryView === collection.id ? 'active' : ''}"
+                    onclick="openLibraryList('${collection.id}')">
+                <span>
+                    ${escapeHtml(collection.name)}
+                    ${collection.shared ? '<i class="fas fa-share-alt ms-1" title="Shared by link"></i>' : ''}
+                </span>
+                <span class="badge bg-secondary rounded-pill">${collection.itemCount}</span>
+            </button>
+        `).join('')}
+    `;
+}
+
+async function openLibraryList(view) {
+    libraryView = view;
+    renderLibraryLists();
+    const header = document.getElementById('libraryHeader');
+
+    try {
+        if (view === 'bookmarks') {
+            libraryItems = await courseRequest('/bookmarks');
+            header.innerHTML = `
+                <h4 class="mb-1"><i class="fas fa-bookmark text-primary"></i> Bookmarks</h4>
+                <p class="text-muted small mb-0">Materials you saved with <i class="far fa-bookmark"></i> on the Materials page, most recent first.</p>
+            `;
+            renderLibraryMaterials(null);
+            return;
+        }
+
+        const collection = await courseRequest(`/collections/${view}`);
+        libraryItems = collection.materials;
+        const shareLink = collection.shareToken ? collectionShareLink(collection.shareToken) : '';
+        header.innerHTML = `
+            <div class="d-flex justify-content-between align-items-start gap-2">
+                <div>
+                    <h4 class="mb-1">${escapeHtml(collection.name)}</h4>
+                    ${collection.description ? `<p class="text-muted mb-1">${escapeHtml(collection.description)}</p>` : ''}
+                    <small class="text-muted">
+                        ${collection.itemCount} material${collection.itemCount === 1 ? '' : 's'} · updated ${formatDate(collection.updatedAt)}
+                        ${collection.unavailableCount ? ` · ${collection.unavailableCount} no longer available to you` : ''}
+                    </small>
+                </div>
+                <div class="text-nowrap">
+                    <button class="icon-btn" onclick="renameCollection('${collection.id}')" title="Rename collection">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="icon-btn ms-1" onclick="deleteCollection('${collection.id}')" title="Delete collection">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="mt-3">
+                ${shareLink ? `
+                    <div class="input-group input-group-sm">
+                        <input type="text" class="form-control" value="${escapeHtml(shareLink)}" readonly>
+                        <button class="btn btn-outline-primary" onclick="copyCollectionLink('${collection.shareToken}')">
+                            <i class="fas fa-copy"></i> Copy Link
+                        </button>
+                        <button class="btn btn-outline-danger" onclick="unshareCollection('${collection.id}')">Stop Sharing</button>
+                    </div>
+                ` : `
+                    <button class="btn btn-outline-primary btn-sm" onclick="shareCollection('${collection.id}')">
+                        <i class="fas fa-share-alt"></i> Share with Classmates
+                    </button>
+                `}
+            </div>
+        `;
+        renderLibraryMaterials(collection);
+    } catch (error) {
+        console.error('Error loading library list:', error);
+        header.innerHTML = `<p class="text-danger mb-0">${escapeHtml(error.message)}</p>`;
+        document.getElementById('libraryMaterials').innerHTML = '';
+    }
+}
+
+// A compact material row for library lists; `actions` holds extra buttons
+function libraryMaterialCard(material, actions = '') {
+    return `
+        <div class="material-card library-item">
+            <div class="d-flex justify-content-between align-items-center gap-2">
+                <div>
+                    <h6 class="mb-1">
+                        <i class="fas fa-file-${getFileIcon(material.type)} text-primary"></i>
+                        ${escapeHtml(material.title)}
+                    </h6>
+                    <span class="badge bg-primary">${material.type.toUpperCase()}</span>
+                    <span class="badge bg-secondary ms-1">${escapeHtml(material.subject)}</span>
+                    <span class="badge bg-info ms-1">${escapeHtml(material.department)} · Sem ${material.semester}</span>
+                    ${material.year ? `<span class="badge bg-warning ms-1">Year ${material.year}</span>` : ''}
+                </div>
+                <div class="text-nowrap">
+                    <button class="btn btn-success btn-sm" data-download-url="${escapeHtml(material.fileUrl)}" data-download-name="${escapeHtml(material.fileName)}" title="Download">
+                        <i class="fas fa-download"></i>
+                    </button>
+                    <button class="btn btn-outline-primary btn-sm ms-1" onclick="showMaterialDetail('${material.id}')" title="Details and discussion">
+                        <i class="fas fa-comments"></i>
+                    </button>
+                    ${actions}
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function renderLibraryMaterials(collection) {
+    const container = document.getElementById('libraryMaterials');
+
+    if (libraryItems.length === 0) {
+        container.innerHTML = `
+            <div class="alert alert-info">
+                <i class="fas fa-info-circle"></i> Nothing here yet. On the Materials page, use
+                <i class="far fa-bookmark"></i> to bookmark a material or <i class="fas fa-layer-group"></i> to add it to a collection.
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = libraryItems.map((material, index) => libraryMaterialCard(material, collection ? `
+        <button class="icon-btn ms-1" onclick="moveCollectionItem(${index}, -1)" title="Move up" ${index === 0 ? 'disabled' : ''}>
+            <i class="fas fa-arrow-up"></i>
+        </button>
+        <button class="icon-btn" onclick="moveCollectionItem(${index}, 1)" title="Move down" ${index === libraryItems.length - 1 ? 'disabled' : ''}>
+            <i class="fas fa-arrow-down"></i>
+        </button>
+        <button class="icon-btn" onclick="removeFromCollection('${collection.id}', '${material.id}')" title="Remove from collection">
+            <i class="fas fa-times"></i>
+        </button>
+    ` : `
+        <button class="icon-btn ms-1" onclick="toggleBookmark('${material.id}')" title="Remove bookmark">
+            <i class="fas fa-bookmark"></i>
+        </button>
+    `)).join('');
+}
+
+async function handleCreateCollection(e) {
+    e.preventDefault();
+
+    try {
+        const data = await courseRequest('/collections', {
+            method: 'POST',
+            body: JSON.stringify({
+                name: document.getElementById('collectionName').value,
+                description: document.getElementById('collectionDescription').value
+            })
+        });
+        document.getElementById('collectionForm').reset();
+        showNotification(`📚 ${data.message}`, 'success');
+        showLibrary(data.collection.id);
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function renameCollection(id) {
+    const collection = libraryCollections.find(c => c.id === id);
+    const name = prompt('Collection name:', collection ? collection.name : '');
+    if (name === null) return;
+    const description = prompt('Description (optional):', collection ? collection.description : '');
+    if (description === null) return;
+
+    try {
+        await courseRequest(`/collections/${id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ name, description })
+        });
+        loadLibrary();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function deleteCollection(id) {
+    if (!confirm('Delete this collection? The materials in it are not deleted.')) return;
+
+    try {
+        const data = await courseRequest(`/collections/${id}`, { method: 'DELETE' });
+        showNotification(data.message, 'info');
+        showLibrary('bookmarks');
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+// Swap a material with its neighbour and save the new order
+async function moveCollectionItem(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= libraryItems.length) return;
+
+    [libraryItems[index], libraryItems[target]] = [libraryItems[target], libraryItems[index]];
+    const collection = libraryCollections.find(c => c.id === libraryView);
+    renderLibraryMaterials(collection);
+
+    try {
+        await courseRequest(`/collections/${libraryView}/order`, {
+            method: 'PUT',
+            body: JSON.stringify({ materialIds: libraryItems.map(material => material.id) })
+        });
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+        openLibraryList(libraryView);
+    }
+}
+
+async function removeFromCollection(collectionId, materialId) {
+    try {
+        const data = await courseRequest(`/collections/${collectionId}/items/${materialId}`, { method: 'DELETE' });
+        showNotification(data.message, 'info');
+        loadLibrary();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+function collectionShareLink(token) {
+    return `${window.location.origin}${window.location.pathname}?collection=${encodeURIComponent(token)}`;
+}
+
+async function copyCollectionLink(token) {
+    try {
+        await navigator.clipboard.writeText(collectionShareLink(token));
+        showNotification('🔗 Link copied', 'success');
+    } catch (error) {
+        showNotification('⚠️ Copy the link from the box instead', 'warning');
+    }
+}
+
+async function shareCollection(id) {
+    try {
+        const data = await courseRequest(`/collections/${id}/share`, { method: 'POST' });
+        showNotification(`🔗 ${data.message}`, 'success');
+        await loadLibrary();
+        copyCollectionLink(data.shareToken);
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function unshareCollection(id) {
+    if (!confirm('Stop sharing? The current link will stop working.')) return;
+
+    try {
+        const data = await courseRequest(`/collections/${id}/share`, { method: 'DELETE' });
+        showNotification(data.message, 'info');
+        loadLibrary();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function toggleBookmark(id) {
+    try {
+        const data = await courseRequest(`/materials/${id}/bookmark`, { method: 'POST' });
+        document.querySelectorAll(`[data-material-bookmark="${id}"]`).forEach(element => {
+            element.classList.toggle('active', data.bookmarked);
+            element.innerHTML = `<i class="${data.bookmarked ? 'fas' : 'far'} fa-bookmark"></i>`;
+        });
+        showNotification(data.bookmarked ? '🔖 Bookmarked' : data.message, data.bookmarked ? 'success' : 'info');
+
+        if (!document.getElementById('libraryPage').classList.contains('hidden') && libraryView === 'bookmarks') {
+            openLibraryList('bookmarks');
+        }
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+// Save to Collection: add the material to or remove it from each of the user's collections
+async function openCollectionPicker(materialId) {
+    pickerMaterialId = materialId;
+    document.getElementById('collectionPickerForm').reset();
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('collectionPickerModal')).show();
+    loadCollectionPicker();
+}
+
+async function loadCollectionPicker() {
+    const list = document.getElementById('collectionPickerList');
+
+    try {
+        const collections = await courseRequest(`/collections?material=${pickerMaterialId}`);
+        list.innerHTML = collections.length === 0
+            ? '<p class="text-muted mb-0">No collections yet. Create one below.</p>'
+            : collections.map(collection => `
+                <button class="list-group-item list-group-item-action d-flex justify-content-between align-items-center"
+                        onclick="toggleCollectionItem('${collection.id}', ${collection.containsMaterial})">
+                    <span>${escapeHtml(collection.name)}</span>
+                    <i class="${collection.containsMaterial ? 'fas fa-check-square text-primary' : 'far fa-square'}"></i>
+                </button>
+            `).join('');
+    } catch (error) {
+        list.innerHTML = `<p class="text-danger mb-0">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function toggleCollectionItem(collectionId, contained) {
+    try {
+        const data = contained
+            ? await courseRequest(`/collections/${collectionId}/items/${pickerMaterialId}`, { method: 'DELETE' })
+            : await courseRequest(`/collections/${collectionId}/items`, {
+                method: 'POST',
+                body: JSON.stringify({ materialId: pickerMaterialId })
+            });
+        showNotification(data.message, contained ? 'info' : 'success');
+        loadCollectionPicker();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function handleCollectionPickerCreate(e) {
+    e.preventDefault();
+
+    try {
+        const data = await courseRequest('/collections', {
+            method: 'POST',
+            body: JSON.stringify({
+                name: document.getElementById('collectionPickerName').value,
+                materialId: pickerMaterialId
+            })
+        });
+        document.getElementById('collectionPickerForm').reset();
+        showNotification(`📚 ${data.message}`, 'success');
+        loadCollectionPicker();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+// Shared Collections, opened from a link a classmate sent
+let sharedCollectionToken = null;
+
+async function showSharedCollection(token) {
+    hideAllPages();
+    document.getElementById('sharedCollectionPage').classList.remove('hidden');
+    document.querySelector('.navbar').classList.remove('hidden');
+
+    sharedCollectionToken = token;
+    const header = document.getElementById('sharedCollectionHeader');
+    const container = document.getElementById('sharedCollectionMaterials');
+    header.innerHTML = '<p class="text-muted mb-0">Loading...</p>';
+    container.innerHTML = '';
+
+    try {
+        const collection = await courseRequest(`/shared-collections/${encodeURIComponent(token)}`);
+        header.innerHTML = `
+            <div class="d-flex justify-content-between align-items-start gap-2">
+                <div>
+                    <h4 class="mb-1">${escapeHtml(collection.name)}</h4>
+                    ${collection.description ? `<p class="text-muted mb-1">${escapeHtml(collection.description)}</p>` : ''}
+                    <small class="text-muted">
+                        <i class="fas fa-user"></i> ${escapeHtml(collection.ownerName || 'A classmate')}
+                        · ${collection.materials.length} material${collection.materials.length === 1 ? '' : 's'}
+                        ${collection.unavailableCount ? ` · ${collection.unavailableCount} from courses you're not in` : ''}
+                    </small>
+                </div>
+                ${collection.own ? `
+                    <button class="btn btn-outline-primary btn-sm text-nowrap" onclick="showLibrary('${collection.id}')">
+                        <i class="fas fa-bookmark"></i> Open in My Library
+                    </button>
+                ` : `
+                    <button class="btn btn-primary btn-sm text-nowrap" onclick="copySharedCollection()">
+                        <i class="fas fa-copy"></i> Save a Copy
+                    </button>
+                `}
+            </div>
+        `;
+        container.innerHTML = collection.materials.map(material => libraryMaterialCard(material)).join('') ||
+            '<div class="alert alert-info"><i class="fas fa-info-circle"></i> There are no materials here you can open.</div>';
+    } catch (error) {
+        header.innerHTML = `<p class="text-danger mb-0">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function copySharedCollection() {
+    try {
+        const data = await courseRequest(`/shared-collections/${encodeURIComponent(sharedCollectionToken)}/copy`, { method: 'POST' });
+        showNotification(`📚 Saved a copy of "${data.collection.name}" to your library`, 'success');
+        showLibrary(data.collection.id);
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+// Exam Functions
+let activeAttempt = null;
+let examTimerInterval = null;
+let serverClockOffset = 0;
+
+function showExams() {
+    hideAllPages();
+    document.getElementById('examsPage').classList.remove('hidden');
+    document.querySelector('.navbar').classList.remove('hidden');
+
+    const facultyTools = document.getElementById('examFacultyTools');
+    if (currentUser && currentUser.role === 'faculty') {
+        facultyTools.classList.remove('hidden');
+        loadQuestionPicker();
+    } else {
+        facultyTools.classList.add('hidden');
+    }
+
+    loadExams();
+}
+
+async function loadExams() {
+    const container = document.getElementById('examsList');
+
+    try {
+        const response = await fetch(`${API_URL}/exams`, {
+            headers: { 
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (!response.ok) throw new Error('Failed to fetch exams');
+
+        const exams = await response.json();
+        displayExams(exams);
+    } catch (error) {
+        console.error('Error loading exams:', error);
+        container.innerHTML = `
+            <div class="alert alert-danger">
+                <i class="fas fa-exclamation-triangle"></i> Error loading exams: ${error.message}
+            </div>
+        `;
+    }
+}
+
+function displayExams(exams) {
+    const container = document.getElementById('examsList');
+
+    if (!exams || exams.length === 0) {
+        container.innerHTML = `
+            <div class="alert alert-info text-center">
+                <i class="fas fa-info-circle"></i> No exams scheduled yet.
+            </div>
+        `;
+        return;
+    }
+
+    const statusBadges = {
+        'upcoming': 'bg-info',
+        'open': 'bg-success',
+        'closed': 'bg-secondary'
+    };
+
+    const html = exams.map(exam => {
+        let action = '';
+        if (currentUser?.role === 'faculty') {
+            action = `
+                <button class="btn btn-primary btn-sm" onclick="showExamResults('${exam.id}')">
+                    <i class="fas fa-chart-bar"></i> Results
+                </button>
+                <button class="btn btn-${exam.resultsPublished ? 'secondary' : 'success'} btn-sm ms-2" onclick="publishExamResults('${exam.id}', ${!exam.resultsPublished})">
+                    <i class="fas fa-${exam.resultsPublished ? 'eye-slash' : 'bullhorn'}"></i> ${exam.resultsPublished ? 'Unpublish' : 'Publish Results'}
+                </button>
+            `;
+        } else if (currentUser?.role === 'student') {
+            if (exam.attemptId && exam.resultsPublished && exam.attemptStatus !== 'in-progress') {
+                action = `
+                    <button class="btn btn-success btn-sm" onclick="showAttemptResult('${exam.attemptId}')">
+                        <i class="fas fa-poll"></i> View Result
+                    </button>
+                `;
+            } else if (exam.attemptStatus === 'submitted' || exam.attemptStatus === 'auto-submitted') {
+                action = '<span class="badge bg-success">Submitted</span>';
+            } else if (exam.status === 'open') {
+                action = `
+                    <button class="btn btn-primary btn-sm" onclick="startExam('${exam.id}')">
+                        <i class="fas fa-play"></i> ${exam.attemptStatus === 'in-progress' ? 'Resume' : 'Start'}
+                    </button>
+                `;
+            }
+        }
+
+        return `
+            <div class="material-card">
+                <div class="row align-items-center">
+                    <div class="col-md-8">
+                        <h5 class="mb-2">
+                            <i class="fas fa-clipboard-list text-primary"></i>
+                            ${escapeHtml(exam.title)}
+                        </h5>
+                        <p class="text-muted mb-2">${escapeHtml(exam.description || 'No description available')}</p>
+                        <div class="mb-2">
+                            <span class="badge ${statusBadges[exam.status]}">${exam.status.toUpperCase()}</span>
+                            <span class="badge bg-primary ms-2">${escapeHtml(exam.subject)}</span>
+                            <span class="badge bg-info ms-2">Sem ${exam.semester}</span>
+                        </div>
+                        <small class="text-muted">
+                            <i class="fas fa-calendar"></i> ${formatDateTime(exam.startTime)} – ${formatDateTime(exam.endTime)}
+                            <i class="fas fa-clock ms-3"></i> ${exam.durationMinutes} min
+                            <i class="fas fa-list-ol ms-3"></i> ${exam.questionCount} questions
+                        </small>
+                    </div>
+                    <div class="col-md-4 text-end mt-3 mt-md-0">
+                        ${action}
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    container.innerHTML = html;
+}
+
+async function startExam(id) {
+    try {
+        const response = await fetch(`${API_URL}/exams/${id}/start`, {
+            method: 'POST',
+            headers: { 
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            showNotification(`⚠️ ${data.error || 'Could not start exam'}`, 'warning');
+            return;
+        }
+
+        showExamAttempt(data);
+    } catch (error) {
+        console.error('Error starting exam:', error);
+        showNotification('❌ Error starting exam', 'danger');
+    }
+}
+
+function showExamAttempt(data) {
+    hideAllPages();
+    document.getElementById('examTakePage').classList.remove('hidden');
+    document.querySelector('.navbar').classList.remove('hidden');
+
+    activeAttempt = data.attempt;
+    serverClockOffset = new Date(data.serverTime).getTime() - Date.now();
+
+    document.getElementById('examTakeTitle').textContent = data.exam.title;
+    renderExamQuestions(data.questions, data.attempt.answers || []);
+    startExamTimer();
+}
+
+function renderExamQuestions(questions, answers) {
+    const container = document.getElementById('examQuestions');
+
+    const html = questions.map((question, index) => {
+        const saved = answers.find(a => a.questionId === question.id) || {};
+        let input = '';
+
+        if (question.type === 'mcq' || question.type === 'multi') {
+            // Options may be shuffled; each input carries the original option index
+            const inputType = question.type === 'mcq' ? 'radio' : 'checkbox';
+            input = question.options.map((option, position) => {
+                const value = question.optionValues[position];
+                return `
+                    <div class="form-check">
+                        <input class="form-check-input" type="${inputType}" name="q-${question.id}" value="${value}"
+                            id="q-${question.id}-${value}" ${(saved.selectedOptions || []).includes(value) ? 'checked' : ''}>
+                        <label class="form-check-label" for="q-${question.id}-${value}">${escapeHtml(option)}</label>
+                    </div>
+                `;
+            }).join('');
+        } else if (question.type === 'numeric') {
+            input = `<input type="number" step="any" class="form-control" name="q-${question.id}"
+                value="${saved.numericAnswer ?? ''}" placeholder="Enter a number">`;
+        } else {
+            input = `<input type="text" class="form-control" name="q-${question.id}"
+                value="${escapeHtml(saved.textAnswer || '')}" placeholder="Type your answer">`;
+        }
+
+        return `
+            <div class="material-card exam-question" data-question-id="${question.id}" data-question-type="${question.type}">
+                <h5 class="mb-3">Q${index + 1}. ${escapeHtml(question.text)}
+                    <span class="badge bg-secondary ms-2">${question.marks} mark${question.marks === 1 ? '' : 's'}</span>
+                </h5>
+                ${input}
+            </div>
+        `;
+    }).join('');
+
+    container.innerHTML = html;
+}
+
+function collectExamAnswers() {
+    const questions = document.querySelectorAll('#examQuestions .exam-question');
+
+    return Array.from(questions).map(card => {
+        const questionId = card.dataset.questionId;
+        const type = card.dataset.questionType;
+        const answer = { questionId };
+
+        if (type === 'mcq' || type === 'multi') {
+            answer.selectedOptions = Array.from(card.querySelectorAll('input:checked')).map(input => parseInt(input.value));
+        } else if (type === 'numeric') {
+            answer.numericAnswer = card.querySelector('input').value;
+        } else {
+            answer.textAnswer = card.querySelector('input').value;
+        }
+
+        return answer;
+    });
+}
+
+function startExamTimer() {
+    stopExamTimer();
+
+    const timerElement = document.getElementById('examTimer');
+    const expiresAt = new Date(activeAttempt.expiresAt).getTime();
+
+    const tick = () => {
+        const remaining = expiresAt - (Date.now() + serverClockOffset);
+
+        if (remaining <= 0) {
+            timerElement.textContent = '00:00';
+            submitExam(true);
+            return;
+        }
+
+        const totalSeconds = Math.floor(remaining / 1000);
+        const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, '0');
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        timerElement.textContent = `${minutes}:${seconds}`;
+        timerElement.classList.toggle('text-danger', totalSeconds < 60);
+    };
+
+    tick();
+    examTimerInterval = setInterval(tick, 1000);
+}
+
+function stopExamTimer() {
+    if (examTimerInterval) {
+        clearInterval(examTimerInterval);
+        examTimerInterval = null;
+    }
+}
+
+async function saveExamAnswers() {
+    if (!activeAttempt) return;
+
+    try {
+        const response = await fetch(`${API_URL}/attempts/${activeAttempt.id}/answers`, {
+            method: 'PUT',
+            headers: { 
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ answers: collectExamAnswers() })
+        });
+
+        if (!response.ok) {
+            const data = await response.json();
+            if (data.attempt && data.attempt.status !== 'in-progress') {
+                finishExamAttempt('⏰ Time is up! Your exam was submitted automatically.');
+            }
+        }
+    } catch (error) {
+        console.error('Error saving answers:', error);
+    }
+}
+
+const queueExamAutosave = debounce(saveExamAnswers, 1000);
+
+async function submitExam(isAuto = false) {
+    if (!activeAttempt) return;
+
+    const attemptId = activeAttempt.id;
+    stopExamTimer();
+
+    try {
+        const response = await fetch(`${API_URL}/attempts/${attemptId}/submit`, {
+            method: 'POST',
+            headers: { 
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ answers: collectExamAnswers() })
+        });
+
+        if (!response.ok) throw new Error('Submit failed');
+
+        finishExamAttempt(isAuto
+            ? '⏰ Time is up! Your exam was submitted automatically.'
+            : '✅ Exam submitted successfully!');
+    } catch (error) {
+        console.error('Error submitting exam:', error);
+        showNotification('❌ Error submitting exam. Your saved answers will be submitted when time runs out.', 'danger');
+    }
+}
+
+function finishExamAttempt(message) {
+    stopExamTimer();
+    activeAttempt = null;
+    showNotification(message, 'success');
+    showExams();
+}
+
+async function handleExamAttemptSubmit(e) {
+    e.preventDefault();
+
+    if (confirm('Submit your exam? You will not be able to change your answers afterwards.')) {
+        submitExam(false);
+    }
+}
+
+function updateQuestionTypeFields() {
+    const type = document.getElementById('questionType').value;
+    document.getElementById('questionOptionsGroup').classList.toggle('hidden', type !== 'mcq' && type !== 'multi');
+    document.getElementById('questionNumericGroup').classList.toggle('hidden', type !== 'numeric');
+    document.getElementById('questionShortGroup').classList.toggle('hidden', type !== 'short');
+}
+
+async function handleQuestionCreate(e) {
+    e.preventDefault();
+
+    const type = document.getElementById('questionType').value;
+    const optionLines = document.getElementById('questionOptions').value
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+
+    const questionData = {
+        text: document.getElementById('questionText').value,
+        type,
+        subject: document.getElementById('questionSubject').value,
+        department: document.getElementById('questionDepartment').value,
+        semester: parseInt(document.getElementById('questionSemester').value),
+        marks: parseFloat(document.getElementById('questionMarks').value),
+        options: optionLines.map(line => line.replace(/^\*/, '').trim()),
+        correctOptions: optionLines
+            .map((line, index) => line.startsWith('*') ? index : -1)
+            .filter(index => index > -1),
+        numericAnswer: document.getElementById('questionNumericAnswer').value,
+        tolerance: document.getElementById('questionTolerance').value,
+        acceptedAnswers: document.getElementById('questionAcceptedAnswers').value.split('\n'),
+        tags: document.getElementById('questionTags').value,
+        difficulty: document.getElementById('questionDifficulty').value
+    };
+
+    const errorElement = document.getElementById('questionError');
+
+    try {
+        const response = await fetch(`${API_URL}/questions`, {
+            method: 'POST',
+            headers: { 
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(questionData)
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            hideError(errorElement);
+            document.getElementById('questionForm').reset();
+            updateQuestionTypeFields();
+            showNotification('✅ Question added!', 'success');
+            loadQuestionPicker();
+        } else {
+            showError(errorElement, data.error || 'Could not add question');
+        }
+    } catch (error) {
+        console.error('Question error:', error);
+        showError(errorElement, 'Network error. Please try again.');
+    }
+}
+
+async function loadQuestionPicker() {
+    const container = document.getElementById('examQuestionPicker');
+    const dept = document.getElementById('examDepartment').value;
+    const sem = document.getElementById('examSemester').value;
+
+    try {
+        const response = await fetch(`${API_URL}/questions?department=${encodeURIComponent(dept)}&semester=${encodeURIComponent(sem)}`, {
+            headers: { 
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        if (!response.ok) throw new Error('Failed to fetch questions');
+
+        const questions = await response.json();
+
+        if (questions.length === 0) {
+            container.innerHTML = '<p class="text-muted mb-0">No questions yet for this department and semester.</p>';
+            return;
+        }
+
+        container.innerHTML = questions.map(question => `
+            <div class="form-check">
+                <input class="form-check-input" type="checkbox" value="${question.id}" id="pick-${question.id}">
+                <label class="form-check-label" for="pick-${question.id}">
+                    <span class="badge bg-secondary me-1">${question.type.toUpperCase()}</span>
+                    <span class="badge bg-${difficultyColor(question.difficulty)} me-1">${escapeHtml(question.difficulty || 'medium')}</span>
+                    ${escapeHtml(question.subject)}: ${escapeHtml(question.text)}
+                    ${(question.tags || []).map(tag => `<span class="badge bg-info ms-1">#${escapeHtml(tag)}</span>`).join('')}
+                </label>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading questions:', error);
+        container.innerHTML = `<p class="text-danger mb-0">Error loading questions: ${error.message}</p>`;
+    }
+}
+
+function difficultyColor(difficulty) {
+    const colors = {
+        'easy': 'success',
+        'medium': 'warning',
+        'hard': 'danger'
+    };
+    return colors[difficulty] || 'warning';
+}
+
+function updateExamMode() {
+    const generate = document.getElementById('examModeGenerate').checked;
+    document.getElementById('examPickGroup').classList.toggle('hidden', generate);
+    document.getElementById('examGenerateGroup').classList.toggle('hidden', !generate);
+
+    if (generate && document.querySelectorAll('#examBuckets .exam-bucket').length === 0) {
+        addExamBucket();
+    }
+}
+
+function addExamBucket() {
+    const row = document.createElement('div');
+    row.className = 'row g-2 mb-2 exam-bucket';
+    row.innerHTML = `
+        <div class="col-md-5">
+            <input type="text" class="form-control bucket-tag" placeholder="Tag (e.g., normalization)">
+        </div>
+        <div class="col-md-3">
+            <select class="form-control bucket-difficulty">
+                <option value="">Any difficulty</option>
+                <option value="easy">Easy</option>
+                <option value="medium">Medium</option>
+                <option value="hard">Hard</option>
+            </select>
+        </div>
+        <div class="col-md-3">
+            <input type="number" class="form-control bucket-count" min="1" value="5" placeholder="Count">
+        </div>
+        <div class="col-md-1">
+            <button type="button" class="icon-btn" onclick="this.closest('.exam-bucket').remove()" title="Remove bucket">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+    `;
+    document.getElementById('examBuckets').appendChild(row);
+}
+
+async function handleExamCreate(e) {
+    e.preventDefault();
+
+    const generate = document.getElementById('examModeGenerate').checked;
+
+    const examData = {
+        title: document.getElementById('examTitle').value,
+        subject: document.getElementById('examSubject').value,
+        department: document.getElementById('examDepartment').value,
+        semester: parseInt(document.getElementById('examSemester').value),
+        startTime: new Date(document.getElementById('examStartTime').value).toISOString(),
+        endTime: new Date(document.getElementById('examEndTime').value).toISOString(),
+        durationMinutes: parseInt(document.getElementById('examDuration').value),
+        negativeMarking: parseFloat(document.getElementById('examNegativeMarking').value),
+        description: document.getElementById('examDescription').value,
+        shuffleQuestions: document.getElementById('examShuffleQuestions').checked,
+        shuffleOptions: document.getElementById('examShuffleOptions').checked
+    };
+
+    if (generate) {
+        examData.buckets = Array.from(document.querySelectorAll('#examBuckets .exam-bucket')).map(row => ({
+            tag: row.querySelector('.bucket-tag').value,
+            difficulty: row.querySelector('.bucket-difficulty').value,
+            count: parseInt(row.querySelector('.bucket-count').value)
+        }));
+    } else {
+        examData.questionIds = Array.from(document.querySelectorAll('#examQuestionPicker input:checked')).map(input => input.value);
+    }
+
+    const errorElement = document.getElementById('examError');
+
+    try {
+        const response = await fetch(`${API_URL}/exams${generate ? '/generate' : ''}`, {
+            method: 'POST',
+            headers: { 
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(examData)
+        });
+
+        const data = await response.json();
+
+        if (response.ok) {
+            hideError(errorElement);
+            document.getElementById('examForm').reset();
+            document.getElementById('examBuckets').innerHTML = '';
+            updateExamMode();
+            showNotification('✅ Exam scheduled!', 'success');
+            loadQuestionPicker();
+            loadExams();
+        } else if (data.shortfalls) {
+            const details = data.shortfalls
+                .map(b => `${b.tag || 'any tag'} / ${b.difficulty || 'any difficulty'}: ${b.available} of ${b.requested}`)
+                .join('; ');
+            showError(errorElement, `${data.error} (${details})`);
+        } else {
+            showError(errorElement, data.error || 'Could not schedule exam');
+        }
+    } catch (error) {
+        console.error('Exam error:', error);
+        showError(errorElement, 'Network error. Please try again.');
+    }
+}
+
+async function publishExamResults(id, published) {
+    try {
+        const response = await fetch(`${API_URL}/exams/${id}/publish`, {
+            method: 'POST',
+            headers: { 
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ published })
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) throw new Error(data.error || 'Failed to update results');
+
+        showNotification(published ? '📢 Results published!' : '🙈 Results hidden from students', 'success');
+        loadExams();
+    } catch (error) {
+        console.error('Error publishing results:', error);
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+function showResultsPage(title) {
+    hideAllPages();
+    document.getElementById('examResultsPage').classList.remove('hidden');
+    document.querySelector('.navbar').classList.remove('hidden');
+    document.getElementById('examResultsTitle').textContent = title;
+    document.getElementById('examResultsContent').innerHTML = `
+        <div class="text-center py-5">
+            <div class="spinner-border text-white" role="status">
+                <span class="visually-hidden">Loading...</span>
+            </div>
+        </div>
+    `;
+}
+
+async function showExamResults(id) {
+    showResultsPage('Results');
+    const container = document.getElementById('examResultsContent');
+
+    try {
+        const response = await fetch(`${API_URL}/exams/${id}/results`, {
+            headers: { 
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) throw new Error(data.error || 'Failed to fetch results');
+
+        document.getElementById('examResultsTitle').textContent = data.exam.title;
+        const maxBucket = Math.max(1, ...data.stats.histogram.map(b => b.count));
+
+        container.innerHTML = `
+            <div class="row">
+                <div class="col-md-3 mb-4"><div class="stats-card"><h3>${data.stats.count}</h3><p class="text-muted mb-0">Submitted</p></div></div>
+                <div class="col-md-3 mb-4"><div class="stats-card"><h3>${data.stats.mean}%</h3><p class="text-muted mb-0">Mean</p></div></div>
+                <div class="col-md-3 mb-4"><div class="stats-card"><h3>${data.stats.median}%</h3><p class="text-muted mb-0">Median</p></div></div>
+                <div class="col-md-3 mb-4"><div class="stats-card"><h3>${data.exam.resultsPublished ? 'Yes' : 'No'}</h3><p class="text-muted mb-0">Published</p></div></div>
+            </div>
+
+            <div class="material-card">
+                <h4 class="mb-3"><i class="fas fa-chart-bar text-primary"></i> Score Distribution</h4>
+                ${data.stats.histogram.map(bucket => `
+                    <div class="d-flex align-items-center mb-1">
+                        <small class="text-muted histogram-label">${bucket.range}%</small>
+                        <div class="histogram-bar" style="width: ${(bucket.count / maxBucket) * 80}%"></div>
+                        <small class="ms-2">${bucket.count}</small>
+                    </div>
+                `).join('')}
+            </div>
+
+            <div class="material-card">
+                <h4 class="mb-3"><i class="fas fa-users text-primary"></i> Students</h4>
+                ${data.students.length === 0 ? '<p class="text-muted">No submissions yet.</p>' : `
+                <table class="table table-sm">
+                    <thead><tr><th>Student</th><th>Score</th><th>%</th><th>Status</th><th>Submitted</th></tr></thead>
+                    <tbody>
+                        ${data.students.map(student => `
+                            <tr>
+                                <td>${escapeHtml(student.userName)}</td>
+                                <td>${student.score} / ${student.maxScore}</td>
+                                <td>${student.percentage}%</td>
+                                <td>${student.status === 'auto-submitted' ? '<span class="badge bg-warning">Auto</span>' : '<span class="badge bg-success">Submitted</span>'}</td>
+                                <td>${formatDateTime(student.submittedAt)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>`}
+            </div>
+
+            <div class="material-card">
+                <h4 class="mb-3"><i class="fas fa-list-ol text-primary"></i> Questions</h4>
+                <table class="table table-sm">
+                    <thead><tr><th>#</th><th>Question</th><th>Correct</th><th>Partial</th><th>Incorrect</th><th>Unanswered</th></tr></thead>
+                    <tbody>
+                        ${data.questions.map((question, index) => `
+                            <tr>
+                                <td>${index + 1}</td>
+                                <td>${escapeHtml(question.text)}</td>
+                                <td>${question.correct}</td>
+                                <td>${question.partial}</td>
+                                <td>${question.incorrect}</td>
+                                <td>${question.unanswered}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error loading results:', error);
+        container.innerHTML = `
+            <div class="alert alert-danger">
+                <i class="fas fa-exclamation-triangle"></i> ${escapeHtml(error.message)}
+            </div>
+        `;
+    }
+}
+
+function formatCorrectAnswer(question) {
+    if (question.type === 'mcq' || question.type === 'multi') {
+        return question.correctOptions.map(i => escapeHtml(question.options[i])).join(', ');
+    }
+    if (question.type === 'numeric') {
+        return `${question.numericAnswer}${question.tolerance ? ` (±${question.tolerance})` : ''}`;
+    }
+    return escapeHtml(question.acceptedAnswers.join(' / '));
+}
+
+function formatGivenAnswer(question) {
+    const answer = question.answer;
+    if (!answer) return '<em>Not answered</em>';
+    if (question.type === 'mcq' || question.type === 'multi') {
+        return answer.selectedOptions.length
+            ? answer.selectedOptions.map(i => escapeHtml(question.options[i])).join(', ')
+            : '<em>Not answered</em>';
+    }
+    if (question.type === 'numeric') {
+        return answer.numericAnswer ?? '<em>Not answered</em>';
+    }
+    return answer.textAnswer ? escapeHtml(answer.textAnswer) : '<em>Not answered</em>';
+}
+
+async function showAttemptResult(attemptId) {
+    showResultsPage('My Result');
+    const container = document.getElementById('examResultsContent');
+
+    const resultBadges = {
+        'correct': 'bg-success',
+        'partial': 'bg-warning',
+        'incorrect': 'bg-danger',
+        'unanswered': 'bg-secondary'
+    };
+
+    try {
+        const response = await fetch(`${API_URL}/attempts/${attemptId}/result`, {
+            headers: { 
+                'Authorization': `Bearer ${authToken}`,
+                'Content-Type': 'application/json'
+            }
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) throw new Error(data.error || 'Failed to fetch result');
+
+        document.getElementById('examResultsTitle').textContent = data.exam.title;
+
+        container.innerHTML = `
+            <div class="stats-card mb-4">
+                <h3>${data.score} / ${data.maxScore}</h3>
+                <p class="text-muted mb-0">Your Score</p>
+            </div>
+            ${data.questions.map((question, index) => `
+                <div class="material-card">
+                    <h5 class="mb-2">Q${index + 1}. ${escapeHtml(question.text)}
+                        <span class="badge ${resultBadges[question.result]} ms-2">${question.result.toUpperCase()}</span>
+                        <span class="badge bg-secondary ms-1">${question.marksAwarded} / ${question.marks}</span>
+                    </h5>
+                    <p class="mb-1"><strong>Your answer:</strong> ${formatGivenAnswer(question)}</p>
+                    <p class="mb-0"><strong>Correct answer:</strong> ${formatCorrectAnswer(question)}</p>
+                </div>
+            `).join('')}
+        `;
+    } catch (error) {
+        console.error('Error loading result:', error);
+        container.innerHTML = `
+            <div class="alert alert-danger">
+                <i class="fas fa-exclamation-triangle"></i> ${escapeHtml(error.message)}
+            </div>
+        `;
+    }
+}
+
+// Department & Subject Lists
+async function loadDepartmentOptions() {
+    try {
+        const response = await fetch(`${API_URL}/departments`);
+        if (!response.ok) return;
+
+        const departments = await response.json();
+        if (departments.length === 0) return;
+
+        const selectIds = ['registerDepartment', 'filterDepartment', 'uploadDepartment', 'questionDepartment', 'examDepartment', 'subjectDepartment', 'catalogDepartment', 'courseDepartment', 'announcementDepartment'];
+        selectIds.forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            // Keep the "Select / All" placeholder option if there is one
+            const placeholder = select.querySelector('option[value=""]');
+            select.innerHTML = '';
+            if (placeholder) select.appendChild(placeholder);
+
+            departments.forEach(department => {
+                const option = document.createElement('option');
+                option.value = department.name;
+                option.textContent = department.name;
+                select.appendChild(option);
+            });
+        });
+    } catch (error) {
+        console.error('Error loading departments:', error);
+    }
+}
+
+async function loadSubjectOptions() {
+    const dept = document.getElementById('uploadDepartment').value;
+    const sem = document.getElementById('uploadSemester').value;
+    const datalist = document.getElementById('subjectOptions');
+
+    datalist.innerHTML = '';
+    if (!dept) return;
+
+    try {
+        let url = `${API_URL}/subjects?department=${encodeURIComponent(dept)}`;
+        if (sem) url += `&semester=${encodeURIComponent(sem)}`;
+
+        const response = await fetch(url);
+        if (!response.ok) return;
+
+        const subjects = await response.json();
+        datalist.innerHTML = subjects
+            .map(subject => `<option value="${escapeHtml(subject.name)}">${escapeHtml(subject.code || '')}</option>`)
+            .join('');
+    } catch (error) {
+        console.error('Error loading subjects:', error);
+    }
+}
+
+// Course Functions
+async function courseRequest(path, options = {}) {
+    const response = await fetch(`${API_URL}${path}`, {
+        ...options,
+        headers: {
+            'Authorization': `Bearer ${authToken}`,
+            'Content-Type': 'application/json'
+        }
+    });
+
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Request failed');
+    return data;
+}
+
+// Courses the user takes or teaches, cached for the course selects
+let myCourses = [];
+
+async function loadMyCourses() {
+    myCourses = await courseRequest('/courses?mine=true');
+    return myCourses;
+}
+
+function showCourses() {
+    hideAllPages();
+    document.getElementById('coursesPage').classList.remove('hidden');
+    document.querySelector('.navbar').classList.remove('hidden');
+
+    // Students browse the catalog to enroll, starting at their own department and semester
+    const catalog = document.getElementById('courseCatalogSection');
+    catalog.classList.toggle('hidden', currentUser?.role !== 'student');
+    if (currentUser?.role === 'student') {
+        document.getElementById('catalogDepartment').value = currentUser.department || '';
+        document.getElementById('catalogSemester').value = currentUser.semester || '';
+        loadCourseCatalog();
+    }
+
+    loadMyCoursesList();
+}
+
+function courseFacultyNames(course) {
+    return course.faculty.map(member => member.name).filter(Boolean).join(', ') || 'No faculty assigned';
+}
+
+async function loadMyCoursesList() {
+    const container = document.getElementById('myCoursesList');
+
+    try {
+        const courses = await loadMyCourses();
+
+        if (courses.length === 0) {
+            container.innerHTML = `<p class="text-muted mb-0">${currentUser?.role === 'student'
+                ? 'You are not enrolled in any courses yet. Enroll from the catalog below.'
+                : 'You are not teaching any courses yet. An admin can assign you to courses.'}</p>`;
+            return;
+        }
+
+        container.innerHTML = courses.map(course => `
+            <div class="border-bottom py-2">
+                <div class="d-flex justify-content-between align-items-center">
+                    <div>
+                        <strong>${escapeHtml(course.code)}</strong> ${escapeHtml(course.name)}
+                        <small class="text-muted ms-2">${escapeHtml(course.department)} · Sem ${course.semester} · ${escapeHtml(courseFacultyNames(course))}</small>
+                    </div>
+                    <div class="text-nowrap">
+                        <button class="btn btn-outline-primary btn-sm" onclick="showCourseMaterials('${course.id}')">
+                            <i class="fas fa-book"></i> Materials
+                        </button>
+                        ${course.teaching ? `
+                            <button class="btn btn-outline-secondary btn-sm ms-1" onclick="toggleCourseRoster('${course.id}')">
+                                <i class="fas fa-users"></i> Roster (${course.studentCount})
+                            </button>
+                        ` : ''}
+                        ${course.enrolled ? `
+                            <button class="btn btn-outline-danger btn-sm ms-1" onclick="leaveCourse('${course.id}')">
+                                <i class="fas fa-sign-out-alt"></i> Leave
+                            </button>
+                        ` : ''}
+                    </div>
+                </div>
+                <div id="courseRoster-${course.id}" class="course-roster hidden"></div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading courses:', error);
+        container.innerHTML = `<p class="text-danger mb-0">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function loadCourseCatalog() {
+    const container = document.getElementById('courseCatalogList');
+    const params = new URLSearchParams();
+    const department = document.getElementById('catalogDepartment').value;
+    const semester = document.getElementById('catalogSemester').value;
+    if (department) params.set('department', department);
+    if (semester) params.set('semester', semester);
+
+    try {
+        const courses = await courseRequest(`/courses?${params}`);
+
+        container.innerHTML = courses.length === 0
+            ? '<p class="text-muted mb-0">No courses found.</p>'
+            : courses.map(course => `
+                <div class="d-flex justify-content-between align-items-center border-bottom py-2">
+                    <div>
+                        <strong>${escapeHtml(course.code)}</strong> ${escapeHtml(course.name)}
+                        <small class="text-muted ms-2">${escapeHtml(course.department)} · Sem ${course.semester} · ${escapeHtml(courseFacultyNames(course))}</small>
+                    </div>
+                    ${course.enrolled
+                        ? '<span class="badge bg-success">Enrolled</span>'
+                        : `<button class="btn btn-primary btn-sm" onclick="enrollInCourse('${course.id}')"><i class="fas fa-plus"></i> Enroll</button>`}
+                </div>
+            `).join('');
+    } catch (error) {
+        console.error('Error loading course catalog:', error);
+        container.innerHTML = `<p class="text-danger mb-0">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function enrollInCourse(id) {
+    try {
+        const data = await courseRequest(`/courses/${id}/enroll`, { method: 'POST' });
+        showNotification(`✅ ${data.message}`, 'success');
+        // Rooms are chosen on connect, so join the course's
+        connectLiveUpdates();
+        loadMyCoursesList();
+        loadCourseCatalog();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function leaveCourse(id) {
+    if (!confirm('Leave this course? Its materials will no longer appear in your lists.')) return;
+
+    try {
+        const data = await courseRequest(`/courses/${id}/enroll`, { method: 'DELETE' });
+        showNotification(data.message, 'info');
+        connectLiveUpdates();
+        loadMyCoursesList();
+        if (currentUser?.role === 'student') loadCourseCatalog();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+// Roster panel under a course the user teaches
+async function toggleCourseRoster(id, forceOpen = false) {
+    const container = document.getElementById(`courseRoster-${id}`);
+    if (!forceOpen && !container.classList.contains('hidden')) {
+        container.classList.add('hidden');
+        return;
+    }
+    container.classList.remove('hidden');
+
+    try {
+        const students = await courseRequest(`/courses/${id}/students`);
+
+        container.innerHTML = `
+            <form class="d-flex gap-2 mb-2" onsubmit="addCourseStudent(event, '${id}')">
+                <input type="email" class="form-control form-control-sm" placeholder="Student email" required>
+                <button type="submit" class="btn btn-primary btn-sm text-nowrap"><i class="fas fa-user-plus"></i> Add</button>
+            </form>
+            ${students.length === 0
+                ? '<p class="text-muted small mb-0">No students enrolled yet.</p>'
+                : students.map(student => `
+                    <div class="d-flex justify-content-between align-items-center small py-1">
+                        <span>${escapeHtml(student.name)} <span class="text-muted">${escapeHtml(student.email)}</span></span>
+                        <button class="icon-btn" onclick="removeCourseStudent('${id}', '${student.id}')" title="Remove from course"><i class="fas fa-times"></i></button>
+                    </div>
+                `).join('')}
+        `;
+    } catch (error) {
+        container.innerHTML = `<p class="text-danger small mb-0">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function addCourseStudent(event, id) {
+    event.preventDefault();
+    const email = event.target.querySelector('input').value;
+
+    try {
+        const data = await courseRequest(`/courses/${id}/students`, {
+            method: 'POST',
+            body: JSON.stringify({ email })
+        });
+        showNotification(`✅ ${data.student.name} enrolled`, 'success');
+        toggleCourseRoster(id, true);
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function removeCourseStudent(id, studentId) {
+    if (!confirm('Remove this student from the course?')) return;
+
+    try {
+        await courseRequest(`/courses/${id}/students/${studentId}`, { method: 'DELETE' });
+        showNotification('Student removed', 'info');
+        toggleCourseRoster(id, true);
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+// Open the materials list filtered to one course
+async function showCourseMaterials(id) {
+    hideAllPages();
+    document.getElementById('materialsPage').classList.remove('hidden');
+    document.querySelector('.navbar').classList.remove('hidden');
+    await loadCourseFilterOptions();
+    document.getElementById('filterCourse').value = id;
+    loadMaterials();
+}
+
+async function loadCourseFilterOptions() {
+    const select = document.getElementById('filterCourse');
+    const selected = select.value;
+
+    try {
+        // Admins can filter by any course
+        const courses = currentUser?.role === 'admin' ? await courseRequest('/courses') : await loadMyCourses();
+        select.innerHTML = `<option value="">${currentUser?.role === 'admin' ? 'All Courses' : 'All My Courses'}</option>` +
+            courses.map(course => `<option value="${course.id}">${escapeHtml(course.code)} - ${escapeHtml(course.name)}</option>`).join('');
+        select.value = selected;
+    } catch (error) {
+        console.error('Error loading course filter:', error);
+    }
+}
+
+async function loadUploadCourseOptions() {
+    const select = document.getElementById('uploadCourse');
+
+    try {
+        const courses = (await loadMyCourses()).filter(course => course.teaching);
+        select.innerHTML = '<option value="">No course (general material)</option>' +
+            courses.map(course => `<option value="${course.id}">${escapeHtml(course.code)} - ${escapeHtml(course.name)} (Sem ${course.semester})</option>`).join('');
+        if (courses.length > 0) select.value = courses[0].id;
+    } catch (error) {
+        console.error('Error loading upload courses:', error);
+    }
+    updateUploadCourseFields();
+}
+
+// A course supplies subject, department and semester, so hide those fields when one is chosen
+function updateUploadCourseFields() {
+    const chosen = Boolean(document.getElementById('uploadCourse').value);
+    ['uploadSubject', 'uploadDepartment', 'uploadSemester'].forEach(id => {
+        const field = document.getElementById(id);
+        field.required = !chosen;
+        field.closest('[class^="col-"]').classList.toggle('hidden', chosen);
+    });
+}
+
+// Assignment Functions
+function showAssignments() {
+    hideAllPages();
+    document.getElementById('assignmentsPage').classList.remove('hidden');
+    document.querySelector('.navbar').classList.remove('hidden');
+
+    const isFaculty = currentUser?.role === 'faculty';
+    document.getElementById('assignmentFacultyTools').classList.toggle('hidden', !isFaculty);
+    if (isFaculty) loadAssignmentCourseOptions();
+
+    loadAssignments();
+}
+
+async function loadAssignmentCourseOptions() {
+    const select = document.getElementById('assignmentCourse');
+
+    try {
+        const courses = (await loadMyCourses()).filter(course => course.teaching);
+        select.innerHTML = courses.length === 0
+            ? '<option value="">You are not teaching any courses</option>'
+            : courses.map(course => `<option value="${course.id}">${escapeHtml(course.code)} - ${escapeHtml(course.name)}</option>`).join('');
+    } catch (error) {
+        console.error('Error loading assignment courses:', error);
+    }
+}
+
+// Multipart requests (files) for assignments and submissions
+async function sendAssignmentForm(path, formData) {
+    const response = await fetch(`${API_URL}${path}`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${authToken}` },
+        body: formData
+    });
+
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Request failed');
+    return data;
+}
+
+function appendFiles(formData, input) {
+    Array.from(input.files).forEach(file => formData.append('files', file));
+}
+
+function formatFileLinks(files) {
+    return files.map(file => `
+        <a href="#" class="me-3" data-download-url="${escapeHtml(file.fileUrl)}" data-download-name="${escapeHtml(file.fileName)}">
+            <i class="fas fa-paperclip"></i> ${escapeHtml(file.fileName)}
+        </a>
+    `).join('');
+}
+
+function submissionBadge(assignment) {
+    const submission = assignment.submission;
+    if (!submission) {
+        return new Date(assignment.dueAt) < new Date()
+            ? '<span class="badge bg-danger">Missing</span>'
+            : '<span class="badge bg-secondary">Not submitted</span>';
+    }
+    const late = submission.late ? ' <span class="badge bg-warning text-dark">Late</span>' : '';
+    return submission.status === 'graded'
+        ? `<span class="badge bg-success">Graded ${submission.score}/${assignment.maxScore}</span>${late}`
+        : `<span class="badge bg-info">Submitted</span>${late}`;
+}
+
+async function loadAssignments() {
+    const container = document.getElementById('assignmentsList');
+
+    try {
+        const assignments = await courseRequest('/assignments');
+
+        if (assignments.length === 0) {
+            container.innerHTML = '<p class="text-muted mb-0">No assignments for your courses yet.</p>';
+            return;
+        }
+
+        const isStudent = currentUser?.role === 'student';
+        container.innerHTML = assignments.map(assignment => {
+            const overdue = new Date(assignment.dueAt) < new Date();
+            return `
+                <div class="border-bottom py-3">
+                    <div class="d-flex justify-content-between align-items-start">
+                        <div>
+                            <strong>${escapeHtml(assignment.title)}</strong>
+                            ${assignment.course ? `<span class="badge bg-primary ms-1">${escapeHtml(assignment.course.code)}</span>` : ''}
+                            <div class="small ${overdue ? 'text-danger' : 'text-muted'}">
+                                <i class="fas fa-clock"></i> Due ${formatDateTime(assignment.dueAt)}
+                                · ${assignment.maxScore} points${assignment.allowLate ? '' : ' · no late submissions'}
+                            </div>
+                        </div>
+                        <div class="text-nowrap">
+                            ${isStudent ? `
+                                ${submissionBadge(assignment)}
+                                <button class="btn btn-outline-primary btn-sm ms-1" onclick="toggleAssignmentSubmission('${assignment.id}')">
+                                    <i class="fas fa-upload"></i> My Work
+                                </button>
+                            ` : `
+                                <small class="text-muted me-2">
+                                    ${assignment.counts.submitted}/${assignment.counts.students} submitted
+                                    · ${assignment.counts.late} late · ${assignment.counts.graded} graded
+                                </small>
+                                <button class="btn btn-outline-primary btn-sm" onclick="toggleAssignmentSubmissions('${assignment.id}')">
+                                    <i class="fas fa-inbox"></i> Submissions
+                                </button>
+                                <button class="btn btn-outline-secondary btn-sm ms-1" onclick="changeAssignmentDue('${assignment.id}', '${assignment.dueAt}')" title="Change due date">
+                                    <i class="fas fa-calendar-alt"></i>
+                                </button>
+                                <button class="btn btn-outline-danger btn-sm ms-1" onclick="deleteAssignment('${assignment.id}')" title="Delete assignment">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            `}
+                        </div>
+                    </div>
+                    ${assignment.description ? `<p class="small mb-1 mt-2">${escapeHtml(assignment.description)}</p>` : ''}
+                    ${assignment.attachments.length > 0 ? `<div class="small">${formatFileLinks(assignment.attachments)}</div>` : ''}
+                    <div id="assignmentPanel-${assignment.id}" class="assignment-panel hidden"></div>
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading assignments:', error);
+        container.innerHTML = `<p class="text-danger mb-0">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function handleAssignmentCreate(e) {
+    e.preventDefault();
+
+    const errorElement = document.getElementById('assignmentError');
+    const successElement = document.getElementById('assignmentSuccess');
+
+    const formData = new FormData();
+    formData.append('courseId', document.getElementById('assignmentCourse').value);
+    formData.append('title', document.getElementById('assignmentTitle').value);
+    formData.append('description', document.getElementById('assignmentDescription').value);
+    // datetime-local is in the browser's time zone
+    formData.append('dueAt', new Date(document.getElementById('assignmentDue').value).toISOString());
+    formData.append('maxScore', document.getElementById('assignmentMaxScore').value);
+    formData.append('allowLate', document.getElementById('assignmentAllowLate').checked);
+    appendFiles(formData, document.getElementById('assignmentFiles'));
+
+    try {
+        const data = await sendAssignmentForm('/assignments', formData);
+        hideError(errorElement);
+        showSuccess(successElement, `✅ ${data.message}`);
+        document.getElementById('assignmentForm').reset();
+        setTimeout(() => hideSuccess(successElement), 3000);
+        loadAssignments();
+    } catch (error) {
+        showError(errorElement, error.message);
+    }
+}
+
+// Student panel: own submission, feedback and the submit form
+async function toggleAssignmentSubmission(id, forceOpen = false) {
+    const container = document.getElementById(`assignmentPanel-${id}`);
+    if (!forceOpen && !container.classList.contains('hidden')) {
+        container.classList.add('hidden');
+        return;
+    }
+    container.classList.remove('hidden');
+
+    try {
+        const assignment = await courseRequest(`/assignments/${id}`);
+        const submission = assignment.submission;
+        const closed = !assignment.allowLate && new Date(assignment.dueAt) < new Date();
+
+        container.innerHTML = `
+            ${submission ? `
+                <div class="small mb-2">
+                    <strong>Submitted ${formatDateTime(submission.submittedAt)}</strong>
+                    ${submission.late ? '<span class="badge bg-warning text-dark ms-1">Late</span>' : ''}
+                    <div>${formatFileLinks(submission.files)}</div>
+                    ${submission.comment ? `<div class="text-muted">${escapeHtml(submission.comment)}</div>` : ''}
+                </div>
+            ` : ''}
+            ${submission?.status === 'graded' ? `
+                <div class="assignment-feedback small">
+                    <strong>Grade: ${submission.score}/${assignment.maxScore}</strong>
+                    ${submission.feedback ? `<p class="mb-1">${escapeHtml(submission.feedback)}</p>` : ''}
+                    ${submission.feedbackFiles.length > 0 ? `<div>Returned files: ${formatFileLinks(submission.feedbackFiles)}</div>` : ''}
+                </div>
+            ` : closed ? `
+                <p class="text-muted small mb-0">The deadline has passed and late submissions are not accepted.</p>
+            ` : `
+                <form onsubmit="submitAssignment(event, '${id}')">
+                    <input type="file" class="form-control form-control-sm mb-2" multiple required>
+                    <textarea class="form-control form-control-sm mb-2" rows="2" placeholder="Comment for your instructor (optional)"></textarea>
+                    <button type="submit" class="btn btn-primary btn-sm">
+                        <i class="fas fa-paper-plane"></i> ${submission ? 'Resubmit' : 'Submit'}
+                    </button>
+                    ${submission ? '<small class="text-muted ms-2">Resubmitting replaces your files.</small>' : ''}
+                </form>
+            `}
+        `;
+    } catch (error) {
+        container.innerHTML = `<p class="text-danger small mb-0">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function submitAssignment(event, id) {
+    event.preventDefault();
+
+    const formData = new FormData();
+    appendFiles(formData, event.target.querySelector('input[type="file"]'));
+    formData.append('comment', event.target.querySelector('textarea').value);
+
+    try {
+        const data = await sendAssignmentForm(`/assignments/${id}/submissions`, formData);
+        showNotification(data.submission.late ? `⚠️ ${data.message}` : `✅ ${data.message}`, data.submission.late ? 'warning' : 'success');
+        await loadAssignments();
+        toggleAssignmentSubmission(id, true);
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+// Faculty panel: every submission with a grading form, then who hasn't submitted
+async function toggleAssignmentSubmissions(id, forceOpen = false) {
+    const container = document.getElementById(`assignmentPanel-${id}`);
+    if (!forceOpen && !container.classList.contains('hidden')) {
+        container.classList.add('hidden');
+        return;
+    }
+    container.classList.remove('hidden');
+
+    try {
+        const { submissions, missing } = await courseRequest(`/assignments/${id}/submissions`);
+
+        container.innerHTML = `
+            ${submissions.length === 0 ? '<p class="text-muted small">No submissions yet.</p>' : submissions.map(submission => `
+                <div class="assignment-submission small">
+                    <div class="d-flex justify-content-between">
+                        <strong>${escapeHtml(submission.studentName)}</strong>
+                        <span>
+                            ${formatDateTime(submission.submittedAt)}
+                            ${submission.late ? '<span class="badge bg-warning text-dark ms-1">Late</span>' : ''}
+                            ${submission.status === 'graded' ? `<span class="badge bg-success ms-1">${submission.score}</span>` : ''}
+                        </span>
+                    </div>
+                    <div>${formatFileLinks(submission.files)}</div>
+                    ${submission.comment ? `<div class="text-muted">${escapeHtml(submission.comment)}</div>` : ''}
+                    <form class="row g-2 mt-1" onsubmit="gradeSubmission(event, '${submission.id}', '${id}')">
+                        <div class="col-md-2">
+                            <input type="number" class="form-control form-control-sm" placeholder="Score" min="0" step="any" value="${submission.score ?? ''}" required>
+                        </div>
+                        <div class="col-md-5">
+                            <textarea class="form-control form-control-sm" rows="1" placeholder="Feedback">${escapeHtml(submission.feedback || '')}</textarea>
+                        </div>
+                        <div class="col-md-3">
+                            <input type="file" class="form-control form-control-sm" multiple title="Annotated files to return">
+                        </div>
+                        <div class="col-md-2">
+                            <button type="submit" class="btn btn-success btn-sm w-100"><i class="fas fa-check"></i> ${submission.status === 'graded' ? 'Update' : 'Grade'}</button>
+                        </div>
+                    </form>
+                    ${submission.feedbackFiles.length > 0 ? `<div class="mt-1">Returned: ${formatFileLinks(submission.feedbackFiles)}</div>` : ''}
+                </div>
+            `).join('')}
+            ${missing.length > 0 ? `
+                <p class="small text-muted mb-0 mt-2">
+                    <strong>Not submitted:</strong> ${missing.map(student => escapeHtml(student.name)).join(', ')}
+                </p>
+            ` : ''}
+        `;
+    } catch (error) {
+        container.innerHTML = `<p class="text-danger small mb-0">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function gradeSubmission(event, submissionId, assignmentId) {
+    event.preventDefault();
+
+    const formData = new FormData();
+    formData.append('score', event.target.querySelector('input[type="number"]').value);
+    formData.append('feedback', event.target.querySelector('textarea').value);
+    appendFiles(formData, event.target.querySelector('input[type="file"]'));
+
+    try {
+        const data = await sendAssignmentForm(`/submissions/${submissionId}/grade`, formData);
+        showNotification(`✅ ${data.message}`, 'success');
+        await loadAssignments();
+        toggleAssignmentSubmissions(assignmentId, true);
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function changeAssignmentDue(id, current) {
+    const local = new Date(new Date(current).getTime() - new Date().getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    const value = prompt('New due date and time (YYYY-MM-DDTHH:MM, your local time):', local);
+    if (!value || isNaN(new Date(value))) return;
+
+    try {
+        const data = await courseRequest(`/assignments/${id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ dueAt: new Date(value).toISOString() })
+        });
+        showNotification(`✅ ${data.message}`, 'success');
+        loadAssignments();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function deleteAssignment(id) {
+    if (!confirm('Delete this assignment along with all submissions and grades?')) return;
+
+    try {
+        await courseRequest(`/assignments/${id}`, { method: 'DELETE' });
+        showNotification('🗑️ Assignment deleted', 'info');
+        loadAssignments();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+// Live Updates
+// The server pushes events over Server-Sent Events; lists refresh when something changes
+// instead of being re-fetched after every action
+let liveEvents = null;
+let liveReconnectTimer = null;
+
+async function connectLiveUpdates() {
+    disconnectLiveUpdates();
+    if (!authToken || typeof EventSource === 'undefined') return;
+
+    // EventSource cannot send the access token, so trade it for a one-time ticket
+    let ticket;
+    try {
+        ({ ticket } = await courseRequest('/events/ticket', { method: 'POST' }));
+    } catch (error) {
+        console.error('Error connecting live updates:', error);
+        // Ends the session if it was revoked; otherwise try again shortly
+        await refreshAccessToken();
+        if (authToken) liveReconnectTimer = setTimeout(connectLiveUpdates, 5000);
+        return;
+    }
+    // Logged out or reconnected meanwhile
+    if (!authToken) return;
+    disconnectLiveUpdates();
+
+    liveEvents = new EventSource(`${API_URL}/events?ticket=${encodeURIComponent(ticket)}`);
+
+    // Catch up on anything missed while disconnected
+    liveEvents.addEventListener('ready', () => {
+        refreshNotificationCount();
+    });
+    liveEvents.addEventListener('material.created', () => refreshVisibleMaterials());
+    liveEvents.addEventListener('material.deleted', () => refreshVisibleMaterials());
+    liveEvents.addEventListener('material.stats', (event) => updateMaterialStats(JSON.parse(event.data)));
+    liveEvents.addEventListener('material.comments', (event) => {
+        const { id, count } = JSON.parse(event.data);
+        document.querySelectorAll(`[data-material-comments="${id}"]`).forEach(element => {
+            element.textContent = count;
+        });
+        if (id === detailMaterialId && !document.getElementById('materialDetailPage').classList.contains('hidden')) {
+            refreshComments();
+        }
+    });
+    liveEvents.addEventListener('notification', (event) => {
+        const notification = JSON.parse(event.data);
+        showNotification(`🔔 ${notification.title}`, 'info');
+        refreshNotificationCount();
+        if (!document.getElementById('notificationsPage').classList.contains('hidden')) {
+            loadNotifications();
+        }
+    });
+
+    // The server ends the stream when the access token expires or the session ends;
+    // reconnect with a new ticket (which fails once the session is gone)
+    liveEvents.onerror = () => {
+        disconnectLiveUpdates();
+        liveReconnectTimer = setTimeout(connectLiveUpdates, 5000);
+    };
+}
+
+function disconnectLiveUpdates() {
+    clearTimeout(liveReconnectTimer);
+    if (liveEvents) {
+        liveEvents.close();
+        liveEvents = null;
+    }
+}
+
+// Several uploads or deletions in a row cause one reload
+const refreshVisibleMaterials = debounce(() => {
+    if (!document.getElementById('materialsPage').classList.contains('hidden')) {
+        loadMaterials();
+    }
+    if (!document.getElementById('dashboardPage').classList.contains('hidden')) {
+        loadDashboardData();
+    }
+}, 500);
+
+const refreshComments = debounce(() => loadComments(), 500);
+
+function updateMaterialStats({ id, likes, downloads, ratingAverage, ratingCount }) {
+    document.querySelectorAll(`[data-material-likes="${id}"]`).forEach(element => {
+        element.textContent = likes;
+    });
+    document.querySelectorAll(`[data-material-downloads="${id}"]`).forEach(element => {
+        element.textContent = downloads;
+    });
+    document.querySelectorAll(`[data-material-rating="${id}"]`).forEach(element => {
+        element.textContent = formatRating(ratingAverage, ratingCount);
+    });
+}
+
+// Notification Functions
+let notificationPage = 1;
+
+const NOTIFICATION_ICONS = {
+    announcement: 'bullhorn',
+    material: 'book',
+    assignment: 'tasks',
+    grade: 'check-circle'
+};
+
+function showNotifications() {
+    hideAllPages();
+    document.getElementById('notificationsPage').classList.remove('hidden');
+    document.querySelector('.navbar').classList.remove('hidden');
+
+    const canAnnounce = currentUser?.role === 'faculty' || currentUser?.role === 'admin';
+    document.getElementById('announcementSection').classList.toggle('hidden', !canAnnounce);
+    if (canAnnounce) loadAnnouncementCourseOptions();
+
+    notificationPage = 1;
+    loadNotifications();
+    loadAnnouncements();
+}
+
+function updateNotificationBadge(count) {
+    const badge = document.getElementById('notificationBadge');
+    badge.textContent = count > 99 ? '99+' : count;
+    badge.classList.toggle('hidden', !count);
+}
+
+async function refreshNotificationCount() {
+    if (!authToken) return;
+
+    try {
+        const data = await courseRequest('/notifications/unread-count');
+        updateNotificationBadge(data.count);
+    } catch (error) {
+        console.error('Error loading notification count:', error);
+    }
+}
+
+async function loadNotifications() {
+    const container = document.getElementById('notificationsList');
+    const params = new URLSearchParams({ page: notificationPage });
+    if (document.getElementById('notificationsUnreadOnly').checked) params.set('unread', 'true');
+
+    try {
+        const data = await courseRequest(`/notifications?${params}`);
+        updateNotificationBadge(data.unreadCount);
+
+        document.getElementById('notificationPageInfo').textContent = data.total === 0
+            ? ''
+            : `Page ${data.page} of ${data.pages} · ${data.unreadCount} unread`;
+        document.getElementById('notificationPrevBtn').disabled = data.page <= 1;
+        document.getElementById('notificationNextBtn').disabled = data.page >= data.pages;
+
+        if (data.notifications.length === 0) {
+            container.innerHTML = '<p class="text-muted">You\'re all caught up.</p>';
+            return;
+        }
+
+        container.innerHTML = data.notifications.map(notification => `
+            <div class="notification-item ${notification.read ? '' : 'unread'}" onclick="openNotification('${notification.id}', '${notification.type}', ${notification.read}, '${notification.targetId}')">
+                <i class="fas fa-${NOTIFICATION_ICONS[notification.type] || 'bell'} text-primary"></i>
+                <div class="flex-grow-1">
+                    <div class="d-flex justify-content-between">
+                        <strong>${escapeHtml(notification.title)}</strong>
+                        <small class="text-muted text-nowrap ms-2">${formatDateTime(notification.createdAt)}</small>
+                    </div>
+                    ${notification.message ? `<div class="small text-muted">${escapeHtml(notification.message)}</div>` : ''}
+                </div>
+                ${notification.read ? '' : `
+                    <button class="icon-btn" onclick="event.stopPropagation(); markNotificationRead('${notification.id}')" title="Mark as read">
+                        <i class="fas fa-check"></i>
+                    </button>
+                `}
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading notifications:', error);
+        container.innerHTML = `<p class="text-danger">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function filterNotifications() {
+    notificationPage = 1;
+    loadNotifications();
+}
+
+function changeNotificationPage(delta) {
+    notificationPage = Math.max(1, notificationPage + delta);
+    loadNotifications();
+}
+
+async function markNotificationRead(id) {
+    try {
+        const data = await courseRequest(`/notifications/${id}/read`, { method: 'POST', body: JSON.stringify({ read: true }) });
+        updateNotificationBadge(data.unreadCount);
+        loadNotifications();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function markAllNotificationsRead() {
+    try {
+        await courseRequest('/notifications/read-all', { method: 'POST' });
+        loadNotifications();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+// Mark as read and go to what it is about; announcements are listed on this page
+async function openNotification(id, type, read, targetId) {
+    if (!read) {
+        try {
+            const data = await courseRequest(`/notifications/${id}/read`, { method: 'POST', body: JSON.stringify({ read: true }) });
+            updateNotificationBadge(data.unreadCount);
+        } catch (error) {
+            console.error('Error marking notification read:', error);
+        }
+    }
+
+    if (type === 'material' || type === 'comment') {
+        showMaterialDetail(targetId);
+    } else if (type === 'assignment' || type === 'grade') {
+        showAssignments();
+    } else {
+        loadNotifications();
+    }
+}
+
+async function loadAnnouncementCourseOptions() {
+    const select = document.getElementById('announcementCourse');
+
+    try {
+        const courses = currentUser?.role === 'admin'
+            ? await courseRequest('/courses')
+            : (await loadMyCourses()).filter(course => course.teaching);
+        select.innerHTML = '<option value="">No course</option>' +
+            courses.map(course => `<option value="${course.id}">${escapeHtml(course.code)} - ${escapeHtml(course.name)}</option>`).join('');
+    } catch (error) {
+        console.error('Error loading announcement courses:', error);
+    }
+    updateAnnouncementAudienceFields();
+}
+
+// A course is the whole audience, so department and semester only apply without one
+function updateAnnouncementAudienceFields() {
+    const chosen = Boolean(document.getElementById('announcementCourse').value);
+    ['announcementDepartment', 'announcementSemester'].forEach(id => {
+        document.getElementById(id).disabled = chosen;
+    });
+}
+
+async function handleAnnouncementCreate(e) {
+    e.preventDefault();
+
+    const errorElement = document.getElementById('announcementError');
+    const successElement = document.getElementById('announcementSuccess');
+    const courseId = document.getElementById('announcementCourse').value;
+
+    try {
+        const data = await courseRequest('/announcements', {
+            method: 'POST',
+            body: JSON.stringify({
+                title: document.getElementById('announcementTitle').value,
+                body: document.getElementById('announcementBody').value,
+                courseId: courseId || undefined,
+                department: courseId ? undefined : document.getElementById('announcementDepartment').value || undefined,
+                semester: courseId ? undefined : document.getElementById('announcementSemester').value || undefined
+            })
+        });
+        hideError(errorElement);
+        showSuccess(successElement, `✅ ${data.message}`);
+        document.getElementById('announcementForm').reset();
+        updateAnnouncementAudienceFields();
+        setTimeout(() => hideSuccess(successElement), 3000);
+        loadAnnouncements();
+    } catch (error) {
+        showError(errorElement, error.message);
+    }
+}
+
+function announcementAudience(announcement) {
+    if (announcement.course) return `${announcement.course.code} students`;
+    const parts = [announcement.department, announcement.semester && `Semester ${announcement.semester}`].filter(Boolean);
+    return parts.length > 0 ? parts.join(' · ') : 'All students';
+}
+
+async function loadAnnouncements() {
+    const container = document.getElementById('announcementsList');
+
+    try {
+        const announcements = await courseRequest('/announcements');
+
+        container.innerHTML = announcements.length === 0
+            ? '<p class="text-muted mb-0">No announcements yet.</p>'
+            : announcements.map(announcement => `
+                <div class="border-bottom py-2">
+                    <div class="d-flex justify-content-between align-items-start">
+                        <div>
+                            <strong>${escapeHtml(announcement.title)}</strong>
+                            <small class="text-muted ms-2">
+                                ${escapeHtml(announcement.createdByName)} · ${escapeHtml(announcementAudience(announcement))} · ${formatDateTime(announcement.createdAt)}
+                            </small>
+                        </div>
+                        ${announcement.createdBy === currentUser?.id || currentUser?.role === 'admin' ? `
+                            <button class="icon-btn" onclick="deleteAnnouncement('${announcement.id}')" title="Delete announcement">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        ` : ''}
+                    </div>
+                    ${announcement.body ? `<p class="small mb-0 mt-1">${escapeHtml(announcement.body)}</p>` : ''}
+                </div>
+            `).join('');
+    } catch (error) {
+        console.error('Error loading announcements:', error);
+        container.innerHTML = `<p class="text-danger mb-0">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function deleteAnnouncement(id) {
+    if (!confirm('Delete this announcement? It is also removed from recipients\' notifications.')) return;
+
+    try {
+        await courseRequest(`/announcements/${id}`, { method: 'DELETE' });
+        showNotification('🗑️ Announcement deleted', 'info');
+        loadAnnouncements();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function loadNotificationPreferences() {
+    try {
+        const preferences = await courseRequest('/notifications/preferences');
+        document.querySelectorAll('#notificationPreferences [data-preference]').forEach(input => {
+            input.checked = preferences[input.dataset.preference] !== false;
+        });
+    } catch (error) {
+        console.error('Error loading notification preferences:', error);
+    }
+}
+
+async function saveNotificationPreferences() {
+    const preferences = {};
+    document.querySelectorAll('#notificationPreferences [data-preference]').forEach(input => {
+        preferences[input.dataset.preference] = input.checked;
+    });
+
+    try {
+        const data = await courseRequest('/notifications/preferences', {
+            method: 'PUT',
+            body: JSON.stringify(preferences)
+        });
+        showNotification(`✅ ${data.message}`, 'success');
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+// Admin Functions
+function showAdmin() {
+    if (!currentUser || currentUser.role !== 'admin') {
+        alert('⚠️ Only admins can open the admin console.');
+        return;
+    }
+
+    hideAllPages();
+    document.getElementById('adminPage').classList.remove('hidden');
+    document.querySelector('.navbar').classList.remove('hidden');
+    loadAdminUsers();
+    loadAdminDepartments();
+    loadAdminSubjects();
+    loadAdminCourses();
+}
+
+async function adminRequest(path, options = {}) {
+    const response = await fetch(`${API_URL}${path}`, {
+        ...options,
+        headers: { 
+            'Authorization': `Bearer ${authToken}`,
+            'Content-Type': 'application/json'
+        }
+    });
+
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Request failed');
+    return data;
+}
+
+async function loadAdminUsers() {
+    const container = document.getElementById('adminUsersList');
+    const status = document.getElementById('adminUserStatus').value;
+    const search = document.getElementById('adminUserSearch').value;
+
+    try {
+        let path = '/admin/users?';
+        if (status) path += `status=${encodeURIComponent(status)}&`;
+        if (search) path += `search=${encodeURIComponent(search)}&`;
+
+        const users = await adminRequest(path);
+
+        if (users.length === 0) {
+            container.innerHTML = '<p class="text-muted mb-0">No users found.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="table table-sm align-middle">
+                <thead><tr><th>Name</th><th>Email</th><th>Department</th><th>Role</th><th>Status</th><th></th></tr></thead>
+                <tbody>
+                    ${users.map(user => `
+                        <tr>
+                            <td>${escapeHtml(user.name)}</td>
+                            <td>${escapeHtml(user.email)}</td>
+                            <td>${escapeHtml(user.department || '')}</td>
+                            <td>
+                                <select class="form-select form-select-sm" onchange="updateAdminUser('${user.id}', { role: this.value })" ${user.id === currentUser.id ? 'disabled' : ''}>
+                                    ${['student', 'faculty', 'admin'].map(role => `<option value="${role}" ${user.role === role ? 'selected' : ''}>${role}</option>`).join('')}
+                                </select>
+                            </td>
+                            <td><span class="badge bg-${user.status === 'active' ? 'success' : user.status === 'pending' ? 'warning' : 'secondary'}">${user.status}</span></td>
+                            <td class="text-end">
+                                ${user.id === currentUser.id ? '' : user.status === 'pending'
+                                    ? `<button class="btn btn-success btn-sm" onclick="approveUser('${user.id}')"><i class="fas fa-check"></i> Approve</button>`
+                                    : user.status === 'active'
+                                        ? `<button class="btn btn-outline-danger btn-sm" onclick="updateAdminUser('${user.id}', { status: 'deactivated' })"><i class="fas fa-ban"></i> Deactivate</button>`
+                                        : `<button class="btn btn-outline-success btn-sm" onclick="updateAdminUser('${user.id}', { status: 'active' })"><i class="fas fa-undo"></i> Reactivate</button>`}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading users:', error);
+        container.innerHTML = `<p class="text-danger mb-0">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function approveUser(id) {
+    try {
+        await adminRequest(`/admin/users/${id}/approve`, { method: 'POST' });
+        showNotification('✅ Faculty account approved!', 'success');
+        loadAdminUsers();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function updateAdminUser(id, changes) {
+    try {
+        await adminRequest(`/admin/users/${id}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        });
+        showNotification('✅ User updated!', 'success');
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+    loadAdminUsers();
+}
+
+async function loadAdminDepartments() {
+    const container = document.getElementById('adminDepartmentsList');
+
+    try {
+        const departments = await adminRequest('/departments');
+
+        container.innerHTML = departments.length === 0
+            ? '<p class="text-muted mb-0">No departments yet. Until you add some, users can type any department.</p>'
+            : departments.map(department => `
+                <div class="d-flex justify-content-between align-items-center border-bottom py-2">
+                    <span>${escapeHtml(department.name)} ${department.code ? `<span class="badge bg-secondary ms-1">${escapeHtml(department.code)}</span>` : ''}</span>
+                    <button class="icon-btn" onclick="deleteDepartment('${department.id}')" title="Delete department"><i class="fas fa-trash"></i></button>
+                </div>
+            `).join('');
+    } catch (error) {
+        container.innerHTML = `<p class="text-danger mb-0">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function handleDepartmentCreate(e) {
+    e.preventDefault();
+
+    try {
+        await adminRequest('/admin/departments', {
+            method: 'POST',
+            body: JSON.stringify({
+                name: document.getElementById('departmentName').value,
+                code: document.getElementById('departmentCode').value
+            })
+        });
+        document.getElementById('departmentForm').reset();
+        showNotification('✅ Department added!', 'success');
+        loadAdminDepartments();
+        loadDepartmentOptions();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function deleteDepartment(id) {
+    if (!confirm('Delete this department?')) return;
+
+    try {
+        await adminRequest(`/admin/departments/${id}`, { method: 'DELETE' });
+        showNotification('🗑️ Department deleted', 'success');
+        loadAdminDepartments();
+        loadDepartmentOptions();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function loadAdminSubjects() {
+    const container = document.getElementById('adminSubjectsList');
+
+    try {
+        const subjects = await adminRequest('/subjects');
+
+        container.innerHTML = subjects.length === 0
+            ? '<p class="text-muted mb-0">No subjects yet.</p>'
+            : subjects.map(subject => `
+                <div class="d-flex justify-content-between align-items-center border-bottom py-2">
+                    <span>
+                        ${escapeHtml(subject.name)} ${subject.code ? `<span class="badge bg-secondary ms-1">${escapeHtml(subject.code)}</span>` : ''}
+                        <small class="text-muted ms-2">${escapeHtml(subject.department)} · Sem ${subject.semester}</small>
+                    </span>
+                    <button class="icon-btn" onclick="deleteSubject('${subject.id}')" title="Delete subject"><i class="fas fa-trash"></i></button>
+                </div>
+            `).join('');
+    } catch (error) {
+        container.innerHTML = `<p class="text-danger mb-0">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function handleSubjectCreate(e) {
+    e.preventDefault();
+
+    try {
+        await adminRequest('/admin/subjects', {
+            method: 'POST',
+            body: JSON.stringify({
+                name: document.getElementById('subjectName').value,
+                code: document.getElementById('subjectCode').value,
+                department: document.getElementById('subjectDepartment').value,
+                semester: parseInt(document.getElementById('subjectSemester').value)
+            })
+        });
+        document.getElementById('subjectForm').reset();
+        showNotification('✅ Subject added!', 'success');
+        loadAdminSubjects();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function deleteSubject(id) {
+    if (!confirm('Delete this subject?')) return;
+
+    try {
+        await adminRequest(`/admin/subjects/${id}`, { method: 'DELETE' });
+        showNotification('🗑️ Subject deleted', 'success');
+        loadAdminSubjects();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+// Courses shown in the admin table, so handlers can look them up by id
+let adminCourses = [];
+
+async function loadAdminCourses() {
+    const container = document.getElementById('adminCoursesList');
+
+    try {
+        const courses = await adminRequest('/courses');
+        adminCourses = courses;
+
+        container.innerHTML = courses.length === 0
+            ? '<p class="text-muted mb-0">No courses yet. Until you add some, faculty can upload materials under any subject.</p>'
+            : `<table class="table table-sm align-middle mb-0">
+                <thead><tr><th>Code</th><th>Name</th><th>Department</th><th>Sem</th><th>Faculty</th><th>Students</th><th></th></tr></thead>
+                <tbody>
+                    ${courses.map(course => `
+                        <tr>
+                            <td><strong>${escapeHtml(course.code)}</strong></td>
+                            <td>${escapeHtml(course.name)}</td>
+                            <td>${escapeHtml(course.department)}</td>
+                            <td>${course.semester}</td>
+                            <td class="small">${escapeHtml(course.faculty.map(member => member.email).join(', ') || '—')}</td>
+                            <td>${course.studentCount}</td>
+                            <td class="text-end text-nowrap">
+                                <button class="icon-btn" onclick="editCourseFaculty('${course.id}')" title="Change faculty"><i class="fas fa-user-edit"></i></button>
+                                <button class="icon-btn ms-1" onclick="deleteCourse('${course.id}')" title="Delete course"><i class="fas fa-trash"></i></button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>`;
+    } catch (error) {
+        container.innerHTML = `<p class="text-danger mb-0">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function handleCourseCreate(e) {
+    e.preventDefault();
+
+    try {
+        await adminRequest('/admin/courses', {
+            method: 'POST',
+            body: JSON.stringify({
+                code: document.getElementById('courseCode').value,
+                name: document.getElementById('courseName').value,
+                department: document.getElementById('courseDepartment').value,
+                semester: parseInt(document.getElementById('courseSemester').value),
+                faculty: document.getElementById('courseFaculty').value
+            })
+        });
+        document.getElementById('courseForm').reset();
+        showNotification('✅ Course added!', 'success');
+        loadAdminCourses();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function editCourseFaculty(id) {
+    const course = adminCourses.find(c => c.id === id);
+    const current = course ? course.faculty.map(member => member.email).join(', ') : '';
+    const faculty = prompt('Faculty emails for this course (comma-separated):', current);
+    if (faculty === null) return;
+
+    try {
+        await adminRequest(`/admin/courses/${id}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ faculty })
+        });
+        showNotification('✅ Course faculty updated', 'success');
+        loadAdminCourses();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function deleteCourse(id) {
+    if (!confirm('Delete this course?')) return;
+
+    try {
+        await adminRequest(`/admin/courses/${id}`, { method: 'DELETE' });
+        showNotification('🗑️ Course deleted', 'success');
+        loadAdminCourses();
+    } catch (error) {
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+// Audit Log
+let auditPage = 1;
+
+const AUDIT_ACTION_LABELS = {
+    'auth.login': 'Logged in',
+    'auth.login_failed': 'Failed login',
+    'account.locked': 'Account locked',
+    'auth.token_reused': 'Stolen session token',
+    'material.created': 'Uploaded material',
+    'material.updated': 'Edited material',
+    'material.deleted': 'Deleted material',
+    'user.role_changed': 'Changed role',
+    'user.status_changed': 'Changed status',
+    'user.approved': 'Approved faculty',
+    'user.sso_provisioned': 'Created via SSO',
+    'user.sso_linked': 'Linked SSO login',
+    'user.sso_synced': 'Updated from SSO',
+    'course.created': 'Created course',
+    'course.updated': 'Edited course',
+    'course.deleted': 'Deleted course',
+    'course.student_added': 'Enrolled student',
+    'course.student_removed': 'Removed student',
+    'assignment.created': 'Posted assignment',
+    'assignment.updated': 'Edited assignment',
+    'assignment.deleted': 'Deleted assignment',
+    'submission.graded': 'Graded submission',
+    'announcement.created': 'Sent announcement',
+    'announcement.deleted': 'Deleted announcement',
+    'comment.hidden': 'Hid comment',
+    'comment.unhidden': 'Unhid comment',
+    'comment.deleted': 'Deleted comment'
+};
+
+// Highlighted in red
+const AUDIT_WARNING_ACTIONS = ['auth.login_failed', 'account.locked', 'auth.token_reused', 'material.deleted', 'comment.deleted'];
+
+function showAuditLog() {
+    if (!currentUser || currentUser.role !== 'admin') {
+        alert('⚠️ Only admins can view the audit log.');
+        return;
+    }
+
+    hideAllPages();
+    document.getElementById('auditLogPage').classList.remove('hidden');
+    document.querySelector('.navbar').classList.remove('hidden');
+    auditPage = 1;
+    loadAuditLog();
+}
+
+// Changed fields of an entry as "field: before → after" lines
+function formatAuditChanges(log) {
+    const fields = Object.keys({ ...(log.before || {}), ...(log.after || {}) });
+    const format = (value) => value === null || value === undefined || value === '' ? '—' : escapeHtml(String(value));
+
+    const changes = fields.map(field => {
+        const before = log.before ? format(log.before[field]) : null;
+        const after = log.after ? format(log.after[field]) : null;
+        const value = before !== null && after !== null ? `${before} → ${after}` : (after ?? before);
+        return `<div><span class="text-muted">${escapeHtml(field)}:</span> ${value}</div>`;
+    });
+    const details = Object.entries(log.details || {})
+        .map(([key, value]) => `<div class="text-muted">${escapeHtml(key)}: ${format(value)}</div>`);
+
+    return [...changes, ...details].join('');
+}
+
+async function loadAuditLog() {
+    const container = document.getElementById('auditLogList');
+    const params = new URLSearchParams({ page: auditPage, limit: 25 });
+    [['action', 'auditAction'], ['actor', 'auditActor'], ['from', 'auditFrom'], ['to', 'auditTo']].forEach(([param, id]) => {
+        const value = document.getElementById(id).value.trim();
+        if (value) params.set(param, value);
+    });
+
+    try {
+        const data = await adminRequest(`/admin/audit-logs?${params}`);
+
+        document.getElementById('auditPageInfo').textContent = data.total === 0
+            ? ''
+            : `Page ${data.page} of ${data.pages} · ${data.total} entries`;
+        document.getElementById('auditPrevBtn').disabled = data.page <= 1;
+        document.getElementById('auditNextBtn').disabled = data.page >= data.pages;
+
+        if (data.logs.length === 0) {
+            container.innerHTML = '<p class="text-muted">No audit entries match these filters.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="table table-sm align-middle audit-table">
+                <thead><tr><th>Time</th><th>Actor</th><th>Action</th><th>Target</th><th>Changes</th><th>IP</th></tr></thead>
+                <tbody>
+                    ${data.logs.map(log => `
+                        <tr>
+                            <td class="text-nowrap">${formatDateTime(log.createdAt)}</td>
+                            <td>${log.actorEmail ? escapeHtml(log.actorEmail) : '<span class="text-muted">system</span>'}</td>
+                            <td><span class="badge bg-${AUDIT_WARNING_ACTIONS.includes(log.action) ? 'danger' : 'secondary'}">${escapeHtml(AUDIT_ACTION_LABELS[log.action] || log.action)}</span></td>
+                            <td>${escapeHtml(log.targetLabel || log.targetType)}</td>
+                            <td class="small">${formatAuditChanges(log)}</td>
+                            <td class="small text-muted">${escapeHtml(log.ip || '')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading audit log:', error);
+        container.innerHTML = `<p class="text-danger">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function changeAuditPage(delta) {
+    auditPage = Math.max(1, auditPage + delta);
+    loadAuditLog();
+}
+
+// Account Functions
+function showAccount() {
+    hideAllPages();
+    document.getElementById('accountPage').classList.remove('hidden');
+    document.querySelector('.navbar').classList.remove('hidden');
+    hideError(document.getElementById('changePasswordError'));
+    hideSuccess(document.getElementById('changePasswordSuccess'));
+    loadSessions();
+    loadNotificationPreferences();
+}
+
+async function loadSessions() {
+    const container = document.getElementById('sessionsList');
+
+    try {
+        const response = await fetch(`${API_URL}/auth/sessions`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const sessions = await response.json();
+        if (!response.ok) throw new Error(sessions.error || 'Failed to load sessions');
+
+        container.innerHTML = `
+            <div class="table-responsive">
+                <table class="table align-middle">
+                    <thead>
+                        <tr><th>Device</th><th>IP</th><th>Signed in</th><th>Last active</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${sessions.map(session => `
+                            <tr>
+                                <td>
+                                    ${escapeHtml(describeUserAgent(session.userAgent))}
+                                    ${session.current ? '<span class="badge bg-success ms-2">This device</span>' : ''}
+                                </td>
+                                <td>${escapeHtml(session.ip || '-')}</td>
+                                <td>${formatDateTime(session.createdAt)}</td>
+                                <td>${formatDateTime(session.lastUsedAt)}</td>
+                                <td class="text-end">
+                                    <button class="btn btn-outline-danger btn-sm" onclick="revokeSession('${session.id}', ${session.current})">
+                                        <i class="fas fa-sign-out-alt"></i> ${session.current ? 'Log out' : 'Revoke'}
+                                    </button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error loading sessions:', error);
+        container.innerHTML = `<div class="alert alert-danger">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// Short browser/OS label from a user agent string
+function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    const browser = (userAgent.match(/(Edg|OPR|Firefox|Chrome|Safari)\/[\d.]+/) || [])[1];
+    const os = (userAgent.match(/(Windows|Android|iPhone|iPad|Mac OS X|Linux)/) || [])[1];
+    const names = { Edg: 'Edge', OPR: 'Opera' };
+    return browser || os ? `${names[browser] || browser || 'Browser'} on ${os || 'unknown OS'}` : userAgent.slice(0, 60);
+}
+
+async function revokeSession(id, isCurrent) {
+    if (isCurrent) {
+        logout();
+        return;
+    }
+    if (!confirm('Log this device out?')) return;
+
+    try {
+        const response = await fetch(`${API_URL}/auth/sessions/${id}`, {
+            method: 'DELETE',
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to revoke session');
+
+        showNotification('✅ Device logged out', 'success');
+        loadSessions();
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        showNotification(`❌ ${error.message}`, 'danger');
+    }
+}
+
+async function handleChangePassword(e) {
+    e.preventDefault();
+
+    const errorElement = document.getElementById('changePasswordError');
+    const successElement = document.getElementById('changePasswordSuccess');
+
+    try {
+        const response = await fetch(`${API_URL}/auth/password`, {
+            method: 'PUT',
+            credentials: 'include',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${authToken}`
+            },
+            body: JSON.stringify({
+                currentPassword: document.getElementById('currentPassword').value,
+                newPassword: document.getElementById('newPassword').value
+            })
+        });
+        const data = await response.json();
+
+        if (response.ok) {
+            // Every old session is gone; this device continues on a fresh one
+            setAccessToken(data.token);
+            hideError(errorElement);
+            showSuccess(successElement, data.message);
+            document.getElementById('changePasswordForm').reset();
+            loadSessions();
+        } else {
+            hideSuccess(successElement);
+            showError(errorElement, data.error || 'Password change failed');
+        }
+    } catch (error) {
+        console.error('Change password error:', error);
         showError(errorElement, 'Network error. Please try again.');
     }
 }
 
 // Chatbot Functions
+let currentConversationId = null;
+let chatRestored = false;
+
 function toggleChatbot() {
     const chatWindow = document.getElementById('chatbotWindow');
     chatWindow.classList.toggle('active');
     
     if (chatWindow.classList.contains('active')) {
         document.getElementById('chatInput').focus();
+
+        // Pick up where the user left off, once per login
+        if (!chatRestored && authToken) {
+            chatRestored = true;
+            restoreLastConversation();
+        }
+    }
+}
+
+// Remove everything but the greeting
+function resetChatMessages() {
+    const messagesContainer = document.getElementById('chatMessages');
+    while (messagesContainer.children.length > 1) {
+        messagesContainer.lastElementChild.remove();
+    }
+}
+
+function resetChat() {
+    currentConversationId = null;
+    chatRestored = false;
+    resetChatMessages();
+    document.getElementById('chatConversations').classList.add('hidden');
+}
+
+async function fetchConversations() {
+    const response = await fetch(`${API_URL}/conversations`, {
+        headers: { 'Authorization': `Bearer ${authToken}` }
+    });
+    if (!response.ok) throw new Error('Failed to load conversations');
+    return response.json();
+}
+
+async function restoreLastConversation() {
+    try {
+        const conversations = await fetchConversations();
+        if (conversations.length > 0 && !currentConversationId) {
+            await loadConversation(conversations[0].id);
+        }
+    } catch (error) {
+        console.error('Error restoring conversation:', error);
+    }
+}
+
+async function loadConversation(id) {
+    try {
+        const response = await fetch(`${API_URL}/conversations/${id}/messages`, {
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load conversation');
+
+        currentConversationId = data.conversation.id;
+        resetChatMessages();
+        data.messages.forEach(chat => {
+            addChatMessage(chat.message, 'user');
+            addChatMessage(chat.response, 'bot', chat);
+        });
+        document.getElementById('chatConversations').classList.add('hidden');
+    } catch (error) {
+        console.error('Error loading conversation:', error);
+        showNotification('❌ Error loading conversation', 'danger');
+    }
+}
+
+function startNewConversation() {
+    currentConversationId = null;
+    resetChatMessages();
+    document.getElementById('chatConversations').classList.add('hidden');
+    document.getElementById('chatInput').focus();
+}
+
+async function toggleConversationList() {
+    const panel = document.getElementById('chatConversations');
+    if (!panel.classList.contains('hidden')) {
+        panel.classList.add('hidden');
+        return;
+    }
+
+    panel.classList.remove('hidden');
+    await renderConversationList();
+}
+
+async function renderConversationList() {
+    const panel = document.getElementById('chatConversations');
+
+    try {
+        const conversations = await fetchConversations();
+        panel.innerHTML = conversations.length === 0
+            ? '<div class="p-3 text-muted small">No conversations yet.</div>'
+            : conversations.map(conversation => `
+                <div class="chat-conversation ${conversation.id === currentConversationId ? 'active' : ''}" onclick="loadConversation('${conversation.id}')">
+                    <div class="chat-conversation-title">
+                        ${escapeHtml(conversation.title)}
+                        <br><small class="text-muted">${formatDateTime(conversation.lastMessageAt)}</small>
+                    </div>
+                    <button class="icon-btn ms-1" onclick="event.stopPropagation(); renameConversation('${conversation.id}')" title="Rename">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="icon-btn ms-1" onclick="event.stopPropagation(); deleteConversation('${conversation.id}')" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            `).join('');
+    } catch (error) {
+        console.error('Error loading conversations:', error);
+        panel.innerHTML = '<div class="p-3 text-danger small">Could not load conversations.</div>';
+    }
+}
+
+async function renameConversation(id) {
+    const title = prompt('Conversation name:');
+    if (!title || !title.trim()) return;
+
+    try {
+        const response = await fetch(`${API_URL}/conversations/${id}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${authToken}`
+            },
+            body: JSON.stringify({ title })
+        });
+        if (!response.ok) throw new Error('Rename failed');
+        renderConversationList();
+    } catch (error) {
+        console.error('Error renaming conversation:', error);
+        showNotification('❌ Error renaming conversation', 'danger');
     }
 }
 
-function addChatMessage(message, sender) {
+async function deleteConversation(id) {
+    if (!confirm('Delete this conversation?')) return;
+
+    try {
+        const response = await fetch(`${API_URL}/conversations/${id}`, {
+            method: 'DELETE',
+            headers: { 'Authorization': `Bearer ${authToken}` }
+        });
+        if (!response.ok) throw new Error('Delete failed');
+
+        if (id === currentConversationId) {
+            currentConversationId = null;
+            resetChatMessages();
+        }
+        renderConversationList();
+    } catch (error) {
+        console.error('Error deleting conversation:', error);
+        showNotification('❌ Error deleting conversation', 'danger');
+    }
+}
+
+// extras: { sources, materials, entities } from the assistant's reply
+function addChatMessage(message, sender, extras = {}) {
+    const { sources = [], materials = [], entities = null } = extras;
     const messagesContainer = document.getElementById('chatMessages');
     const messageDiv = document.createElement('div');
     messageDiv.className = `message ${sender}`;
@@ -511,6 +4223,46 @@ function addChatMessage(message, sender) {
             .replace(/`([^`]+)`/g, '<code class="bg-gray-200 text-sm px-1 py-0.5 rounded">$1</code>')
             .replace(/\n/g, '<br>');
         
+        // Numbered like the [n] citations in the answer
+        if (sources.length > 0) {
+            formattedMessage += `
+                <div class="chat-sources">
+                    ${sources.map((source, index) => `
+                        <a href="#" data-download-url="${escapeHtml(source.fileUrl)}" data-download-name="${escapeHtml(source.fileName)}">
+                            [${index + 1}] ${escapeHtml(source.title)}
+                        </a>
+                    `).join('')}
+                </div>
+            `;
+        }
+
+        // Search results as clickable cards that download the file
+        if (materials.length > 0) {
+            formattedMessage += `
+                <div class="chat-material-cards">
+                    ${materials.map(material => `
+                        <div class="chat-material-card" data-download-url="${escapeHtml(material.fileUrl)}" data-download-name="${escapeHtml(material.fileName)}" title="Download ${escapeHtml(material.title)}">
+                            <div class="fw-semibold">
+                                <i class="fas fa-file-${getFileIcon(material.type)} text-primary"></i> ${escapeHtml(material.title)}
+                            </div>
+                            <small class="text-muted">
+                                ${escapeHtml(material.type.toUpperCase())} · ${escapeHtml(material.subject)}
+                                ${material.semester ? ` · Sem ${material.semester}` : ''}
+                                ${material.year ? ` · ${material.year}` : ''}
+                            </small>
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+            if (entities) {
+                formattedMessage += `
+                    <button class="btn btn-link btn-sm p-0 mt-1" onclick='openChatResultsInMaterials(${escapeHtml(JSON.stringify(entities))})'>
+                        <i class="fas fa-external-link-alt"></i> Open in Materials
+                    </button>
+                `;
+            }
+        }
+
         messageDiv.innerHTML = formattedMessage;
     } else {
         messageDiv.textContent = message;
@@ -520,6 +4272,15 @@ function addChatMessage(message, sender) {
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
 }
 
+// Show the chatbot's material query on the Materials page with the same filters
+function openChatResultsInMaterials(entities) {
+    document.getElementById('filterSemester').value = entities.semester || '';
+    document.getElementById('filterType').value = entities.type || '';
+    document.getElementById('searchInput').value = entities.subject || '';
+    toggleChatbot();
+    showMaterials();
+}
+
 async function sendMessage() {
     const input = document.getElementById('chatInput');
     const message = input.value.trim();
@@ -542,17 +4303,24 @@ async function sendMessage() {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${authToken}`
             },
-            body: JSON.stringify({ message })
+            body: JSON.stringify({ message, conversationId: currentConversationId })
         });
         
+        if (response.status === 429) {
+            const data = await response.json();
+            chatLoader.classList.add('hidden');
+            addChatMessage(`⏳ ${data.error}`, 'bot');
+            return;
+        }
         if (!response.ok) {
             throw new Error('Chat request failed');
         }
-        
+
         const data = await response.json();
+        currentConversationId = data.conversationId;
         
         chatLoader.classList.add('hidden');
-        addChatMessage(data.response, 'bot');
+        addChatMessage(data.response, 'bot', data);
     } catch (error) {
         console.error('Chat error:', error);
         chatLoader.classList.add('hidden');
@@ -568,6 +4336,20 @@ async function sendMessage() {
 }
 
 // Utility Functions
+
+// Render a search snippet with its matched ranges wrapped in <mark>
+function highlightSnippet(snippet) {
+    let html = '';
+    let position = 0;
+    (snippet.highlights || []).forEach(([start, end]) => {
+        if (start < position) return;
+        html += escapeHtml(snippet.text.slice(position, start));
+        html += `<mark>${escapeHtml(snippet.text.slice(start, end))}</mark>`;
+        position = end;
+    });
+    return html + escapeHtml(snippet.text.slice(position));
+}
+
 function escapeHtml(unsafe) {
     if (typeof unsafe !== 'string') return unsafe;
     return unsafe
@@ -587,6 +4369,16 @@ function formatDate(dateString) {
     });
 }
 
+function formatDateTime(dateString) {
+    const date = new Date(dateString);
+    return date.toLocaleString('en-US', { 
+        month: 'short', 
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
 function showError(element, message) {
     if (element) {
         element.textContent = message;
@@ -624,10 +4416,15 @@ function showNotification(message, type = 'info') {
         box-shadow: 0 4px 12px rgba(0,0,0,0.15);
         animation: slideInRight 0.3s ease;
     `;
-    notification.innerHTML = `
-        <strong>${message}</strong>
-        <button type="button" class="btn-close" onclick="this.parentElement.remove()" style="float: right;"></button>
-    `;
+    // Messages carry other users' names and titles, so they are shown as text, never as HTML
+    const text = document.createElement('strong');
+    text.textContent = message;
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'btn-close';
+    close.style.float = 'right';
+    close.addEventListener('click', () => notification.remove());
+    notification.append(text, close);
     
     document.body.appendChild(notification);
     
@@ -679,7 +4476,88 @@ window.logout = logout;
 window.applyFilters = applyFilters;
 window.downloadMaterial = downloadMaterial;
 window.likeMaterial = likeMaterial;
+window.openEditMaterial = openEditMaterial;
+window.deleteMaterial = deleteMaterial;
+window.showExams = showExams;
+window.startExam = startExam;
+window.publishExamResults = publishExamResults;
+window.showExamResults = showExamResults;
+window.showAttemptResult = showAttemptResult;
+window.updateQuestionTypeFields = updateQuestionTypeFields;
+window.loadQuestionPicker = loadQuestionPicker;
+window.updateExamMode = updateExamMode;
+window.addExamBucket = addExamBucket;
+window.showAdmin = showAdmin;
+window.loadAdminUsers = loadAdminUsers;
+window.approveUser = approveUser;
+window.updateAdminUser = updateAdminUser;
+window.showAuditLog = showAuditLog;
+window.editCourseFaculty = editCourseFaculty;
+window.deleteCourse = deleteCourse;
+window.showCourses = showCourses;
+window.loadCourseCatalog = loadCourseCatalog;
+window.enrollInCourse = enrollInCourse;
+window.leaveCourse = leaveCourse;
+window.toggleCourseRoster = toggleCourseRoster;
+window.addCourseStudent = addCourseStudent;
+window.removeCourseStudent = removeCourseStudent;
+window.showCourseMaterials = showCourseMaterials;
+window.updateUploadCourseFields = updateUploadCourseFields;
+window.showAssignments = showAssignments;
+window.downloadFile = downloadFile;
+window.toggleAssignmentSubmission = toggleAssignmentSubmission;
+window.submitAssignment = submitAssignment;
+window.toggleAssignmentSubmissions = toggleAssignmentSubmissions;
+window.gradeSubmission = gradeSubmission;
+window.changeAssignmentDue = changeAssignmentDue;
+window.deleteAssignment = deleteAssignment;
+window.showMaterialDetail = showMaterialDetail;
+window.toggleReplyForm = toggleReplyForm;
+window.postComment = postComment;
+window.upvoteComment = upvoteComment;
+window.acceptAnswer = acceptAnswer;
+window.hideComment = hideComment;
+window.deleteComment = deleteComment;
+window.showLibrary = showLibrary;
+window.openLibraryList = openLibraryList;
+window.renameCollection = renameCollection;
+window.deleteCollection = deleteCollection;
+window.moveCollectionItem = moveCollectionItem;
+window.removeFromCollection = removeFromCollection;
+window.copyCollectionLink = copyCollectionLink;
+window.shareCollection = shareCollection;
+window.unshareCollection = unshareCollection;
+window.toggleBookmark = toggleBookmark;
+window.openCollectionPicker = openCollectionPicker;
+window.toggleCollectionItem = toggleCollectionItem;
+window.copySharedCollection = copySharedCollection;
+window.setReviewRating = setReviewRating;
+window.removeReview = removeReview;
+window.showNotifications = showNotifications;
+window.filterNotifications = filterNotifications;
+window.changeNotificationPage = changeNotificationPage;
+window.markNotificationRead = markNotificationRead;
+window.markAllNotificationsRead = markAllNotificationsRead;
+window.openNotification = openNotification;
+window.updateAnnouncementAudienceFields = updateAnnouncementAudienceFields;
+window.deleteAnnouncement = deleteAnnouncement;
+window.saveNotificationPreferences = saveNotificationPreferences;
+window.changeAuditPage = changeAuditPage;
+window.deleteDepartment = deleteDepartment;
+window.deleteSubject = deleteSubject;
+window.loadSubjectOptions = loadSubjectOptions;
 window.toggleChatbot = toggleChatbot;
+window.showAccount = showAccount;
+window.showForgotPassword = showForgotPassword;
+window.resendVerification = resendVerification;
+window.loginWithSso = loginWithSso;
+window.revokeSession = revokeSession;
+window.openChatResultsInMaterials = openChatResultsInMaterials;
+window.toggleConversationList = toggleConversationList;
+window.startNewConversation = startNewConversation;
+window.loadConversation = loadConversation;
+window.renameConversation = renameConversation;
+window.deleteConversation = deleteConversation;
 window.sendMessage = sendMessage;
 
 console.log('✅ All functions loaded and ready!');